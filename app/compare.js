@@ -0,0 +1,157 @@
+// app/compare.js - differences between two document snapshots (history Compare)
+//
+// Snapshots: { english, proofTree, lean, validation }
+// English is compared word by word, Lean line by line. Proof-tree nodes are
+// matched by their sentence text, since step ids shift when a sentence is
+// inserted.
+import { getGoals, getProofPath, theoremHypothesisId } from '../nlp/proofTree.js';
+import { numberProofNodes } from '../nlp/proofGraph.js';
+
+// Above this many cells the changed middle is shown as replaced outright
+// rather than aligned.
+const MAX_DIFF_CELLS = 4000000;
+
+export function compareSnapshots(left, right) {
+  return {
+    english: diffWords(left.english || '', right.english || ''),
+    lean: diffLines(left.lean || '', right.lean || ''),
+    tree: diffTrees(left.proofTree, right.proofTree)
+  };
+}
+
+// Runs of { type: 'equal' | 'delete' | 'insert', text }, whitespace included.
+export function diffWords(a, b) {
+  const ops = diffTokens(a.split(/(\s+)/).filter(Boolean), b.split(/(\s+)/).filter(Boolean));
+  return ops.reduce((runs, op) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === op.type) last.text += op.text;
+    else runs.push({ ...op });
+    return runs;
+  }, []);
+}
+
+// One { type, text } per line.
+export function diffLines(a, b) {
+  return diffTokens(a ? a.split('\n') : [], b ? b.split('\n') : []);
+}
+
+function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const equal = tokens => tokens.map(text => ({ type: 'equal', text }));
+  return [
+    ...equal(a.slice(0, start)),
+    ...alignMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...equal(a.slice(endA))
+  ];
+}
+
+// Longest common subsequence over the part that differs.
+function alignMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return [...a.map(text => ({ type: 'delete', text })), ...b.map(text => ({ type: 'insert', text }))];
+  }
+
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: 'delete', text: a[i++] });
+    } else {
+      ops.push({ type: 'insert', text: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'delete', text: a[i++] });
+  while (j < m) ops.push({ type: 'insert', text: b[j++] });
+  return ops;
+}
+
+// Nodes are { id, label, kind, text }; edges are { from, to } of such nodes.
+export function diffTrees(left, right) {
+  const a = treeSummary(left);
+  const b = treeSummary(right);
+
+  const nodes = { added: [], removed: [], changed: [] };
+  b.nodes.forEach((node, key) => {
+    const before = a.nodes.get(key);
+    if (!before) nodes.added.push(node);
+    else if (before.kind !== node.kind) nodes.changed.push({ before, after: node });
+  });
+  a.nodes.forEach((node, key) => {
+    if (!b.nodes.has(key)) nodes.removed.push(node);
+  });
+
+  const edges = {
+    added: [...b.edges.keys()].filter(key => !a.edges.has(key)).map(key => b.edges.get(key)),
+    removed: [...a.edges.keys()].filter(key => !b.edges.has(key)).map(key => a.edges.get(key))
+  };
+
+  return { nodes, edges };
+}
+
+function treeSummary(tree) {
+  const nodes = new Map();
+  const edges = new Map();
+  if (!tree) return { nodes, edges };
+
+  const numbers = numberProofNodes(tree);
+  const goalIds = new Set(getGoals(tree).map(g => g.id));
+  const assumptionIds = new Set((tree.assumptions || []).map(a => a.id));
+  const byId = new Map();
+
+  (tree.theorems || []).forEach(theorem => {
+    (theorem.hypotheses || []).forEach((text, i) => {
+      byId.set(theoremHypothesisId(theorem.id, i), { id: theoremHypothesisId(theorem.id, i), label: `H${i + 1}`, kind: 'hypothesis', text });
+    });
+  });
+
+  const proofNodes = getProofPath(tree);
+  proofNodes.forEach(node => {
+    const summary = {
+      id: node.id,
+      label: String(numbers[node.id]),
+      kind: goalIds.has(node.id) ? 'goal' : assumptionIds.has(node.id) ? 'assumption' : 'step',
+      text: node.text || ''
+    };
+    byId.set(node.id, summary);
+    nodes.set(nodeKey(summary), summary);
+  });
+
+  proofNodes.forEach(node => {
+    (node.dependsOn || []).forEach(dep => {
+      const from = byId.get(dep);
+      const to = byId.get(node.id);
+      if (from) edges.set(`${nodeKey(from)}\u0000${nodeKey(to)}`, { from, to });
+    });
+  });
+
+  return { nodes, edges };
+}
+
+function nodeKey(node) {
+  return node.text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
@@ -0,0 +1,285 @@
+// app/history.js - generation history for every document, kept in userData
+//
+// <dir>/index.json          { entries: [{ id, docKey, docName, text, status, timestamp, pinned }] }
+// <dir>/entries/<id>.json   { proofTree, lean, validation }
+//
+// The index is searched in memory; the snapshot behind an entry is read only
+// when it is compared or saved with its document. Nothing is read until the
+// first call, so a long history does not slow down startup.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const STATUSES = ['validated', 'failed', 'pending'];
+// Ids name files under entries/, so nothing but a UUID or a hex digest gets through
+const ID_PATTERN = /^[0-9a-f]{8}(?:-?[0-9a-f]{4}){3}-?[0-9a-f]{12}$/i;
+const SNAPSHOT_FIELDS = ['proofTree', 'lean', 'validation'];
+
+export function isHistoryId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+export function createHistoryStore(dir, options = {}) {
+  const { limits = () => ({ maxEntries: 5000, maxPerDocument: 500 }) } = options;
+  const indexPath = path.join(dir, 'index.json');
+  const entriesDir = path.join(dir, 'entries');
+
+  let entries = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (entries) return Promise.resolve(entries);
+    if (!loading) {
+      loading = fs.promises.readFile(indexPath, 'utf8')
+        .then(content => {
+          const stored = JSON.parse(content);
+          return Array.isArray(stored.entries) ? stored.entries.map(normalizeEntry).filter(Boolean) : [];
+        })
+        .catch(() => [])
+        .then(loaded => {
+          entries = loaded;
+          return entries;
+        });
+    }
+    return loading;
+  }
+
+  // Writes are queued so two updates never interleave; the rename keeps a
+  // crash from leaving half an index behind.
+  function writeIndex() {
+    const content = JSON.stringify({ entries });
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(`${indexPath}.tmp`, content, 'utf8');
+        await fs.promises.rename(`${indexPath}.tmp`, indexPath);
+      })
+      .catch(err => console.error('Failed to write history index:', err));
+    return writing;
+  }
+
+  async function readSnapshot(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(entriesDir, `${id}.json`), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async function writeSnapshot(id, snapshot) {
+    await fs.promises.mkdir(entriesDir, { recursive: true });
+    await fs.promises.writeFile(path.join(entriesDir, `${id}.json`), JSON.stringify(snapshot), 'utf8');
+  }
+
+  async function removeSnapshots(ids) {
+    await Promise.all(ids.map(id => fs.promises.rm(path.join(entriesDir, `${id}.json`), { force: true })));
+  }
+
+  // Pinned entries first, then newest first. `search` matches entries that
+  // contain every word, in the text or the document name.
+  async function query({ docKey = null, search = '', status = null, offset = 0, limit = 50 } = {}) {
+    await load();
+    const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = entries
+      .filter(entry => !docKey || entry.docKey === docKey)
+      .filter(entry => !status || entry.status === status)
+      .filter(entry => {
+        if (words.length === 0) return true;
+        const haystack = `${entry.text}\n${entry.docName}`.toLowerCase();
+        return words.every(word => haystack.includes(word));
+      })
+      .sort((a, b) => (b.pinned - a.pinned) || (b.timestamp - a.timestamp));
+
+    return {
+      entries: matches.slice(offset, offset + limit).map(entry => ({ ...entry })),
+      total: matches.length
+    };
+  }
+
+  async function add(docKey, docName, entry) {
+    await load();
+    const added = normalizeEntry({
+      timestamp: Date.now(),
+      ...entry,
+      id: crypto.randomUUID(),
+      docKey,
+      docName
+    });
+    if (!added) return null;
+
+    entries.push(added);
+    await saveSnapshotFields(added.id, entry);
+    await prune();
+    await writeIndex();
+    return { ...added };
+  }
+
+  async function update(id, changes) {
+    if (!isHistoryId(id)) return null;
+    await load();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+
+    if (STATUSES.includes(changes.status)) entry.status = changes.status;
+    if (typeof changes.pinned === 'boolean') entry.pinned = changes.pinned;
+    await saveSnapshotFields(id, changes);
+    await writeIndex();
+    return { ...entry };
+  }
+
+  async function saveSnapshotFields(id, fields) {
+    if (!SNAPSHOT_FIELDS.some(field => field in fields)) return;
+    const snapshot = await readSnapshot(id);
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (field in fields) snapshot[field] = fields[field];
+    });
+    await writeSnapshot(id, snapshot);
+  }
+
+  async function get(id) {
+    if (!isHistoryId(id)) return null;
+    await load();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return null;
+    const snapshot = await readSnapshot(id);
+    return { ...entry, proofTree: snapshot.proofTree || null, lean: snapshot.lean || '', validation: snapshot.validation || null };
+  }
+
+  async function remove(id) {
+    if (!isHistoryId(id)) return;
+    await load();
+    entries = entries.filter(e => e.id !== id);
+    await removeSnapshots([id]);
+    await writeIndex();
+  }
+
+  // Pinned entries survive a clear.
+  async function clear(docKey = null) {
+    await load();
+    const cleared = entries.filter(e => !e.pinned && (!docKey || e.docKey === docKey));
+    const ids = new Set(cleared.map(e => e.id));
+    entries = entries.filter(e => !ids.has(e.id));
+    await removeSnapshots([...ids]);
+    await writeIndex();
+    return cleared.length;
+  }
+
+  // Oldest first, with snapshots, for saving inside the document's file.
+  async function documentEntries(docKey) {
+    await load();
+    const own = entries
+      .filter(e => e.docKey === docKey)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    return Promise.all(own.map(e => get(e.id)));
+  }
+
+  // History saved inside a .proof file joins the store when the file is
+  // opened. Entries from before ids existed, or with an id that is not one of
+  // ours, get one derived from their content, so reopening the file does not
+  // add them twice.
+  async function importEntries(docKey, docName, imported) {
+    await load();
+    const known = new Set(entries.map(e => e.id));
+    let count = 0;
+
+    for (const item of imported || []) {
+      const id = isHistoryId(item?.id) ? item.id : legacyId(docKey, item || {});
+      if (known.has(id)) continue;
+      const entry = normalizeEntry({ ...item, id, docKey, docName });
+      if (!entry) continue;
+
+      entries.push(entry);
+      known.add(id);
+      await saveSnapshotFields(id, item);
+      count++;
+    }
+
+    if (count > 0) {
+      await prune();
+      await writeIndex();
+    }
+    return count;
+  }
+
+  // An untitled document's history follows it when it is first saved.
+  async function moveDocument(fromKey, toKey, docName) {
+    await load();
+    let changed = false;
+    entries.forEach(entry => {
+      if ((entry.docKey === fromKey || entry.docKey === toKey) && (entry.docKey !== toKey || entry.docName !== docName)) {
+        entry.docKey = toKey;
+        entry.docName = docName;
+        changed = true;
+      }
+    });
+    if (changed) await writeIndex();
+  }
+
+  // Drops the oldest unpinned entries past the per-document and overall limits.
+  async function prune() {
+    const { maxEntries, maxPerDocument } = limits();
+    const newestFirst = [...entries].sort((a, b) => b.timestamp - a.timestamp);
+    const perDocument = new Map();
+    const dropped = new Set();
+    let kept = 0;
+
+    newestFirst.forEach(entry => {
+      if (entry.pinned) {
+        kept++;
+        return;
+      }
+      const count = (perDocument.get(entry.docKey) || 0) + 1;
+      perDocument.set(entry.docKey, count);
+      if (count > maxPerDocument || kept >= maxEntries) {
+        dropped.add(entry.id);
+      } else {
+        kept++;
+      }
+    });
+
+    if (dropped.size === 0) return;
+    entries = entries.filter(e => !dropped.has(e.id));
+    await removeSnapshots([...dropped]);
+  }
+
+  // Save As of a file forks its history: the copy starts with everything the
+  // original had, and the original keeps its own.
+  async function copyDocument(fromKey, toKey, docName) {
+    await load();
+    const originals = entries.filter(e => e.docKey === fromKey);
+    if (originals.length === 0) return;
+
+    await fs.promises.mkdir(entriesDir, { recursive: true });
+    for (const original of originals) {
+      const copy = { ...original, id: crypto.randomUUID(), docKey: toKey, docName };
+      await fs.promises.copyFile(path.join(entriesDir, `${original.id}.json`), path.join(entriesDir, `${copy.id}.json`))
+        .catch(() => {});
+      entries.push(copy);
+    }
+    await prune();
+    await writeIndex();
+  }
+
+  return { query, add, update, get, remove, clear, documentEntries, importEntries, moveDocument, copyDocument };
+}
+
+function normalizeEntry(entry) {
+  if (!entry || typeof entry.text !== 'string' || !isHistoryId(entry.id)) return null;
+  return {
+    id: entry.id,
+    docKey: typeof entry.docKey === 'string' ? entry.docKey : null,
+    docName: typeof entry.docName === 'string' ? entry.docName : 'Untitled',
+    text: entry.text,
+    status: STATUSES.includes(entry.status) ? entry.status : 'pending',
+    timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : Date.now(),
+    pinned: entry.pinned === true
+  };
+}
+
+function legacyId(docKey, entry) {
+  return crypto.createHash('sha1')
+    .update(`${docKey}\n${entry.timestamp}\n${entry.text}`)
+    .digest('hex')
+    .slice(0, 32);
+}
@@ -0,0 +1,134 @@
+// app/proofFile.js - versioned JSON format for .proof files
+//
+// {
+//   format: 'proof-chat-editor', version, savedAt,
+//   english, proofTree, lean, nodeLines, sourceMap, sourceText,
+//   validation, settings: { toolchain },
+//   history: [{ id, text, status, timestamp, pinned, proofTree, lean, validation }],
+//   dependencyOverrides: { [sentence key]: { add, remove } }  (see nlp/dependencies.js)
+// }
+//
+// Plain text (older .proof files, .txt) is read as a version 0 document and
+// migrated like any other old version.
+
+import { isHistoryId } from './history.js';
+
+export const FORMAT_NAME = 'proof-chat-editor';
+export const FORMAT_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1.
+const MIGRATIONS = {
+  0: doc => ({
+    format: FORMAT_NAME,
+    version: 1,
+    english: doc.english || '',
+    proofTree: null,
+    lean: '',
+    nodeLines: {},
+    sourceMap: [],
+    sourceText: '',
+    validation: null,
+    settings: { toolchain: null },
+    history: []
+  })
+};
+
+export function createProofDocument(state = {}) {
+  return normalize({ ...state, format: FORMAT_NAME, version: FORMAT_VERSION });
+}
+
+export function serializeProofDocument(state) {
+  const doc = createProofDocument(state);
+  return JSON.stringify({ ...doc, savedAt: new Date().toISOString() }, null, 2);
+}
+
+export function parseProofFile(content) {
+  const json = parseJson(content);
+
+  if (!json) {
+    const doc = migrate({ version: 0, english: content });
+    return { ok: true, document: doc, imported: true, migratedFrom: 0 };
+  }
+
+  if (!Number.isInteger(json.version) || json.version < 0) {
+    return { ok: false, error: 'Proof file has no valid format version' };
+  }
+  if (json.version > FORMAT_VERSION) {
+    return {
+      ok: false,
+      error: `Proof file uses format version ${json.version}; this version of the app reads up to ${FORMAT_VERSION}. Please update the app.`
+    };
+  }
+
+  try {
+    const doc = migrate(json);
+    return {
+      ok: true,
+      document: doc,
+      imported: false,
+      migratedFrom: json.version < FORMAT_VERSION ? json.version : null
+    };
+  } catch (err) {
+    return { ok: false, error: `Failed to read proof file: ${err.message}` };
+  }
+}
+
+// Only JSON that declares our format counts; anything else is proof text.
+function parseJson(content) {
+  if (!content.trimStart().startsWith('{')) return null;
+  try {
+    const json = JSON.parse(content);
+    return json && json.format === FORMAT_NAME ? json : null;
+  } catch {
+    return null;
+  }
+}
+
+function migrate(doc) {
+  let current = doc;
+  while (current.version < FORMAT_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) throw new Error(`no migration from version ${current.version}`);
+    current = step(current);
+  }
+  return normalize(current);
+}
+
+function normalize(doc) {
+  const object = value => (value && typeof value === 'object' && !Array.isArray(value) ? value : null);
+  const list = value => (Array.isArray(value) ? value : []);
+  const text = value => (typeof value === 'string' ? value : '');
+
+  return {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    english: text(doc.english),
+    proofTree: object(doc.proofTree),
+    lean: text(doc.lean),
+    nodeLines: object(doc.nodeLines) || {},
+    sourceMap: list(doc.sourceMap),
+    sourceText: text(doc.sourceText),
+    validation: object(doc.validation),
+    settings: {
+      toolchain: typeof doc.settings?.toolchain === 'string' ? doc.settings.toolchain : null
+    },
+    history: list(doc.history)
+      .filter(entry => entry && typeof entry.text === 'string')
+      .map(entry => ({
+        id: isHistoryId(entry.id) ? entry.id : null,
+        text: entry.text,
+        status: ['validated', 'failed', 'pending'].includes(entry.status) ? entry.status : 'pending',
+        timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : null,
+        pinned: entry.pinned === true,
+        proofTree: object(entry.proofTree),
+        lean: text(entry.lean),
+        validation: object(entry.validation)
+      })),
+    dependencyOverrides: Object.fromEntries(Object.entries(object(doc.dependencyOverrides) || {})
+      .map(([id, override]) => [id, {
+        add: list(override?.add).filter(dep => typeof dep === 'string'),
+        remove: list(override?.remove).filter(dep => typeof dep === 'string')
+      }])
+      .filter(([, override]) => override.add.length > 0 || override.remove.length > 0))
+  };
+}
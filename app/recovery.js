@@ -0,0 +1,100 @@
+// app/recovery.js - rolling snapshots of unsaved documents for crash recovery
+//
+// <dir>/<key>/<timestamp>.json holds { key, filepath, name, timestamp, state }.
+// A document's snapshots are discarded once it is saved or deliberately
+// closed, so anything left over at startup was lost in a crash.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const ID_PATTERN = /^([\w-]+)\/(\d+)$/;
+
+export function recoveryKeyForPath(filepath) {
+  if (!filepath) return `untitled-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  return 'file-' + crypto.createHash('sha1').update(path.resolve(filepath)).digest('hex').slice(0, 16);
+}
+
+export function createRecoveryJournal(dir, options = {}) {
+  const { maxSnapshots = 10, previewLength = 160 } = options;
+
+  async function record(key, filepath, state) {
+    const docDir = path.join(dir, key);
+    await fs.promises.mkdir(docDir, { recursive: true });
+
+    const timestamp = Date.now();
+    const snapshot = {
+      key,
+      filepath: filepath || null,
+      name: filepath ? path.basename(filepath) : 'Untitled',
+      timestamp,
+      state
+    };
+    await fs.promises.writeFile(path.join(docDir, `${timestamp}.json`), JSON.stringify(snapshot), 'utf8');
+
+    const stale = (await snapshotFiles(docDir)).slice(maxSnapshots);
+    await Promise.all(stale.map(file => fs.promises.rm(path.join(docDir, file), { force: true })));
+
+    return { ok: true, id: `${key}/${timestamp}` };
+  }
+
+  // Newest first.
+  async function snapshotFiles(docDir) {
+    const files = await fs.promises.readdir(docDir).catch(() => []);
+    return files
+      .filter(file => /^\d+\.json$/.test(file))
+      .sort((a, b) => parseInt(b) - parseInt(a));
+  }
+
+  async function readSnapshot(key, file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(dir, key, file), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async function list() {
+    const keys = await fs.promises.readdir(dir).catch(() => []);
+    const documents = [];
+
+    for (const key of keys) {
+      const snapshots = [];
+      for (const file of await snapshotFiles(path.join(dir, key))) {
+        const snapshot = await readSnapshot(key, file);
+        if (!snapshot) continue;
+        snapshots.push({
+          id: `${key}/${snapshot.timestamp}`,
+          timestamp: snapshot.timestamp,
+          preview: (snapshot.state?.english || '').slice(0, previewLength)
+        });
+      }
+      if (snapshots.length === 0) continue;
+
+      const latest = await readSnapshot(key, `${snapshots[0].timestamp}.json`);
+      documents.push({ key, name: latest.name, filepath: latest.filepath, snapshots });
+    }
+
+    return documents.sort((a, b) => b.snapshots[0].timestamp - a.snapshots[0].timestamp);
+  }
+
+  async function read(id) {
+    const match = ID_PATTERN.exec(id || '');
+    if (!match) return { ok: false, error: 'Invalid snapshot id' };
+
+    const snapshot = await readSnapshot(match[1], `${match[2]}.json`);
+    return snapshot ? { ok: true, snapshot } : { ok: false, error: 'Snapshot not found' };
+  }
+
+  async function discard(key) {
+    if (!/^[\w-]+$/.test(key || '')) return;
+    await fs.promises.rm(path.join(dir, key), { recursive: true, force: true });
+  }
+
+  async function clear(options = {}) {
+    const { exclude = [] } = options;
+    const keys = await fs.promises.readdir(dir).catch(() => []);
+    await Promise.all(keys.filter(k => !exclude.includes(k)).map(discard));
+  }
+
+  return { record, list, read, discard, clear };
+}
@@ -0,0 +1,170 @@
+// app/settings.js - persisted preferences, validated against a fixed schema
+import fs from 'fs';
+import path from 'path';
+
+export const SCHEMA = {
+  generation: {
+    theoremName: { type: 'string', default: 'user_proof', pattern: /^[A-Za-z_][A-Za-z0-9_'.]*$/ },
+    includeComments: { type: 'boolean', default: true },
+    useAdmit: { type: 'boolean', default: true },
+    assumptionStyle: { type: 'enum', default: 'binders', values: ['binders', 'intro'] },
+    imports: { type: 'enum', default: 'minimal', values: ['minimal', 'mathlib', 'none'] }
+  },
+  validation: {
+    validateOnGenerate: { type: 'boolean', default: true },
+    timeout: { type: 'number', default: 30000, min: 1000, max: 600000 },
+    keepTempFile: { type: 'boolean', default: false },
+    workingDir: { type: 'string', default: null, nullable: true },
+    useServer: { type: 'boolean', default: true },
+    autoClose: { type: 'boolean', default: false },
+    attemptTimeout: { type: 'number', default: 10000, min: 1000, max: 120000 }
+  },
+  editor: {
+    theme: { type: 'enum', default: 'light', values: ['light', 'dark'] },
+    fontSize: { type: 'number', default: 15, min: 10, max: 28 },
+    monospace: { type: 'boolean', default: false }
+  },
+  autosave: {
+    enabled: { type: 'boolean', default: true },
+    delayMs: { type: 'number', default: 2000, min: 500, max: 60000 }
+  },
+  export: {
+    pageSize: { type: 'enum', default: 'A4', values: ['A4', 'Letter', 'Legal'] },
+    includeLean: { type: 'boolean', default: true },
+    codeTheme: { type: 'enum', default: 'light', values: ['light', 'dark'] },
+    showStepIds: { type: 'boolean', default: false },
+    showDependencies: { type: 'boolean', default: true }
+  },
+  history: {
+    maxEntries: { type: 'number', default: 5000, min: 100, max: 100000 },
+    maxPerDocument: { type: 'number', default: 500, min: 10, max: 10000 }
+  },
+  lean: {
+    activeToolchain: { type: 'string', default: null, nullable: true },
+    customPaths: { type: 'array', default: [] },
+    projectPath: { type: 'string', default: null, nullable: true }
+  }
+};
+
+export function defaultSettings() {
+  const settings = {};
+  for (const [section, fields] of Object.entries(SCHEMA)) {
+    settings[section] = {};
+    for (const [key, field] of Object.entries(fields)) {
+      settings[section][key] = Array.isArray(field.default) ? [...field.default] : field.default;
+    }
+  }
+  return settings;
+}
+
+function checkField(field, value) {
+  if (value === null && field.nullable) return null;
+
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+      return null;
+    case 'enum':
+      return field.values.includes(value) ? null : `must be one of ${field.values.join(', ')}`;
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (field.pattern && !field.pattern.test(value)) return 'is not a valid identifier';
+      return null;
+    case 'array':
+      return Array.isArray(value) && value.every(v => typeof v === 'string') ? null : 'must be a list of strings';
+    default:
+      return 'has an unknown type';
+  }
+}
+
+// Returns the fields of `candidate` that pass the schema, plus one message per
+// rejected field. Unknown sections and keys are dropped.
+export function validateSettings(candidate) {
+  const valid = {};
+  const errors = [];
+
+  for (const [section, values] of Object.entries(candidate || {})) {
+    const fields = SCHEMA[section];
+    if (!fields || typeof values !== 'object' || values === null) continue;
+
+    for (const [key, value] of Object.entries(values)) {
+      if (!fields[key]) continue;
+      const problem = checkField(fields[key], value);
+      if (problem) {
+        errors.push(`${section}.${key} ${problem}`);
+      } else {
+        valid[section] = { ...valid[section], [key]: value };
+      }
+    }
+  }
+
+  return { valid, errors };
+}
+
+function merge(base, patch) {
+  const merged = {};
+  for (const section of Object.keys(base)) {
+    merged[section] = { ...base[section], ...(patch[section] || {}) };
+  }
+  return merged;
+}
+
+export function createSettingsStore(filePath) {
+  let settings = defaultSettings();
+  const listeners = [];
+
+  async function write() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(settings, null, 2), 'utf8');
+  }
+
+  async function load() {
+    let stored = {};
+    try {
+      stored = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch {
+      // First run or unreadable file: keep defaults
+    }
+
+    const { valid, errors } = validateSettings(stored);
+    if (errors.length) console.warn('Ignoring invalid settings:', errors.join('; '));
+    settings = merge(defaultSettings(), valid);
+    return settings;
+  }
+
+  function get() {
+    return merge(settings, {});
+  }
+
+  async function update(patch) {
+    const { valid, errors } = validateSettings(patch);
+    if (errors.length) return { ok: false, errors, settings: get() };
+
+    settings = merge(settings, valid);
+    try {
+      await write();
+    } catch (err) {
+      return { ok: false, errors: [`Failed to save settings: ${err.message}`], settings: get() };
+    }
+
+    listeners.forEach(listener => listener(get()));
+    return { ok: true, errors: [], settings: get() };
+  }
+
+  async function reset() {
+    settings = defaultSettings();
+    await write();
+    listeners.forEach(listener => listener(get()));
+    return get();
+  }
+
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  return { load, get, update, reset, onChange };
+}
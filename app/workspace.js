@@ -0,0 +1,65 @@
+// app/workspace.js - recent files and the tabs to reopen on the next launch
+import fs from 'fs';
+import path from 'path';
+
+export function createWorkspaceStore(filePath, options = {}) {
+  const { maxRecent = 10 } = options;
+
+  let state = { recentFiles: [], session: { files: [], active: null } };
+
+  const strings = value => (Array.isArray(value) ? value.filter(v => typeof v === 'string') : []);
+
+  async function load() {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      state = {
+        recentFiles: strings(stored.recentFiles).slice(0, maxRecent),
+        session: {
+          files: strings(stored.session?.files),
+          active: typeof stored.session?.active === 'string' ? stored.session.active : null
+        }
+      };
+    } catch {
+      // First run or unreadable file: keep defaults
+    }
+    return state;
+  }
+
+  async function write() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(state, null, 2), 'utf8');
+  }
+
+  function getRecentFiles() {
+    return [...state.recentFiles];
+  }
+
+  async function addRecentFile(filepath) {
+    state.recentFiles = [filepath, ...state.recentFiles.filter(f => f !== filepath)].slice(0, maxRecent);
+    await write();
+    return getRecentFiles();
+  }
+
+  async function removeRecentFile(filepath) {
+    state.recentFiles = state.recentFiles.filter(f => f !== filepath);
+    await write();
+    return getRecentFiles();
+  }
+
+  async function clearRecentFiles() {
+    state.recentFiles = [];
+    await write();
+    return [];
+  }
+
+  function getSession() {
+    return { files: [...state.session.files], active: state.session.active };
+  }
+
+  async function setSession(session) {
+    state.session = { files: strings(session.files), active: session.active || null };
+    await write();
+  }
+
+  return { load, getRecentFiles, addRecentFile, removeRecentFile, clearRecentFiles, getSession, setSession };
+}
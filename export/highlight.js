@@ -0,0 +1,39 @@
+// export/highlight.js - Lean syntax highlighting for exported documents
+//
+// Uses the same token classes as the editor (lean-keyword, lean-type, ...).
+
+const KEYWORDS = new Set(['theorem', 'lemma', 'def', 'example', 'axiom', 'variable',
+  'have', 'show', 'by', 'from', 'fun', 'match', 'with', 'end', 'import', 'open',
+  'if', 'then', 'else', 'let', 'in', 'do', 'return', 'obtain', 'at']);
+
+const TYPES = new Set(['Nat', 'Int', 'Real', 'Rat', 'Bool', 'Prop', 'Type', 'Sort', 'ℕ', 'ℤ', 'ℚ', 'ℝ', 'ℂ']);
+
+const TACTICS = new Set(['intro', 'apply', 'exact', 'simp', 'ring', 'omega', 'cases',
+  'induction', 'rw', 'rewrite', 'calc', 'constructor', 'split', 'left', 'right',
+  'exists', 'use', 'linarith', 'nlinarith', 'norm_num', 'positivity', 'decide',
+  'aesop', 'rfl', 'sorry', 'admit', 'contradiction', 'exfalso', 'subst']);
+
+const TOKEN = /(--.*$)|("(?:[^"\\]|\\.)*")|([A-Za-z_ℕℤℚℝℂ][\w'.]*)|([^"A-Za-z_ℕℤℚℝℂ-]+|-)/gm;
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function highlightLean(code) {
+  return code.replace(TOKEN, (match, comment, string, word) => {
+    if (comment) return `<span class="lean-comment">${escapeHtml(comment)}</span>`;
+    if (string) return `<span class="lean-string">${escapeHtml(string)}</span>`;
+    if (word) {
+      const cls = KEYWORDS.has(word) ? 'lean-keyword'
+        : TYPES.has(word) ? 'lean-type'
+        : TACTICS.has(word) ? 'lean-tactic'
+        : null;
+      return cls ? `<span class="${cls}">${escapeHtml(word)}</span>` : escapeHtml(word);
+    }
+    return escapeHtml(match);
+  });
+}
@@ -0,0 +1,121 @@
+// export/latex.js - LaTeX document with theorem/proof environments
+import { findFormulas } from '../nlp/mathExpr.js';
+import { buildProofOutline } from './outline.js';
+
+const MATH_SYMBOLS = {
+  'ℕ': '\\mathbb{N}', 'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}', 'ℝ': '\\mathbb{R}', 'ℂ': '\\mathbb{C}',
+  '∀': '\\forall ', '∃': '\\exists ', '¬': '\\neg ', '∧': '\\land ', '∨': '\\lor ',
+  '→': '\\to ', '⇒': '\\Rightarrow ', '⟹': '\\implies ', '↔': '\\leftrightarrow ', '⇔': '\\Leftrightarrow ', '⟺': '\\iff ',
+  '≤': '\\le ', '≥': '\\ge ', '≠': '\\ne ', '≡': '\\equiv ', '≈': '\\approx ', '∣': '\\mid ',
+  '∈': '\\in ', '∉': '\\notin ', '⊂': '\\subset ', '⊆': '\\subseteq ', '⊃': '\\supset ', '⊇': '\\supseteq ',
+  '∪': '\\cup ', '∩': '\\cap ', '∖': '\\setminus ', '∅': '\\emptyset ',
+  '×': '\\times ', '·': '\\cdot ', '÷': '\\div ', '−': '-', '∘': '\\circ ', '√': '\\sqrt ', '∞': '\\infty ',
+  '∑': '\\sum ', '∏': '\\prod ', '∫': '\\int ', '⟨': '\\langle ', '⟩': '\\rangle ', '↦': '\\mapsto ',
+  'α': '\\alpha ', 'β': '\\beta ', 'γ': '\\gamma ', 'δ': '\\delta ', 'ε': '\\varepsilon ', 'θ': '\\theta ',
+  'λ': '\\lambda ', 'μ': '\\mu ', 'π': '\\pi ', 'σ': '\\sigma ', 'φ': '\\varphi ', 'ω': '\\omega ',
+  'Γ': '\\Gamma ', 'Δ': '\\Delta ', 'Σ': '\\Sigma ', 'Ω': '\\Omega '
+};
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9',
+  '⁺': '+', '⁻': '-', 'ⁿ': 'n'
+};
+
+const SUBSCRIPTS = {
+  '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9'
+};
+
+const TEXT_ESCAPES = {
+  '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '$': '\\$', '&': '\\&', '#': '\\#',
+  '%': '\\%', '_': '\\_', '^': '\\textasciicircum{}', '~': '\\textasciitilde{}'
+};
+
+const ENVIRONMENTS = ['theorem', 'lemma', 'proposition', 'corollary'];
+
+// Converts a formula written with Unicode symbols to LaTeX math (without the $).
+export function unicodeToLatex(math) {
+  return math
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻ⁿ]+/g, run => `^{${[...run].map(c => SUPERSCRIPTS[c]).join('')}}`)
+    .replace(/[₀₁₂₃₄₅₆₇₈₉]+/g, run => `_{${[...run].map(c => SUBSCRIPTS[c]).join('')}}`)
+    .replace(/[^\x00-\x7F]/gu, c => MATH_SYMBOLS[c] || c)
+    .replace(/ {2,}/g, ' ')
+    .trimEnd();
+}
+
+// Prose with the formulas found by findFormulas set in $...$; stray symbols
+// outside a formula are set in math on their own.
+export function textToLatex(text) {
+  let out = '';
+  let last = 0;
+  findFormulas(text).forEach(span => {
+    out += escapeProse(text.slice(last, span.start)) + `$${unicodeToLatex(span.text)}$`;
+    last = span.end;
+  });
+  return out + escapeProse(text.slice(last));
+}
+
+function escapeProse(text) {
+  return text.replace(/[\\{}$&#%_^~]|[^\x00-\x7F]/gu, c => {
+    if (TEXT_ESCAPES[c]) return TEXT_ESCAPES[c];
+    if (MATH_SYMBOLS[c] || SUPERSCRIPTS[c] || SUBSCRIPTS[c]) return `$${unicodeToLatex(c)}$`;
+    return c;
+  });
+}
+
+// Lean code in a fancyvrb block; Unicode is rewritten so pdflatex can set it.
+// Only \ { } are special inside the block, so ^ and _ cannot be used.
+function leanToLatex(code) {
+  return code
+    .replace(/[\\{}]/g, c => (c === '\\' ? '\\textbackslash{}' : `\\${c}`))
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻ⁿ]+/g, run => `\\textsuperscript{${[...run].map(c => SUPERSCRIPTS[c]).join('')}}`)
+    .replace(/[₀₁₂₃₄₅₆₇₈₉]+/g, run => `\\textsubscript{${[...run].map(c => SUBSCRIPTS[c]).join('')}}`)
+    .replace(/[^\x00-\x7F]/gu, c => (MATH_SYMBOLS[c] ? `\\ensuremath{${MATH_SYMBOLS[c].trim()}}` : c));
+}
+
+export function toLatex(doc, options = {}) {
+  const { title = 'Proof', includeLean = true, showStepIds = false, showDependencies = true } = options;
+  const blocks = buildProofOutline(doc.proofTree);
+
+  const body = blocks.length > 0
+    ? blocks.map(block => blockToLatex(block, { showStepIds, showDependencies })).join('\n\n')
+    : `\\begin{proof}\n${textToLatex((doc.english || '').trim())}\n\\end{proof}`;
+
+  const lean = includeLean && doc.lean
+    ? `\n\n\\section*{Lean 4}\n\\begin{Verbatim}[commandchars=\\\\\\{\\},fontsize=\\small]\n${leanToLatex(doc.lean.trimEnd())}\n\\end{Verbatim}`
+    : '';
+
+  return `\\documentclass{article}
+\\usepackage[utf8]{inputenc}
+\\usepackage{amsmath,amssymb,amsthm}
+\\usepackage{fancyvrb}
+
+${ENVIRONMENTS.map((env, i) => `\\newtheorem{${env}}${i === 0 ? '{Theorem}' : `[theorem]{${env.charAt(0).toUpperCase() + env.slice(1)}}`}`).join('\n')}
+
+\\title{${escapeProse(title)}}
+\\date{}
+
+\\begin{document}
+\\maketitle
+
+${body}${lean}
+
+\\end{document}
+`;
+}
+
+function blockToLatex({ theorem, steps }, options) {
+  const items = steps.map(step => {
+    const id = options.showStepIds ? `\\texttt{[${escapeProse(step.id)}]} ` : '';
+    const uses = options.showDependencies && step.uses.length
+      ? ` \\hfill \\emph{(uses ${escapeProse(step.uses.map(u => (options.showStepIds ? u.id : u.label)).join(', '))})}`
+      : '';
+    return `  \\item[${step.number}.] ${id}${textToLatex(step.text)}${uses}`;
+  });
+  const proof = `\\begin{proof}\n\\begin{enumerate}\n${items.join('\n')}\n\\end{enumerate}\n\\end{proof}`;
+
+  if (!theorem) return proof;
+
+  const env = ENVIRONMENTS.includes(theorem.kind) ? theorem.kind : 'theorem';
+  const name = theorem.name ? `[${escapeProse(theorem.name)}]` : '';
+  return `\\begin{${env}}${name}\n${textToLatex(theorem.text || '')}\n\\end{${env}}\n${steps.length ? proof : ''}`.trimEnd();
+}
@@ -0,0 +1,50 @@
+// export/markdown.js - GitHub-flavoured Markdown with a fenced Lean block
+import { buildProofOutline, theoremHeading } from './outline.js';
+
+export function toMarkdown(doc, options = {}) {
+  const { title = 'Proof', includeLean = true, showStepIds = false, showDependencies = true } = options;
+  const blocks = buildProofOutline(doc.proofTree);
+
+  const sections = [`# ${escapeMarkdown(title)}`];
+  if (blocks.length === 0) {
+    sections.push('## Proof', escapeMarkdown((doc.english || '').trim()));
+  }
+  blocks.forEach(block => sections.push(...blockToMarkdown(block, { showStepIds, showDependencies })));
+
+  if (includeLean && doc.lean) {
+    sections.push('## Lean 4', fence(doc.lean.trimEnd(), 'lean'));
+  }
+
+  return sections.filter(Boolean).join('\n\n') + '\n';
+}
+
+function blockToMarkdown({ theorem, steps }, options) {
+  const items = steps.map(step => {
+    const id = options.showStepIds ? `\`${step.id}\` ` : '';
+    const uses = options.showDependencies && step.uses.length
+      ? ` _(uses ${step.uses.map(u => (options.showStepIds ? `\`${u.id}\`` : u.label)).join(', ')})_`
+      : '';
+    return `${step.number}. ${id}${escapeMarkdown(step.text)}${uses}`;
+  });
+
+  if (!theorem) return ['## Proof', items.join('\n')];
+
+  const name = theorem.name ? ` (${escapeMarkdown(theorem.name)})` : '';
+  return [
+    `## ${theoremHeading(theorem)}${name}`,
+    `_${escapeMarkdown(theorem.text || '')}_`,
+    items.length ? `**Proof.**\n\n${items.join('\n')}` : ''
+  ];
+}
+
+// Backslash-escape characters Markdown would read as formatting, e.g. the
+// * in a*b or the _ in x_1.
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>|#]/g, c => `\\${c}`);
+}
+
+function fence(code, language) {
+  const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}${language}\n${code}\n${marker}`;
+}
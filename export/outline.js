@@ -0,0 +1,49 @@
+// export/outline.js - proof tree grouped by theorem, in reading order, for the exporters
+//
+// Blocks: { theorem: { id, kind, number, name, text, hypotheses } | null, steps }
+// Steps:  { id, number, kind: 'assumption' | 'step' | 'goal', text, uses: [{ id, label }] }
+import { getDependencyGraph, getGoals } from '../nlp/proofTree.js';
+import { proofNodesInOrder, numberProofNodes } from '../nlp/proofGraph.js';
+
+export function buildProofOutline(tree) {
+  if (!tree) return [];
+
+  const numbers = numberProofNodes(tree);
+  const dependencies = getDependencyGraph(tree);
+  const goalIds = new Set(getGoals(tree).map(g => g.id));
+  const assumptionIds = new Set((tree.assumptions || []).map(a => a.id));
+
+  const steps = proofNodesInOrder(tree).map(node => ({
+    id: node.id,
+    number: numbers[node.id],
+    kind: goalIds.has(node.id) ? 'goal' : assumptionIds.has(node.id) ? 'assumption' : 'step',
+    text: node.text || '',
+    theoremId: node.theoremId || null,
+    uses: (dependencies[node.id] || [])
+      .map(dep => ({ id: dep, label: numbers[dep] ? String(numbers[dep]) : hypothesisLabel(dep) }))
+      .filter(use => use.label)
+  }));
+
+  const theorems = tree.theorems || [];
+  const known = new Set(theorems.map(t => t.id));
+  const blocks = theorems.map(theorem => ({
+    theorem,
+    steps: steps.filter(step => step.theoremId === theorem.id)
+  }));
+
+  // Proofs without a recognised statement header come first, as in the text.
+  const loose = steps.filter(step => !known.has(step.theoremId));
+  if (loose.length > 0) blocks.unshift({ theorem: null, steps: loose });
+
+  return blocks;
+}
+
+export function theoremHeading(theorem) {
+  const kind = theorem.kind || 'theorem';
+  return [kind.charAt(0).toUpperCase() + kind.slice(1), theorem.number].filter(Boolean).join(' ');
+}
+
+function hypothesisLabel(id) {
+  const match = /_hyp(\d+)$/.exec(id);
+  return match ? `H${match[1]}` : null;
+}
@@ -0,0 +1,201 @@
+// export/report.js - proof report as one self-contained HTML page (PDF and HTML export)
+import { buildProofGraph } from '../nlp/proofGraph.js';
+import { getGoals } from '../nlp/proofTree.js';
+import { escapeHtml, highlightLean } from './highlight.js';
+import { buildProofOutline, theoremHeading } from './outline.js';
+
+const CODE_THEMES = {
+  light: {
+    background: '#f5f5f5', text: '#2e3338', border: '#e0e0e0',
+    keyword: '#5b7c99', type: '#10b981', tactic: '#8b5cf6', comment: '#999999', string: '#f59e0b'
+  },
+  dark: {
+    background: '#1e1e1e', text: '#d4d4d4', border: '#333333',
+    keyword: '#7da3c7', type: '#34d399', tactic: '#a78bfa', comment: '#6c6c6c', string: '#fbbf24'
+  }
+};
+
+const KIND_LABELS = { assumption: 'Assume', step: 'Step', goal: 'Goal' };
+
+const MAX_DIAGNOSTICS = 20;
+
+export function buildReportHtml(doc, options = {}) {
+  const {
+    title = 'Proof',
+    includeLean = true,
+    codeTheme = 'light',
+    showStepIds = false,
+    showDependencies = true,
+    generatedAt = new Date()
+  } = options;
+  const tree = doc.proofTree;
+  const blocks = buildProofOutline(tree);
+
+  const sections = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    blocks.some(block => block.theorem) ? '' : statementSection(tree),
+    proofSection(blocks, doc.english, { showStepIds, showDependencies }),
+    graphSection(tree),
+    includeLean && doc.lean ? leanSection(doc.lean) : '',
+    validationSection(doc.validation)
+  ];
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${reportStyles(CODE_THEMES[codeTheme] || CODE_THEMES.light)}</style>
+</head>
+<body>
+${sections.filter(Boolean).join('\n')}
+<footer>Generated by Proof Chat Editor on ${escapeHtml(generatedAt.toLocaleString())}</footer>
+</body>
+</html>`;
+}
+
+// Without a theorem header the proof's conclusion stands in for the statement.
+function statementSection(tree) {
+  const text = tree ? getGoals(tree)[0]?.text : null;
+  if (!text) return '';
+  return `<section><h2>Statement</h2><p class="statement">${escapeHtml(text)}</p></section>`;
+}
+
+function proofSection(blocks, english, options) {
+  if (blocks.length === 0) {
+    if (!english?.trim()) return '';
+    return `<section><h2>Proof</h2><p class="english">${escapeHtml(english.trim())}</p></section>`;
+  }
+
+  return blocks.map(({ theorem, steps }) => {
+    const heading = theorem
+      ? `<h2>${escapeHtml(theoremHeading(theorem))}${theorem.name ? ` (${escapeHtml(theorem.name)})` : ''}</h2><p class="statement">${escapeHtml(theorem.text || '')}</p><p class="proof-label">Proof.</p>`
+      : '<h2>Proof</h2>';
+    const items = steps.map(step => {
+      const id = options.showStepIds ? `<span class="step-id">${escapeHtml(step.id)}</span>` : '';
+      const uses = options.showDependencies && step.uses.length
+        ? `<span class="uses">uses ${escapeHtml(step.uses.map(u => (options.showStepIds ? u.id : u.label)).join(', '))}</span>`
+        : '';
+      return `<li value="${step.number}"><span class="tag tag-${step.kind}">${KIND_LABELS[step.kind]}</span>${id}${escapeHtml(step.text)}${uses}</li>`;
+    });
+    return `<section>${heading}<ol class="steps">${items.join('\n')}</ol></section>`;
+  }).join('\n');
+}
+
+function graphSection(tree) {
+  const graph = buildProofGraph(tree);
+  if (graph.nodes.length === 0) return '';
+  return `<section class="graph"><h2>Dependency Graph</h2>${graphSvg(graph)}</section>`;
+}
+
+function graphSvg(graph) {
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+
+  const edges = graph.edges.map(edge => {
+    const from = byId.get(edge.from);
+    const to = byId.get(edge.to);
+    const x1 = from.x + from.width / 2;
+    const y1 = from.y + from.height;
+    const x2 = to.x + to.width / 2;
+    const y2 = to.y;
+    // Edges that point back up (from a cycle) are drawn as a plain line.
+    const mid = (y1 + y2) / 2;
+    const d = y2 > y1 ? `M${x1},${y1} C${x1},${mid} ${x2},${mid} ${x2},${y2}` : `M${x1},${y1} L${x2},${y2}`;
+    return `<path class="edge" d="${d}" marker-end="url(#arrow)"/>`;
+  });
+
+  const nodes = graph.nodes.map(node => {
+    const text = truncate(node.text || '', 22);
+    return `<g class="node node-${node.kind}">
+<rect x="${node.x}" y="${node.y}" width="${node.width}" height="${node.height}" rx="6"/>
+<text class="node-label" x="${node.x + 8}" y="${node.y + 15}">${escapeHtml(node.label)}</text>
+<text class="node-text" x="${node.x + 8}" y="${node.y + 31}">${escapeHtml(text)}</text>
+</g>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${graph.width} ${graph.height}" width="${graph.width}" height="${graph.height}">
+<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z"/></marker></defs>
+${edges.join('\n')}
+${nodes.join('\n')}
+</svg>`;
+}
+
+function leanSection(lean) {
+  return `<section><h2>Lean 4</h2><pre class="lean"><code>${highlightLean(lean)}</code></pre></section>`;
+}
+
+function validationSection(validation) {
+  if (!validation) {
+    return '<section><h2>Validation</h2><p class="muted">This proof has not been validated.</p></section>';
+  }
+
+  const diagnostics = validation.diagnostics || [];
+  const status = validation.ok
+    ? `<p class="status status-ok">✓ ${escapeHtml(validation.message || 'Validation passed')}</p>`
+    : `<p class="status status-failed">✗ ${escapeHtml(validation.error || 'Validation failed')}</p>`;
+  const counts = validation.counts
+    ? `<p class="counts">${validation.counts.error} error(s), ${validation.counts.warning} warning(s), ${validation.counts.sorry} sorry</p>`
+    : '';
+
+  const items = diagnostics.slice(0, MAX_DIAGNOSTICS).map(d => {
+    const kind = d.sorry ? 'sorry' : d.severity;
+    const headline = (d.message || '').split('\n')[0];
+    return `<li class="diagnostic diagnostic-${kind}"><span class="location">line ${d.startLine}:${d.startCol}</span>${escapeHtml(headline)}</li>`;
+  });
+  const more = diagnostics.length > MAX_DIAGNOSTICS
+    ? `<p class="muted">…and ${diagnostics.length - MAX_DIAGNOSTICS} more</p>`
+    : '';
+
+  return `<section><h2>Validation</h2>${status}${counts}${items.length ? `<ul class="diagnostics">${items.join('\n')}</ul>` : ''}${more}</section>`;
+}
+
+function reportStyles(code) {
+  return `
+body { font-family: Georgia, 'Times New Roman', serif; color: #2e3338; font-size: 11pt; line-height: 1.5; margin: 0; }
+@media screen { body { max-width: 820px; margin: 32px auto; padding: 0 20px; } }
+h1 { font-size: 20pt; margin: 0 0 12pt; }
+h2 { font-size: 13pt; margin: 18pt 0 6pt; border-bottom: 1px solid #e0e0e0; padding-bottom: 2pt; }
+section { break-inside: auto; }
+.statement { margin: 0 0 6pt; font-style: italic; }
+.proof-label { font-style: italic; margin: 0 0 4pt; }
+.step-id { font-family: 'JetBrains Mono', Consolas, monospace; font-size: 8.5pt; color: #5b7c99; margin-right: 6pt; }
+.english { white-space: pre-wrap; }
+.steps { padding-left: 22pt; margin: 0; }
+.steps li { margin: 0 0 4pt; break-inside: avoid; }
+.tag { display: inline-block; font-family: -apple-system, 'Segoe UI', sans-serif; font-size: 7.5pt; text-transform: uppercase; letter-spacing: 0.04em; border-radius: 3px; padding: 0 4pt; margin-right: 6pt; color: #fff; }
+.tag-assumption { background: #8b5cf6; }
+.tag-step { background: #6b7280; }
+.tag-goal { background: #10b981; }
+.uses { color: #999; font-size: 9pt; margin-left: 6pt; }
+.graph { break-inside: avoid; }
+.graph svg { max-width: 100%; height: auto; }
+.node rect { fill: #fafafa; stroke: #6b7280; stroke-width: 1; }
+.node-assumption rect { stroke: #8b5cf6; }
+.node-hypothesis rect { stroke: #8b5cf6; stroke-dasharray: 4 2; }
+.node-goal rect { stroke: #10b981; stroke-width: 1.5; }
+.node-label { font: bold 10px -apple-system, 'Segoe UI', sans-serif; fill: #2e3338; }
+.node-text { font: 10px -apple-system, 'Segoe UI', sans-serif; fill: #5a5a5a; }
+.edge { fill: none; stroke: #999; stroke-width: 1; }
+marker path { fill: #999; }
+pre.lean { font-family: 'JetBrains Mono', 'Fira Code', Consolas, monospace; font-size: 8.5pt; line-height: 1.45; white-space: pre-wrap; word-break: break-word; background: ${code.background}; color: ${code.text}; border: 1px solid ${code.border}; border-radius: 4px; padding: 8pt; -webkit-print-color-adjust: exact; }
+.lean-keyword { color: ${code.keyword}; font-weight: 600; }
+.lean-type { color: ${code.type}; }
+.lean-tactic { color: ${code.tactic}; }
+.lean-comment { color: ${code.comment}; font-style: italic; }
+.lean-string { color: ${code.string}; }
+.status { font-weight: bold; margin: 0 0 4pt; }
+.status-ok { color: #10b981; }
+.status-failed { color: #ef4444; }
+.counts, .muted { color: #999; }
+.diagnostics { list-style: none; padding: 0; margin: 0; font-size: 9.5pt; }
+.diagnostics li { border-left: 3px solid #999; padding-left: 6pt; margin-bottom: 3pt; }
+.diagnostic-error { border-color: #ef4444 !important; }
+.diagnostic-warning, .diagnostic-sorry { border-color: #f59e0b !important; }
+.location { font-family: 'JetBrains Mono', Consolas, monospace; color: #999; margin-right: 6pt; }
+footer { margin-top: 24pt; font-size: 8pt; color: #999; }
+`;
+}
+
+function truncate(text, length) {
+  return text.length > length ? text.slice(0, length - 1) + '…' : text;
+}
@@ -0,0 +1,461 @@
+// import/latex.js - read theorem and proof environments out of a .tex file
+//
+// Returns { ok, theorems: [{ kind, number, name, english }], unsupported, skipped }
+// where `english` is proof text in the notation the tokenizer understands.
+// Macros the converter does not know are left in the text and listed in
+// `unsupported` as { name, count } so the user can fix them by hand.
+
+const KINDS = ['theorem', 'lemma', 'proposition', 'corollary'];
+
+const DEFAULT_ENVIRONMENTS = {
+  theorem: 'theorem', thm: 'theorem',
+  lemma: 'lemma', lem: 'lemma',
+  proposition: 'proposition', prop: 'proposition',
+  corollary: 'corollary', cor: 'corollary'
+};
+
+const MATH_ENVIRONMENTS = new Set(['equation', 'equation*', 'align', 'align*', 'gather', 'gather*',
+  'multline', 'multline*', 'eqnarray', 'eqnarray*', 'displaymath', 'math']);
+
+const LIST_ENVIRONMENTS = new Set(['enumerate', 'itemize', 'description']);
+
+const MATH_SYMBOLS = {
+  forall: '∀', exists: '∃', nexists: '¬∃', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+  to: '→', rightarrow: '→', implies: '⇒', Rightarrow: '⇒', Longrightarrow: '⇒',
+  iff: '↔', leftrightarrow: '↔', Leftrightarrow: '↔', Longleftrightarrow: '↔',
+  le: '≤', leq: '≤', leqslant: '≤', ge: '≥', geq: '≥', geqslant: '≥', ne: '≠', neq: '≠',
+  equiv: '≡', mid: '∣', divides: '∣', in: '∈', notin: '∉',
+  subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+  cup: '∪', cap: '∩', setminus: '∖', emptyset: '∅', varnothing: '∅',
+  cdot: '·', times: '×', div: '÷', pm: '±', infty: '∞', circ: '∘', mapsto: '↦',
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', theta: 'θ',
+  lambda: 'λ', mu: 'μ', pi: 'π', sigma: 'σ', phi: 'φ', varphi: 'φ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Sigma: 'Σ', Omega: 'Ω',
+  ldots: '...', cdots: '...', dots: '...', lbrace: '{', rbrace: '}', langle: '⟨', rangle: '⟩'
+};
+
+const NUMBER_SETS = { N: 'ℕ', Z: 'ℤ', Q: 'ℚ', R: 'ℝ', C: 'ℂ' };
+
+const FUNCTIONS = new Set(['sin', 'cos', 'tan', 'log', 'ln', 'exp', 'gcd', 'lcm', 'min', 'max', 'deg', 'det', 'lim', 'sup', 'inf']);
+
+// Commands whose argument is kept as plain text.
+const TEXT_WRAPPERS = new Set(['emph', 'textbf', 'textit', 'textrm', 'textsf', 'texttt', 'textup', 'textnormal',
+  'underline', 'mbox', 'text', 'mathrm', 'mathit', 'mathbf', 'mathsf', 'mathtt', 'operatorname', 'hbox']);
+
+// Commands dropped together with their argument.
+const DROPPED_WITH_ARGUMENT = new Set(['label', 'index', 'vspace', 'hspace', 'vspace*', 'hspace*']);
+
+// Commands dropped on their own: layout and spacing.
+const DROPPED = new Set(['noindent', 'indent', 'par', 'qedhere', 'medskip', 'smallskip', 'bigskip', 'newline',
+  'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'displaystyle', 'textstyle',
+  'limits', 'nonumber', 'notag', 'quad', 'qquad', 'centering', 'hfill', 'item']);
+
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹', '+': '⁺', '-': '⁻', n: 'ⁿ'
+};
+
+const SUBSCRIPTS = { 0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉' };
+
+export function importLatex(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    return { ok: false, error: 'The file is empty' };
+  }
+
+  const unsupported = new Map();
+  const report = name => unsupported.set(name, (unsupported.get(name) || 0) + 1);
+
+  const text = stripComments(source);
+  const environments = { ...DEFAULT_ENVIRONMENTS, ...declaredTheorems(text) };
+  const body = documentBody(text);
+
+  const entries = [];
+  const skipped = new Map();
+  let numbered = 0;
+
+  // Wrappers such as center or frame are searched for theorems too.
+  const collect = text => {
+    for (const env of topLevelEnvironments(text)) {
+      const kind = environments[env.name.replace(/\*$/, '')];
+
+      if (kind) {
+        entries.push({
+          kind,
+          number: env.name.endsWith('*') ? null : String(++numbered),
+          name: env.option ? convertText(env.option, report) : null,
+          statement: convertText(env.content, report),
+          proof: null
+        });
+      } else if (env.name === 'proof') {
+        const owner = entries[entries.length - 1];
+        const proof = convertText(env.content, report);
+        if (owner && owner.proof === null) {
+          owner.proof = proof;
+        } else {
+          entries.push({ kind: null, number: null, name: null, statement: null, proof });
+        }
+      } else if (!MATH_ENVIRONMENTS.has(env.name) && !LIST_ENVIRONMENTS.has(env.name)) {
+        const before = entries.length;
+        collect(env.content);
+        if (entries.length === before) skipped.set(env.name, (skipped.get(env.name) || 0) + 1);
+      }
+    }
+  };
+  collect(body);
+
+  if (entries.length === 0) {
+    return { ok: false, error: 'No theorem, lemma or proof environments found' };
+  }
+
+  return {
+    ok: true,
+    theorems: entries.map(entry => ({
+      kind: entry.kind,
+      number: entry.number,
+      name: entry.name,
+      english: toEnglish(entry)
+    })),
+    unsupported: [...unsupported].map(([name, count]) => ({ name, count })),
+    skipped: [...skipped].map(([name, count]) => ({ name, count }))
+  };
+}
+
+function toEnglish({ kind, number, name, statement, proof }) {
+  if (!kind) return `${proof}\n`;
+
+  const header = [kind.charAt(0).toUpperCase() + kind.slice(1), number].filter(Boolean).join(' ');
+  const title = name ? `${header} (${name.replace(/[()]/g, '')})` : header;
+  return proof
+    ? `${title}: ${statement}\n\nProof. ${proof} ∎\n`
+    : `${title}: ${statement}\n`;
+}
+
+function stripComments(text) {
+  return text.replace(/(^|[^\\])%.*$/gm, '$1');
+}
+
+// \newtheorem{thm}{Theorem} and \newtheorem{lem}[thm]{Lemma}
+function declaredTheorems(text) {
+  const declared = {};
+  for (const match of text.matchAll(/\\newtheorem\*?\{([^}]+)\}(?:\[[^\]]*\])?\{([^}]+)\}/g)) {
+    const kind = match[2].trim().toLowerCase();
+    if (KINDS.includes(kind)) declared[match[1].trim()] = kind;
+  }
+  return declared;
+}
+
+function documentBody(text) {
+  const start = text.indexOf('\\begin{document}');
+  if (start < 0) return text;
+  const end = text.indexOf('\\end{document}', start);
+  return text.slice(start + '\\begin{document}'.length, end < 0 ? text.length : end);
+}
+
+// Environments that are not nested inside another environment.
+function topLevelEnvironments(text) {
+  const found = [];
+  const begin = /\\begin\{([^}]+)\}/g;
+  let match;
+
+  while ((match = begin.exec(text)) !== null) {
+    const name = match[1];
+    let contentStart = match.index + match[0].length;
+    let option = null;
+
+    const optional = readOptional(text, contentStart);
+    if (optional) {
+      option = optional.content;
+      contentStart = optional.end;
+    }
+
+    const end = findEnd(text, name, contentStart);
+    const contentEnd = end < 0 ? text.length : end;
+    found.push({ name, option, content: text.slice(contentStart, contentEnd) });
+    begin.lastIndex = end < 0 ? text.length : end + `\\end{${name}}`.length;
+  }
+
+  return found;
+}
+
+function findEnd(text, name, from) {
+  const open = `\\begin{${name}}`;
+  const close = `\\end{${name}}`;
+  let depth = 1;
+  let i = from;
+
+  while (depth > 0) {
+    const nextOpen = text.indexOf(open, i);
+    const nextClose = text.indexOf(close, i);
+    if (nextClose < 0) return -1;
+    if (nextOpen >= 0 && nextOpen < nextClose) {
+      depth++;
+      i = nextOpen + open.length;
+    } else {
+      depth--;
+      i = nextClose + close.length;
+    }
+  }
+  return i - close.length;
+}
+
+// Reads {...} starting at `i` (after optional spaces), honouring nested braces.
+function readGroup(text, i) {
+  let start = i;
+  while (start < text.length && /\s/.test(text[start])) start++;
+  if (text[start] !== '{') return null;
+
+  let depth = 0;
+  for (let j = start; j < text.length; j++) {
+    if (text[j] === '\\') {
+      j++;
+      continue;
+    }
+    if (text[j] === '{') depth++;
+    if (text[j] === '}' && --depth === 0) {
+      return { content: text.slice(start + 1, j), end: j + 1 };
+    }
+  }
+  return { content: text.slice(start + 1), end: text.length };
+}
+
+function readOptional(text, i) {
+  if (text[i] !== '[') return null;
+  const end = text.indexOf(']', i);
+  if (end < 0) return null;
+  return { content: text.slice(i + 1, end), end: end + 1 };
+}
+
+// Prose: math is converted in place, formatting is stripped.
+function convertText(text, report) {
+  let out = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const math = readMath(text, i);
+    if (math) {
+      out += convertMath(math.content, report);
+      i = math.end;
+      continue;
+    }
+
+    const ch = text[i];
+    if (ch === '\\') {
+      const command = readCommand(text, i);
+      out += convertTextCommand(command, text, report, (next) => { i = next; });
+      continue;
+    }
+
+    if (text.startsWith('``', i) || text.startsWith("''", i)) {
+      out += '"';
+      i += 2;
+      continue;
+    }
+
+    if (ch === '~') out += ' ';
+    else if (ch !== '{' && ch !== '}') out += ch;
+    i++;
+  }
+
+  return tidy(out);
+}
+
+function convertTextCommand(command, text, report, advance) {
+  const { name, end } = command;
+
+  if (name === '\\') {
+    advance(end);
+    return '\n';
+  }
+  if (/^[%&$#_{}]$/.test(name)) {
+    advance(end);
+    return name;
+  }
+  if (/^[ ,;:@/-]$/.test(name)) {
+    advance(end);
+    return name === ' ' || name === ',' || name === ';' || name === ':' ? ' ' : '';
+  }
+  if (name === 'begin' || name === 'end') {
+    // Lists and other inner environments: keep their contents, drop the markers
+    const group = readGroup(text, end);
+    advance(group ? group.end : end);
+    return name === 'begin' ? ' ' : '\n';
+  }
+  if (TEXT_WRAPPERS.has(name)) {
+    const group = readGroup(text, end);
+    if (group) {
+      advance(group.end);
+      return convertText(group.content, report);
+    }
+  }
+  if (DROPPED_WITH_ARGUMENT.has(name)) {
+    const group = readGroup(text, end);
+    advance(group ? group.end : end);
+    return '';
+  }
+  if (DROPPED.has(name)) {
+    advance(end);
+    return name === 'item' ? '\n' : ' ';
+  }
+  if (MATH_SYMBOLS[name]) {
+    advance(end);
+    return MATH_SYMBOLS[name];
+  }
+
+  const raw = unsupportedCommand(name, text, end, report);
+  advance(raw.end);
+  return raw.text;
+}
+
+// Unknown commands stay in the text verbatim, arguments included.
+function unsupportedCommand(name, text, end, report) {
+  report(`\\${name}`);
+  let raw = `\\${name}`;
+  let group = text[end] === '{' ? readGroup(text, end) : null;
+  while (group) {
+    raw += `{${text.slice(end + 1, group.end - 1)}}`;
+    end = group.end;
+    group = text[end] === '{' ? readGroup(text, end) : null;
+  }
+  return { text: raw, end };
+}
+
+function readCommand(text, i) {
+  const match = /^\\([A-Za-z]+\*?|.)/.exec(text.slice(i));
+  return match ? { name: match[1], end: i + match[0].length } : { name: '', end: i + 1 };
+}
+
+// $...$, $$...$$, \(...\), \[...\] and the display environments.
+function readMath(text, i) {
+  const delimiters = [['$$', '$$'], ['\\[', '\\]'], ['\\(', '\\)'], ['$', '$']];
+  for (const [open, close] of delimiters) {
+    if (!text.startsWith(open, i)) continue;
+    if (open === '$' && text[i - 1] === '\\') continue;
+    const end = findUnescaped(text, close, i + open.length);
+    if (end < 0) return null;
+    return { content: text.slice(i + open.length, end), end: end + close.length };
+  }
+
+  const env = /^\\begin\{([^}]+)\}/.exec(text.slice(i));
+  if (env && MATH_ENVIRONMENTS.has(env[1])) {
+    const contentStart = i + env[0].length;
+    const end = findEnd(text, env[1], contentStart);
+    const contentEnd = end < 0 ? text.length : end;
+    return {
+      content: text.slice(contentStart, contentEnd),
+      end: end < 0 ? text.length : end + `\\end{${env[1]}}`.length
+    };
+  }
+  return null;
+}
+
+function findUnescaped(text, needle, from) {
+  let i = text.indexOf(needle, from);
+  while (i > 0 && text[i - 1] === '\\' && needle === '$') i = text.indexOf(needle, i + 1);
+  return i;
+}
+
+export function convertMath(src, report = () => {}) {
+  let out = '';
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === '\\') {
+      const { name, end } = readCommand(src, i);
+      const converted = convertMathCommand(name, src, end, report);
+      out += converted.text;
+      i = converted.end;
+      continue;
+    }
+
+    if (ch === '^' || ch === '_') {
+      const group = readGroup(src, i + 1);
+      const arg = group ? group.content : src[i + 1] || '';
+      const end = group ? group.end : i + 2;
+      out += ch === '^' ? superscript(convertMath(arg, report)) : subscript(convertMath(arg, report));
+      i = end;
+      continue;
+    }
+
+    if (ch === '&' || ch === '{' || ch === '}') {
+      i++;
+      continue;
+    }
+
+    out += ch === '~' ? ' ' : ch;
+    i++;
+  }
+
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+function convertMathCommand(name, src, end, report) {
+  const group = () => readGroup(src, end);
+
+  if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+    const num = readGroup(src, end);
+    const den = num && readGroup(src, num.end);
+    if (num && den) {
+      return { text: `${wrap(convertMath(num.content, report))}/${wrap(convertMath(den.content, report))}`, end: den.end };
+    }
+  }
+  if (name === 'sqrt' && src[end] !== '[') {
+    const arg = group();
+    if (arg) return { text: `√${wrap(convertMath(arg.content, report))}`, end: arg.end };
+  }
+  if (name === 'mathbb' || name === 'mathbf') {
+    const arg = group();
+    if (arg && NUMBER_SETS[arg.content.trim()]) return { text: NUMBER_SETS[arg.content.trim()], end: arg.end };
+  }
+  if (name === 'pmod') {
+    const arg = group();
+    if (arg) return { text: ` (mod ${convertMath(arg.content, report)})`, end: arg.end };
+  }
+  if (name === 'bmod' || name === 'mod') return { text: ' mod ', end };
+  if (TEXT_WRAPPERS.has(name)) {
+    const arg = group();
+    if (arg) {
+      const inner = name.startsWith('text') || name === 'mbox' ? arg.content : convertMath(arg.content, report);
+      return { text: ` ${inner.trim()} `, end: arg.end };
+    }
+  }
+  if (DROPPED_WITH_ARGUMENT.has(name)) {
+    const arg = group();
+    return { text: '', end: arg ? arg.end : end };
+  }
+  if (DROPPED.has(name) || name === ',' || name === ';' || name === ':' || name === '!' || name === ' ') {
+    return { text: ' ', end };
+  }
+  if (name === '\\') return { text: ' ', end };
+  if (name === '{' || name === '}' || name === '|' || name === '%' || name === '&' || name === '$' || name === '#') {
+    return { text: name, end };
+  }
+  if (MATH_SYMBOLS[name]) return { text: ` ${MATH_SYMBOLS[name]} `, end };
+  if (FUNCTIONS.has(name)) return { text: name, end };
+
+  return unsupportedCommand(name, src, end, report);
+}
+
+function superscript(text) {
+  const chars = [...text];
+  if (chars.length > 0 && chars.every(c => SUPERSCRIPTS[c])) return chars.map(c => SUPERSCRIPTS[c]).join('');
+  return `^${wrap(text)}`;
+}
+
+function subscript(text) {
+  if (/^\d+$/.test(text)) return [...text].map(c => SUBSCRIPTS[c]).join('');
+  return `_${text}`;
+}
+
+function wrap(text) {
+  return /^[\w.ℕℤℚℝℂα-ω']+$/.test(text) ? text : `(${text})`;
+}
+
+// Single line breaks are LaTeX source formatting; blank lines end a paragraph.
+function tidy(text) {
+  return text
+    .split(/\n[ \t]*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
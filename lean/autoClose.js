@@ -0,0 +1,167 @@
+// lean/autoClose.js - try standard tactics in place of each `sorry`
+import { validateLean } from './validator.js';
+import { withImports } from './imports.js';
+
+export const DEFAULT_CANDIDATES = [
+  'rfl',
+  'simp',
+  'omega',
+  'norm_num',
+  'ring',
+  'linarith',
+  'positivity',
+  'decide',
+  'aesop'
+];
+
+export function findSorryHoles(leanCode) {
+  const holes = [];
+
+  leanCode.split('\n').forEach((line, i) => {
+    const commentStart = line.indexOf('--');
+    const code = commentStart === -1 ? line : line.slice(0, commentStart);
+    for (const match of code.matchAll(/\bsorry\b/g)) {
+      holes.push({ line: i + 1, column: match.index });
+    }
+  });
+
+  return holes;
+}
+
+export function fillHole(leanCode, hole, tactic) {
+  const lines = leanCode.split('\n');
+  const line = lines[hole.line - 1];
+  lines[hole.line - 1] = line.slice(0, hole.column) + tactic + line.slice(hole.column + 'sorry'.length);
+  return lines.join('\n');
+}
+
+// Candidates are checked with the imports they need (linarith, positivity...)
+// added, since the generated code only imports what it used. The returned code
+// keeps those imports; lineOffset is how many lines they pushed it down, and
+// the hole lines in the report are already shifted by it.
+export async function autoCloseHoles(leanCode, options = {}) {
+  const {
+    candidates = DEFAULT_CANDIDATES,
+    attemptTimeout = 10000,
+    validate = (code, opts) => validateLean(code, opts),
+    imports = 'minimal',
+    goalsAfter = null,
+    onProgress = null
+  } = options;
+
+  const holes = findSorryHoles(leanCode);
+  const report = { code: leanCode, closed: [], open: [], attempts: 0, validation: null, lineOffset: 0 };
+
+  if (holes.length === 0) return report;
+
+  // Diagnostics come back in the lines of the code as generated, so holes
+  // and errors can be compared whatever imports were added.
+  const check = async (code, timeout) => {
+    const source = withImports(code, { style: imports });
+    const offset = lineCount(source) - lineCount(code);
+    const result = await validate(source, { timeout });
+    return { source, offset, result, local: shiftDiagnostics(result, -offset) };
+  };
+
+  let baseline = await check(leanCode, attemptTimeout * 3);
+  if (!completed(baseline.result)) {
+    // Without positions we cannot tell a failing candidate from an existing error
+    report.open = holes;
+    report.validation = baseline.result;
+    report.error = baseline.result?.error || 'Validator returned no diagnostics';
+    return report;
+  }
+
+  // Bottom-up, so filling a hole never shifts the position of one still to try
+  for (const hole of [...holes].reverse()) {
+    let closedBy = null;
+    const reached = elaborated(baseline.local, hole, report.code.split('\n'));
+
+    for (const tactic of candidates) {
+      report.attempts++;
+      if (onProgress) onProgress({ hole, tactic, attempt: report.attempts });
+
+      const attempt = fillHole(report.code, hole, tactic);
+      let checked;
+      try {
+        checked = await check(attempt, attemptTimeout);
+      } catch (err) {
+        continue;
+      }
+
+      if (!completed(checked.result) || introducesErrors(baseline.local, checked.local)) continue;
+      if (!reached && !(await goalClosed(goalsAfter, checked, hole, tactic))) continue;
+
+      report.code = attempt;
+      baseline = checked;
+      closedBy = tactic;
+      break;
+    }
+
+    if (closedBy) {
+      report.closed.unshift({ ...hole, tactic: closedBy });
+    } else {
+      report.open.unshift(hole);
+    }
+  }
+
+  const offset = baseline.offset;
+  report.code = baseline.source;
+  report.lineOffset = offset;
+  report.closed = report.closed.map(h => ({ ...h, line: h.line + offset }));
+  report.open = report.open.map(h => ({ ...h, line: h.line + offset }));
+  report.validation = baseline.result;
+  return report;
+}
+
+// A run that failed without reporting any error position (timeout, crash)
+// tells us nothing about the candidate.
+function completed(result) {
+  if (!result || !result.diagnostics) return false;
+  return result.ok || result.diagnostics.some(d => d.severity === 'error');
+}
+
+function introducesErrors(before, after) {
+  const key = d => `${d.startLine}:${d.message}`;
+  const known = new Set(before.diagnostics.filter(d => d.severity === 'error').map(key));
+  return after.diagnostics.some(d => d.severity === 'error' && !known.has(key(d)));
+}
+
+// Lean abandons a tactic block at its first error, so a hole after an error in
+// its own block or in a block around it is never elaborated, and any candidate
+// would seem to work there. An error line blocks the hole when nothing after it,
+// up to and including the hole's line, is indented less than it.
+function elaborated(validation, hole, lines) {
+  const indent = line => line.length - line.trimStart().length;
+  const skipped = line => !line.trim() || line.trim().startsWith('--');
+
+  return !validation.diagnostics.some(d => {
+    if (d.severity !== 'error' || d.startLine >= hole.line) return false;
+    const level = indent(lines[d.startLine - 1] || '');
+    return lines.slice(d.startLine, hole.line).every(line => skipped(line) || indent(line) >= level);
+  });
+}
+
+// Past an earlier error, a candidate only counts when the server reports no
+// goals left right after it.
+async function goalClosed(goalsAfter, checked, hole, tactic) {
+  if (!goalsAfter) return false;
+  try {
+    const goals = await goalsAfter(checked.source, { line: hole.line + checked.offset, character: hole.column + tactic.length });
+    return Array.isArray(goals) && goals.length === 0;
+  } catch {
+    return false;
+  }
+}
+
+function shiftDiagnostics(result, offset) {
+  if (!result?.diagnostics || offset === 0) return result;
+  return {
+    ...result,
+    diagnostics: result.diagnostics.map(d => ({ ...d, startLine: d.startLine + offset, endLine: d.endLine + offset }))
+  };
+}
+
+function lineCount(code) {
+  return code.split('\n').length;
+}
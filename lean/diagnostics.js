@@ -0,0 +1,155 @@
+// lean/diagnostics.js - one diagnostic shape for CLI output and LSP messages
+//
+// Diagnostic: { severity: 'error' | 'warning' | 'info', startLine, startCol,
+//               endLine, endCol, message, goals: string[], sorry: boolean }
+// Lines are 1-based and columns 0-based, matching Lean's own messages.
+
+const LSP_SEVERITIES = { 1: 'error', 2: 'warning', 3: 'info', 4: 'info' };
+const TEXT_HEADER = /^(.*?\.lean):(\d+):(\d+)(?:-(\d+):(\d+))?:\s*(error|warning|info|information):\s?(.*)$/i;
+
+export function createDiagnostic(fields) {
+  const {
+    severity = 'error',
+    startLine = 1,
+    startCol = 0,
+    endLine = startLine,
+    endCol = startCol,
+    message = ''
+  } = fields;
+
+  const text = message.trimEnd();
+  return {
+    severity,
+    startLine,
+    startCol,
+    endLine,
+    endCol,
+    message: text,
+    goals: fields.goals || extractGoals(text),
+    sorry: severity === 'warning' && /declaration uses 'sorry'/.test(text)
+  };
+}
+
+export function parseLeanOutput(stdout = '', stderr = '') {
+  const diagnostics = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) diagnostics.push(createDiagnostic(current));
+    current = null;
+  };
+
+  `${stdout}\n${stderr}`.split('\n').forEach(line => {
+    const json = parseJsonMessage(line);
+    if (json) {
+      flush();
+      diagnostics.push(json);
+      return;
+    }
+
+    const header = line.match(TEXT_HEADER);
+    if (header) {
+      flush();
+      const [, , line1, col1, line2, col2, severity, message] = header;
+      current = {
+        severity: severity.toLowerCase().startsWith('info') ? 'info' : severity.toLowerCase(),
+        startLine: parseInt(line1),
+        startCol: parseInt(col1),
+        endLine: line2 ? parseInt(line2) : parseInt(line1),
+        endCol: col2 ? parseInt(col2) : parseInt(col1),
+        message
+      };
+      return;
+    }
+
+    if (current) current.message += '\n' + line;
+  });
+
+  flush();
+  return diagnostics;
+}
+
+// `lean --json` prints one message object per line.
+function parseJsonMessage(line) {
+  if (!line.startsWith('{')) return null;
+
+  try {
+    const msg = JSON.parse(line);
+    if (!msg.pos || typeof msg.data !== 'string') return null;
+
+    return createDiagnostic({
+      severity: msg.severity === 'information' ? 'info' : msg.severity,
+      startLine: msg.pos.line,
+      startCol: msg.pos.column,
+      endLine: msg.endPos ? msg.endPos.line : msg.pos.line,
+      endCol: msg.endPos ? msg.endPos.column : msg.pos.column,
+      message: msg.data
+    });
+  } catch {
+    return null;
+  }
+}
+
+export function fromLspDiagnostic(d) {
+  return createDiagnostic({
+    severity: LSP_SEVERITIES[d.severity] || 'error',
+    startLine: d.range.start.line + 1,
+    startCol: d.range.start.character,
+    endLine: d.range.end.line + 1,
+    endCol: d.range.end.character,
+    message: d.message
+  });
+}
+
+// Tactic failures ("unsolved goals", "linarith failed", ...) print the goal
+// states after the first line, separated by blank lines.
+function extractGoals(message) {
+  if (!message.includes('⊢')) return [];
+
+  const body = message.slice(message.indexOf('\n') + 1);
+  return body
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(block => block.includes('⊢'));
+}
+
+export function countDiagnostics(diagnostics) {
+  return {
+    error: diagnostics.filter(d => d.severity === 'error').length,
+    warning: diagnostics.filter(d => d.severity === 'warning' && !d.sorry).length,
+    sorry: diagnostics.filter(d => d.sorry).length,
+    info: diagnostics.filter(d => d.severity === 'info').length
+  };
+}
+
+export function summarizeDiagnostics(diagnostics, extra = {}) {
+  const counts = countDiagnostics(diagnostics);
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  const warnings = diagnostics.filter(d => d.severity === 'warning');
+
+  const base = {
+    stdout: '',
+    stderr: '',
+    ...extra,
+    diagnostics,
+    counts,
+    errors,
+    warnings
+  };
+
+  if (errors.length > 0) {
+    return {
+      ...base,
+      ok: false,
+      error: `${errors.length} error(s) found. First error: ${errors[0].message.split('\n')[0]}`
+    };
+  }
+
+  return {
+    ...base,
+    ok: true,
+    message: warnings.length > 0
+      ? `Validation passed with ${warnings.length} warning(s).${counts.sorry ? " Check for 'sorry' statements." : ''}`
+      : 'Lean validation successful - all proofs complete!'
+  };
+}
@@ -1,22 +1,45 @@
 // lean/generator.js - deterministic mapping from proofTree -> Lean skeleton
+import { parseStatement, parseMath, parseTyping, collectVariables, collectFunctions } from '../nlp/mathExpr.js';
+import { substitute } from '../nlp/polynomial.js';
+import { theoremHypothesisId } from '../nlp/proofTree.js';
+import { printTerm, printRelation } from './terms.js';
+import { composeRelations, justifyRelation, proveProposition } from './tactics.js';
+import { withImports } from './imports.js';
 
 export function generateLean(tree, options = {}) {
+  return generateLeanWithMap(tree, options).code;
+}
+
+export function generateLeanWithMap(tree, options = {}) {
   const {
     theoremName = 'user_proof',
     includeComments = true,
-    useAdmit = true
+    useAdmit = true,
+    assumptionStyle = 'binders',
+    imports = 'minimal'
   } = options;
   
   if (!tree || typeof tree !== 'object') {
-    return '-- Error: Invalid proof tree\n';
+    return { code: '-- Error: Invalid proof tree\n', nodeLines: {}, sourceMap: [] };
   }
   
   const ctx = {
     code: '',
     indent: 0,
+    lineCount: 0,
+    lastContentLine: 0,
+    pendingNode: null,
+    nodeLines: {},
+    ranges: [],
     hypotheses: new Map(),
+    facts: new Map(),
+    witnesses: new Map(),
+    target: null,
+    introNames: [],
     variables: new Map(),
-    stepCounter: 1
+    declared: new Set(),
+    stepCounter: 1,
+    hypCounter: 0
   };
   
   inferTypes(tree, ctx);
@@ -24,23 +47,111 @@ export function generateLean(tree, options = {}) {
   addLine(ctx, '-- Generated Lean 4 skeleton (rule-based)');
   addLine(ctx, '');
   
-  if (ctx.variables.size > 0) {
-    generateVariableDeclarations(ctx);
-    addLine(ctx, '');
-  }
+  const theorems = tree.theorems?.length ? tree.theorems : [null];
+  
+  theorems.forEach((theorem, i) => {
+    ctx.indent = 0;
+    if (i > 0) addLine(ctx);
+    
+    ctx.hypotheses = new Map();
+    ctx.facts = new Map();
+    ctx.witnesses = new Map();
+    ctx.introNames = [];
+    ctx.declared = new Set();
+    ctx.hypCounter = 0;
+    
+    const view = theorem ? theoremView(tree, theorem) : tree;
+    const name = theoremNameFor(theorem, i, theorems.length, theoremName);
+    
+    const headerStart = ctx.lineCount + 1;
+    if (theorem && includeComments) {
+      addComment(ctx, `${capitalize(theorem.kind)}${theorem.number ? ' ' + theorem.number : ''}: ${theorem.text}`);
+    }
+    
+    const signature = generateTheoremSignature(view, name, ctx, theorem, assumptionStyle);
+    addLine(ctx, signature);
+    if (theorem) addRange(ctx, theorem.id, headerStart);
+    ctx.hypotheses.forEach((hypName, id) => {
+      ctx.nodeLines[id] = ctx.lineCount;
+      addRange(ctx, id, ctx.lineCount);
+    });
+    
+    ctx.indent = 1;
+    generateProofBody(view, ctx, includeComments, useAdmit);
+  });
+  
+  const code = withImports(ctx.code, { style: imports });
+  const offset = code.slice(0, code.length - ctx.code.length).split('\n').length - 1;
+  const nodeLines = {};
+  Object.entries(ctx.nodeLines).forEach(([id, line]) => {
+    nodeLines[id] = line + offset;
+  });
   
-  const signature = generateTheoremSignature(tree, theoremName, ctx);
-  addLine(ctx, signature);
+  const spans = nodeSpans(tree);
+  const sourceMap = ctx.ranges.map(r => ({
+    nodeId: r.nodeId,
+    startLine: r.startLine + offset,
+    endLine: r.endLine + offset,
+    span: spans.get(r.nodeId) || null
+  }));
   
-  ctx.indent = 1;
-  generateProofBody(tree, ctx, includeComments, useAdmit);
+  return { code, nodeLines, sourceMap };
+}
+
+// Records that Lean lines startLine..(last non-blank line so far) came from nodeId.
+function addRange(ctx, nodeId, startLine) {
+  const endLine = Math.max(startLine, ctx.lastContentLine);
+  ctx.ranges.push({ nodeId, startLine, endLine });
+}
+
+function nodeSpans(tree) {
+  const spans = new Map();
+  [...(tree.assumptions || []), ...(tree.steps || []), ...(tree.goals || [])].forEach(node => {
+    if (node.span) spans.set(node.id, node.span);
+  });
+  (tree.theorems || []).forEach(theorem => {
+    if (theorem.span) spans.set(theorem.id, theorem.span);
+    (theorem.hypothesisSpans || []).forEach((span, i) => spans.set(theoremHypothesisId(theorem.id, i), span));
+  });
+  return spans;
+}
+
+function theoremView(tree, theorem) {
+  return {
+    ...tree,
+    assumptions: (tree.assumptions || []).filter(a => a.theoremId === theorem.id),
+    steps: (tree.steps || []).filter(st => st.theoremId === theorem.id),
+    goal: (tree.goals || []).find(g => g.id === theorem.goalId) || null
+  };
+}
+
+function theoremNameFor(theorem, index, count, baseName) {
+  if (theorem?.name) {
+    const slug = theorem.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    if (slug) return /^[0-9]/.test(slug) ? `${theorem.kind}_${slug}` : slug;
+  }
   
-  return ctx.code;
+  return count > 1 ? `${baseName}_${index + 1}` : baseName;
+}
+
+function capitalize(word) {
+  return word ? word.charAt(0).toUpperCase() + word.slice(1) : '';
 }
 
 function addLine(ctx, text = '') {
   const indentStr = '  '.repeat(ctx.indent);
   ctx.code += indentStr + text + '\n';
+  ctx.lineCount++;
+  if (text.trim()) ctx.lastContentLine = ctx.lineCount;
+  
+  // A node maps to the first Lean line it produced that is not a comment.
+  if (ctx.pendingNode && text.trim() && !text.trim().startsWith('--')) {
+    ctx.nodeLines[ctx.pendingNode] = ctx.lineCount;
+    ctx.pendingNode = null;
+  }
 }
 
 function addComment(ctx, text) {
@@ -62,6 +173,12 @@ function inferTypes(tree, ctx) {
       scanForTypes(a.text, ctx);
     });
   }
+  
+  if (tree.theorems) {
+    tree.theorems.forEach(t => {
+      t.hypotheses.forEach(h => scanForTypes(h, ctx));
+    });
+  }
 }
 
 function inferVariableType(entity, tree) {
@@ -110,137 +227,203 @@ function scanForTypes(text, ctx) {
   });
 }
 
-function generateVariableDeclarations(ctx) {
-  addComment(ctx, 'Variable declarations');
-  ctx.variables.forEach((type, name) => {
-    addLine(ctx, `variable (${name} : ${type})`);
-  });
+function generateTheoremSignature(tree, theoremName, ctx, theorem = null, assumptionStyle = 'binders') {
+  const hypotheses = collectHypotheses(tree, theorem, ctx);
+  
+  const claimText = theorem
+    ? (theorem.claim || theorem.text)
+    : (tree.goal?.text || (tree.steps?.length ? tree.steps[tree.steps.length - 1].text : null));
+  
+  const claim = claimText ? formalize(claimText) : null;
+  const params = variableBinders(tree, hypotheses, claim, ctx);
+  ctx.target = claim?.ast || null;
+  let target = claimText ? formalizeOrTodo(claim?.lean, claimText, ctx) : 'True';
+  
+  if (assumptionStyle === 'intro' && hypotheses.length > 0) {
+    target = claim
+      ? printTerm(hypotheses.reduceRight((right, h) => ({ kind: 'binary', op: '→', left: h.ast, right }), claim.ast))
+      : [...hypotheses.map(h => h.lean), target].join(' → ');
+    ctx.introNames = hypotheses.map(h => h.name);
+  } else {
+    hypotheses.forEach(h => params.push(`(${h.name} : ${h.lean})`));
+  }
+  
+  const signature = params.length ? ' ' + params.join(' ') : '';
+  return `theorem ${theoremName}${signature} : ${target} := by`;
 }
 
-function generateTheoremSignature(tree, theoremName, ctx) {
-  const goalText = tree.goal?.text || (tree.steps?.length ? tree.steps[tree.steps.length - 1].text : null);
+function collectHypotheses(tree, theorem, ctx) {
+  const hypotheses = [];
+  
+  const addHypothesis = (id, text) => {
+    const typing = parseTyping(text);
+    if (typing) {
+      typing.vars.forEach(v => {
+        ctx.variables.set(v, typing.type);
+        ctx.declared.add(v);
+      });
+      return;
+    }
+    
+    const prop = formalize(text);
+    if (!prop) {
+      addComment(ctx, `TODO: formalize assumption "${text}"`);
+      return;
+    }
+    
+    const existing = hypotheses.find(h => h.lean === prop.lean);
+    if (existing) {
+      ctx.hypotheses.set(id, existing.name);
+      return;
+    }
+    
+    const name = `h${++ctx.hypCounter}`;
+    hypotheses.push({ name, ...prop });
+    ctx.hypotheses.set(id, name);
+    ctx.facts.set(name, prop.ast);
+  };
   
-  if (!goalText) {
-    return `theorem ${theoremName} : True := by`;
+  if (theorem) {
+    theorem.hypotheses.forEach((hyp, i) => addHypothesis(theoremHypothesisId(theorem.id, i), hyp));
   }
+  (tree.assumptions || []).forEach(a => addHypothesis(a.id, a.text));
   
-  const leanProp = parseGoalToLean(goalText, ctx);
-  
-  return `theorem ${theoremName} : ${leanProp} := by`;
+  return hypotheses;
 }
 
-function parseGoalToLean(text, ctx) {
-  const lower = text.toLowerCase();
+// Variables a step binds itself ("there exists k", "for some k", "for all x",
+// "choose k"); they are not parameters of the theorem.
+const LOCAL_VARIABLE_PATTERN = /\b(there\s+(?:exists?|is|are)|for\s+(?:some|all|every|each|any)|choose|take|pick)\s+(?:some\s+)?(?:an?\s+)?(?:(?:integers?|natural\s+numbers?|real\s+numbers?|numbers?)\s+)?([a-z](?:\s*,\s*[a-z])*)\b/gi;
+
+// A witness that only one statement formula mentions ("n = 2 * k + 1" with k
+// obtained in the proof) is existentially closed there rather than becoming a
+// parameter of the theorem.
+function variableBinders(tree, hypotheses, claim, ctx) {
+  const local = new Set();
+  const witnesses = new Set();
+  (tree.steps || []).forEach(st => {
+    (st.witnesses || []).forEach(w => {
+      witnesses.add(w);
+      local.add(w);
+    });
+    for (const match of st.text.matchAll(LOCAL_VARIABLE_PATTERN)) {
+      const vars = match[2].split(/\s*,\s*/);
+      vars.forEach(v => local.add(v));
+      if (!/^for\s+(?:all|every|each|any)$/i.test(match[1])) vars.forEach(v => witnesses.add(v));
+    }
+  });
   
-  let clean = text
-    .replace(/^(therefore|hence|thus|we conclude that|this proves that)\s+/i, '')
-    .trim();
+  const statement = claim ? [...hypotheses, claim] : hypotheses;
+  const uses = statement.map(s => collectVariables(s.ast));
+  statement.forEach((s, i) => {
+    const own = [...uses[i]].filter(v => witnesses.has(v) && !ctx.declared.has(v) &&
+      uses.every((other, j) => j === i || !other.has(v)));
+    if (own.length === 0) return;
+    s.ast = { kind: 'exists', vars: own, body: s.ast };
+    s.lean = printTerm(s.ast);
+    if (s.name) ctx.facts.set(s.name, s.ast);
+  });
   
-  const evenOddMatch = clean.match(/([a-z])\s+is\s+(even|odd)/i);
-  if (evenOddMatch) {
-    const varName = evenOddMatch[1];
-    const prop = evenOddMatch[2].charAt(0).toUpperCase() + evenOddMatch[2].slice(1);
-    return `${prop} ${varName}`;
-  }
+  const steps = (tree.steps || []).map(st => formalize(st.text)).filter(Boolean);
+  const names = new Set(ctx.declared);
+  statement.forEach(s => collectVariables(s.ast, names));
+  steps.forEach(prop => collectVariables(prop.ast, new Set()).forEach(v => {
+    if (!local.has(v)) names.add(v);
+  }));
+  
+  const functions = new Map();
+  [...statement, ...steps].forEach(prop => collectFunctions(prop.ast, functions));
+  
+  const binders = [];
+  const bind = (v, type) => {
+    const last = binders[binders.length - 1];
+    if (last && last.type === type) {
+      last.names.push(v);
+    } else {
+      binders.push({ type, names: [v] });
+    }
+  };
   
-  const divisibleMatch = clean.match(/([a-z])\s+is\s+divisible\s+by\s+([a-z])/i);
-  if (divisibleMatch) {
-    return `${divisibleMatch[2]} ∣ ${divisibleMatch[1]}`;
-  }
+  [...names].filter(v => !functions.has(v)).forEach(v => bind(v, ctx.variables.get(v) || 'ℕ'));
   
-  const existsMatch = clean.match(/([a-z])\s*=\s*(.+)\s+for some\s+([a-z])/i);
-  if (existsMatch) {
-    return `∃ ${existsMatch[3]}, ${existsMatch[1]} = ${existsMatch[2]}`;
-  }
+  // Functions map the theorem's number type to itself
+  const types = new Set(binders.map(b => b.type));
+  const domain = types.size === 1 ? [...types][0] : 'ℕ';
+  functions.forEach((arity, f) => bind(f, Array(arity + 1).fill(domain).join(' → ')));
   
-  const forallMatch = clean.match(/for all\s+([a-z]),\s*(.+)/i);
-  if (forallMatch) {
-    return `∀ ${forallMatch[1]}, ${forallMatch[2]}`;
-  }
+  return binders.map(b => `(${b.names.join(' ')} : ${b.type})`);
+}
+
+function formalizeOrTodo(leanProp, text, ctx) {
+  if (leanProp) return leanProp;
   
-  return `True -- TODO: formalize "${clean}"`;
+  addComment(ctx, `TODO: formalize "${text}"`);
+  return 'True';
+}
+
+function formalize(text) {
+  const ast = parseStatement(text);
+  return ast ? { ast, lean: printTerm(ast) } : null;
 }
 
 function generateProofBody(tree, ctx, includeComments, useAdmit) {
-  if (tree.assumptions?.length) {
+  if (ctx.introNames.length) {
+    addLine(ctx, `intro ${ctx.introNames.join(' ')}`);
+    addLine(ctx);
+  }
+  
+  if (tree.assumptions?.length && includeComments) {
     addComment(ctx, 'Assumptions');
     tree.assumptions.forEach((a, i) => {
-      generateAssumption(a, i, ctx, includeComments, useAdmit);
+      generateAssumption(a, i, ctx);
+      addRange(ctx, a.id, ctx.lineCount);
     });
     addLine(ctx);
   }
   
   if (tree.steps?.length) {
-    addComment(ctx, 'Proof steps');
+    if (includeComments) addComment(ctx, 'Proof steps');
     tree.steps.forEach(step => {
+      const start = ctx.lineCount + 1;
       generateStep(step, tree, ctx, includeComments, useAdmit);
+      if (ctx.lineCount >= start) addRange(ctx, step.id, start);
     });
     addLine(ctx);
   }
   
+  const goalStart = ctx.lineCount + 1;
   if (tree.goal) {
-    addComment(ctx, `Goal: ${tree.goal.text}`);
+    if (includeComments) addComment(ctx, `Goal: ${tree.goal.text}`);
+    ctx.pendingNode = tree.goal.id;
   }
   
-  if (useAdmit) {
-    addLine(ctx, 'sorry');
-  }
-}
-
-function generateAssumption(assumption, index, ctx, includeComments, useAdmit) {
-  const hypName = `h${index + 1}`;
-  ctx.hypotheses.set(assumption.id, hypName);
+  const closing = ctx.target
+    ? proveProposition(ctx.target, { facts: stepFacts(tree.goal || { dependsOn: [] }, ctx), text: tree.goal?.text || '' })
+    : 'sorry';
   
-  if (includeComments) {
-    addComment(ctx, `Assumption ${index + 1}: ${assumption.text}`);
-  }
-  
-  const leanAssertion = parseAssumptionToLean(assumption.text, ctx);
-  
-  addLine(ctx, `have ${hypName} : ${leanAssertion} := by`);
-  ctx.indent++;
-  if (useAdmit) {
+  if (closing !== 'sorry') {
+    addLine(ctx, closing);
+  } else if (useAdmit) {
     addLine(ctx, 'sorry');
   }
-  ctx.indent--;
-  addLine(ctx);
+  
+  if (tree.goal) addRange(ctx, tree.goal.id, goalStart);
 }
 
-function parseAssumptionToLean(text, ctx) {
-  const lower = text.toLowerCase();
-  
-  let clean = text.replace(/^(assume|suppose|let)\s+/i, '').trim();
-  
-  const evenOddMatch = clean.match(/([a-z])\s+(?:is|be)\s+(?:an?\s+)?(even|odd)(?:\s+integer)?/i);
-  if (evenOddMatch) {
-    const varName = evenOddMatch[1];
-    const prop = evenOddMatch[2].charAt(0).toUpperCase() + evenOddMatch[2].slice(1);
-    return `${prop} ${varName}`;
-  }
-  
-  const primeMatch = clean.match(/([a-z])\s+(?:is|be)\s+(?:a\s+)?prime(?:\s+number)?/i);
-  if (primeMatch) {
-    return `Nat.Prime ${primeMatch[1]}`;
-  }
-  
-  const ineqMatch = clean.match(/([a-z])\s*([>≥<≤=≠])\s*(\d+)/);
-  if (ineqMatch) {
-    const op = { '>': '>', '≥': '≥', '<': '<', '≤': '≤', '=': '=', '≠': '≠' }[ineqMatch[2]] || ineqMatch[2];
-    return `${ineqMatch[1]} ${op} ${ineqMatch[3]}`;
-  }
-  
-  return `True -- TODO: formalize "${clean}"`;
+function generateAssumption(assumption, index, ctx) {
+  const hypName = ctx.hypotheses.get(assumption.id);
+  const role = hypName ? `hypothesis ${hypName}` : 'variable';
+  addComment(ctx, `Assumption ${index + 1}: ${assumption.text} (${role})`);
 }
 
 function generateStep(step, tree, ctx, includeComments, useAdmit) {
-  const stepName = `step_${step.id}`;
+  const start = ctx.lineCount;
+  ctx.pendingNode = step.id;
   
   if (includeComments) {
     addComment(ctx, `Step ${step.id} (${step.type}): ${step.text}`);
   }
   
-  const lower = step.text.toLowerCase();
-  
   switch (step.type) {
     case 'induction':
       generateInduction(step, ctx, useAdmit);
@@ -255,7 +438,7 @@ function generateStep(step, tree, ctx, includeComments, useAdmit) {
       break;
       
     case 'existential':
-      generateExistential(step, ctx, useAdmit);
+      generateExistential(step, ctx, includeComments, useAdmit);
       break;
       
     case 'universal':
@@ -272,14 +455,14 @@ function generateStep(step, tree, ctx, includeComments, useAdmit) {
       
     case 'arithmetic':
     case 'algebraic':
-      generateAlgebraic(step, ctx, useAdmit);
+      generateAlgebraic(step, ctx, includeComments, useAdmit);
       break;
       
     default:
-      generateGenericStep(step, ctx, useAdmit);
+      generateGenericStep(step, ctx, includeComments, useAdmit);
   }
   
-  addLine(ctx);
+  if (ctx.lineCount > start) addLine(ctx);
 }
 
 function generateInduction(step, ctx, useAdmit) {
@@ -344,20 +527,109 @@ function generateCaseAnalysis(step, ctx, useAdmit) {
   ctx.indent--;
 }
 
-function generateExistential(step, ctx, useAdmit) {
+function generateExistential(step, ctx, includeComments, useAdmit) {
+  if (step.technique === 'existential_elim' && step.witnesses?.length) {
+    generateObtain(step, ctx, includeComments, useAdmit);
+    return;
+  }
+  
+  const valueMatch = step.text.match(/\b(?:choose|take|pick|let|set|put)\s+([a-z])\s*(?:=|:=|to\s+be)\s*([^,.;]+)/i);
+  const value = valueMatch ? formalizeTerm(valueMatch[2]) : null;
+  
   const witnessMatch = step.text.match(/(?:exists?|choose|take)\s+([a-z](?:_\d+)?)/i) ||
                        step.text.match(/\b([a-z])\s*=\s*/i);
-  const witness = witnessMatch ? witnessMatch[1] : '_';
+  const witness = value || (witnessMatch ? witnessMatch[1] : '_');
   
   addLine(ctx, `use ${witness}`);
   if (useAdmit) {
     ctx.indent++;
-    addComment(ctx, `Prove the property holds for ${witness}`);
+    if (includeComments) addComment(ctx, `Prove the property holds for ${witness}`);
     addLine(ctx, 'sorry');
     ctx.indent--;
   }
 }
 
+function generateObtain(step, ctx, includeComments, useAdmit) {
+  const witnesses = step.witnesses;
+  const hypName = freshHypothesisName(ctx, `h${witnesses.join('')}`);
+  const sourceName = step.source ? ctx.hypotheses.get(step.source) : null;
+  const sourceFact = sourceName ? ctx.facts.get(sourceName) : null;
+  const stated = formalize(step.text);
+  const body = stated?.ast.kind === 'exists' ? stated.ast.body : stated?.ast || null;
+  
+  const pattern = `⟨${[...witnesses, hypName].join(', ')}⟩`;
+  
+  if (sourceName) {
+    addLine(ctx, `obtain ${pattern} := ${sourceName}`);
+  } else {
+    const claim = body
+      ? printTerm({ kind: 'exists', vars: witnesses, body })
+      : `∃ ${witnesses.join(' ')}, _`;
+    if (!useAdmit) {
+      // Nothing to unpack and no sorry allowed: leave the step for the user, as
+      // generateHave does with a step it cannot prove
+      addComment(ctx, `TODO: obtain ${pattern} : ${claim}`);
+      return;
+    }
+    addLine(ctx, `obtain ${pattern} : ${claim} := by`);
+    ctx.indent++;
+    addLine(ctx, 'sorry');
+    ctx.indent--;
+  }
+  
+  const fact = unpackedFact(sourceFact, witnesses) || body;
+  if (fact) {
+    ctx.facts.set(hypName, fact);
+    if (includeComments) addComment(ctx, `${hypName} : ${printTerm(fact)}`);
+  }
+  
+  ctx.hypotheses.set(step.id, hypName);
+  witnesses.forEach(w => ctx.witnesses.set(w, { stepId: step.id, hypothesis: hypName }));
+}
+
+function unpackedFact(fact, witnesses) {
+  if (!fact || witnesses.length === 0) return null;
+  
+  const w = { kind: 'var', name: witnesses[0] };
+  
+  if (fact.kind === 'pred' && fact.name === 'Even') {
+    return { kind: 'chain', operands: [fact.args[0], { kind: 'binary', op: '+', left: w, right: w }], relations: ['='] };
+  }
+  
+  if (fact.kind === 'pred' && fact.name === 'Odd') {
+    const twice = { kind: 'binary', op: '*', left: { kind: 'num', value: '2' }, right: w };
+    return { kind: 'chain', operands: [fact.args[0], { kind: 'binary', op: '+', left: twice, right: { kind: 'num', value: '1' } }], relations: ['='] };
+  }
+  
+  if (fact.kind === 'chain' && fact.relations.length === 1 && fact.relations[0] === '∣') {
+    const [divisor, dividend] = fact.operands;
+    return { kind: 'chain', operands: [dividend, { kind: 'binary', op: '*', left: divisor, right: w }], relations: ['='] };
+  }
+  
+  if (fact.kind === 'exists' && fact.vars.length === witnesses.length) {
+    return fact.vars.reduce(
+      (body, v, i) => substitute(body, { kind: 'var', name: v }, { kind: 'var', name: witnesses[i] }),
+      fact.body
+    );
+  }
+  
+  return null;
+}
+
+function freshHypothesisName(ctx, base) {
+  const used = new Set(ctx.hypotheses.values());
+  if (!used.has(base)) return base;
+  
+  let i = 2;
+  while (used.has(`${base}${i}`)) i++;
+  return `${base}${i}`;
+}
+
+function formalizeTerm(text) {
+  const result = parseMath(text.trim());
+  return result.ok ? printTerm(result.ast) : null;
+}
+
 function generateUniversal(step, ctx, useAdmit) {
   const varMatch = step.text.match(/for (?:all|every)\s+([a-z])/i);
   const var_name = varMatch ? varMatch[1] : 'x';
@@ -391,28 +663,100 @@ function generateDefinition(step, ctx) {
   }
 }
 
-function generateAlgebraic(step, ctx, useAdmit) {
-  addLine(ctx, `have h_calc : _ := by`);
-  ctx.indent++;
+function generateAlgebraic(step, ctx, includeComments, useAdmit) {
+  generateHave(step, ctx, includeComments, useAdmit, facts => {
+    if (/ring|algebra/i.test(step.text.toLowerCase())) {
+      return { tactic: 'ring' };
+    } else if (/linear|add|subtract/i.test(step.text.toLowerCase())) {
+      return { tactic: facts.length ? `linarith [${facts.map(f => f.name).join(', ')}]` : `linarith` };
+    }
+    return { comment: 'Algebraic manipulation', tactic: useAdmit ? 'sorry' : null };
+  });
+}
+
+function generateGenericStep(step, ctx, includeComments, useAdmit) {
+  generateHave(step, ctx, includeComments, useAdmit, facts => ({
+    comment: facts.length ? `Uses ${facts.map(f => f.name).join(', ')}` : null,
+    tactic: useAdmit ? 'sorry' : null
+  }));
+}
+
+// proveStep(facts) returns { comment, tactic } for when no tactic is found;
+// a have with no tactic and no sorry allowed is left out.
+function generateHave(step, ctx, includeComments, useAdmit, proveStep) {
+  const stepName = `h_${step.id}`;
+  const prop = formalize(step.text);
   
-  if (/ring|algebra/i.test(step.text.toLowerCase())) {
-    addLine(ctx, `ring`);
-  } else if (/linear|add|subtract/i.test(step.text.toLowerCase())) {
-    addLine(ctx, `linarith`);
-  } else {
-    addComment(ctx, 'Algebraic manipulation');
-    if (useAdmit) addLine(ctx, 'sorry');
+  ctx.hypotheses.set(step.id, stepName);
+  
+  if (prop?.ast.kind === 'chain' && prop.ast.relations.length > 1) {
+    const relation = composeRelations(prop.ast.relations);
+    if (relation) {
+      generateCalc(step, stepName, prop.ast, relation, ctx, useAdmit);
+      return;
+    }
   }
   
+  const facts = stepFacts(step, ctx);
+  const tactic = prop ? proveProposition(prop.ast, { facts, text: step.text }) : 'sorry';
+  const proof = tactic !== 'sorry' ? { tactic } : proveStep(facts);
+  
+  if (!proof.tactic) {
+    ctx.hypotheses.delete(step.id);
+    return;
+  }
+  
+  addLine(ctx, `have ${stepName} : ${prop ? prop.lean : '_'} := by`);
+  ctx.indent++;
+  if (proof.comment && includeComments) addComment(ctx, proof.comment);
+  addLine(ctx, proof.tactic);
   ctx.indent--;
+  
+  if (prop) ctx.facts.set(stepName, prop.ast);
 }
 
-function generateGenericStep(step, ctx, useAdmit) {
-  const stepName = `h_${step.id}`;
-  addLine(ctx, `have ${stepName} : _ := by`);
+// Like generateHave, a calc with a link left unjustified is omitted when no
+// sorry is allowed.
+function generateCalc(step, stepName, chain, relation, ctx, useAdmit) {
+  const { operands, relations } = chain;
+  const facts = stepFacts(step, ctx);
+  const first = operands[0];
+  const last = operands[operands.length - 1];
+  const hole = { kind: 'var', name: '_' };
+  
+  const tactics = relations.map((rel, i) =>
+    justifyRelation(operands[i], rel, operands[i + 1], { facts, text: step.text }));
+  if (!useAdmit && tactics.includes('sorry')) {
+    ctx.hypotheses.delete(step.id);
+    return;
+  }
+  
+  const composite = { kind: 'chain', operands: [first, last], relations: [relation] };
+  ctx.facts.set(stepName, composite);
+  
+  addLine(ctx, `have ${stepName} : ${printRelation(first, relation, last)} := by`);
   ctx.indent++;
-  if (useAdmit) addLine(ctx, 'sorry');
-  ctx.indent--;
+  
+  relations.forEach((rel, i) => {
+    const link = printRelation(i === 0 ? operands[i] : hole, rel, operands[i + 1]);
+    
+    if (i === 0) {
+      addLine(ctx, `calc ${link} := by ${tactics[i]}`);
+      ctx.indent++;
+    } else {
+      addLine(ctx, `${link} := by ${tactics[i]}`);
+    }
+  });
+  
+  ctx.indent -= 2;
+}
+
+function stepFacts(step, ctx) {
+  return (step.dependsOn || [])
+    .map(id => ctx.hypotheses.get(id))
+    .filter(Boolean)
+    .filter((name, i, names) => names.indexOf(name) === i)
+    .map(name => ({ name, ast: ctx.facts.get(name) || null }));
 }
 
 function extractCaseTarget(text) {
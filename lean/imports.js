@@ -0,0 +1,84 @@
+// lean/imports.js - infer the Mathlib imports a generated Lean file depends on
+
+// Each rule maps something the generator can emit (identifier, notation or
+// tactic) to the Mathlib module that provides it. Order is the order imports
+// are written out.
+const IMPORT_RULES = [
+  { pattern: /ℕ/, module: 'Mathlib.Data.Nat.Notation' },
+  { pattern: /ℤ/, module: 'Mathlib.Data.Int.Notation' },
+  { pattern: /ℚ/, module: 'Mathlib.Data.Rat.Defs' },
+  { pattern: /ℝ/, module: 'Mathlib.Data.Real.Basic' },
+  { pattern: /ℂ/, module: 'Mathlib.Data.Complex.Basic' },
+  { pattern: /\bEven\b/, module: 'Mathlib.Algebra.Group.Even' },
+  { pattern: /\bOdd\b/, module: 'Mathlib.Algebra.Ring.Parity' },
+  { pattern: /\bNat\.Prime\b/, module: 'Mathlib.Data.Nat.Prime.Defs' },
+  { pattern: /∣/, module: 'Mathlib.Algebra.Ring.Divisibility.Basic' },
+  { pattern: /\[ZMOD\b/, module: 'Mathlib.Data.Int.ModEq' },
+  { pattern: /\[MOD\b/, module: 'Mathlib.Data.Nat.ModEq' },
+  { pattern: /\b(?:gcd|lcm)\b/, module: 'Mathlib.Algebra.GCDMonoid.Basic' },
+  { pattern: /\|[^|\n]+\|/, module: 'Mathlib.Algebra.Order.Group.Abs' },
+  { pattern: /[⌊⌈]/, module: 'Mathlib.Algebra.Order.Floor' },
+  { pattern: /[∪∩⊆⊂∅]|\bSet\b/, module: 'Mathlib.Data.Set.Basic' },
+  { pattern: /\bReal\.(?:sin|cos|tan)\b/, module: 'Mathlib.Analysis.SpecialFunctions.Trigonometric.Basic' },
+  { pattern: /\bReal\.exp\b/, module: 'Mathlib.Analysis.SpecialFunctions.Exp' },
+  { pattern: /\bReal\.log\b/, module: 'Mathlib.Analysis.SpecialFunctions.Log.Basic' },
+  { pattern: /\bReal\.sqrt\b/, module: 'Mathlib.Analysis.SpecialFunctions.Sqrt' },
+  { pattern: /\bring(?:_nf)?\b/, module: 'Mathlib.Tactic.Ring' },
+  { pattern: /\bn?linarith\b/, module: 'Mathlib.Tactic.Linarith' },
+  { pattern: /\bnorm_num\b/, module: 'Mathlib.Tactic.NormNum' },
+  { pattern: /\bpositivity\b/, module: 'Mathlib.Tactic.Positivity' },
+  { pattern: /\bfield_simp\b/, module: 'Mathlib.Tactic.FieldSimp' },
+  { pattern: /\bpush_neg\b/, module: 'Mathlib.Tactic.PushNeg' },
+  { pattern: /\bby_contra\b/, module: 'Mathlib.Tactic.ByContra' },
+  { pattern: /\binterval_cases\b/, module: 'Mathlib.Tactic.IntervalCases' },
+  { pattern: /^\s*use\b/m, module: 'Mathlib.Tactic.Use' },
+  { pattern: /\baesop\b/, module: 'Aesop' }
+];
+
+const IMPORT_LINE = /^\s*import\s+(\S+)/;
+
+export function inferImports(leanCode) {
+  if (!leanCode || typeof leanCode !== 'string') return [];
+
+  const code = stripComments(leanCode);
+  return IMPORT_RULES
+    .filter(rule => rule.pattern.test(code))
+    .map(rule => rule.module)
+    .filter((module, i, all) => all.indexOf(module) === i);
+}
+
+export function withImports(leanCode, options = {}) {
+  const { style = 'minimal' } = options;
+  if (style === 'none') return leanCode;
+
+  const existing = existingImports(leanCode);
+  const needed = style === 'mathlib'
+    ? (requiresMathlib(leanCode) || inferImports(leanCode).length ? ['Mathlib'] : [])
+    : inferImports(leanCode);
+
+  const missing = needed.filter(m => !existing.includes(m) && !existing.includes('Mathlib'));
+  if (missing.length === 0) return leanCode;
+
+  return missing.map(m => `import ${m}`).join('\n') + '\n\n' + leanCode;
+}
+
+export function existingImports(leanCode) {
+  if (!leanCode) return [];
+  return leanCode
+    .split('\n')
+    .map(line => line.match(IMPORT_LINE))
+    .filter(Boolean)
+    .map(m => m[1]);
+}
+
+export function requiresMathlib(leanCode) {
+  return existingImports(leanCode).some(m => m === 'Mathlib' || m.startsWith('Mathlib.') || m === 'Aesop');
+}
+
+function stripComments(code) {
+  return code
+    .replace(/\/-[\s\S]*?-\//g, '')
+    .split('\n')
+    .map(line => line.replace(/--.*$/, ''))
+    .join('\n');
+}
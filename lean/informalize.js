@@ -0,0 +1,741 @@
+// lean/informalize.js - Lean 4 source -> English proof draft
+//
+// The reverse of generator.js: theorem/lemma/example declarations become
+// "Theorem N (Name): ..." sections and each tactic becomes a sentence worded
+// the way tokenizer.js classifies it ("Assume", "Then", "for some",
+// "by induction on", "for contradiction", ...), so the draft can go straight
+// back through generate-lean. Tactics with no English reading are listed in
+// `unsupported` and left out of the text.
+
+const DECLARATION = /^(?:@\[[^\]]*\]\s*)?(?:(?:private|protected|nonrec)\s+)*(theorem|lemma|example)\b/;
+const COMMAND = /^(?:@\[|theorem\b|lemma\b|example\b|def\b|abbrev\b|instance\b|structure\b|inductive\b|class\b|namespace\b|section\b|end\b|open\b|variable\b|universe\b|import\b|set_option\b|attribute\b|noncomputable\b|private\b|protected\b|#)/;
+
+const TYPE_NAMES = {
+  'ℕ': ['natural number', 'natural numbers'], Nat: ['natural number', 'natural numbers'],
+  'ℤ': ['integer', 'integers'], Int: ['integer', 'integers'],
+  'ℚ': ['rational number', 'rational numbers'], Rat: ['rational number', 'rational numbers'],
+  'ℝ': ['real number', 'real numbers'], Real: ['real number', 'real numbers'],
+  'ℂ': ['complex number', 'complex numbers'], Complex: ['complex number', 'complex numbers'],
+  Prop: ['proposition', 'propositions']
+};
+
+const PREDICATES = {
+  Even: 'even', Odd: 'odd', Prime: 'prime', 'Nat.Prime': 'prime', Irrational: 'irrational',
+  Squarefree: 'squarefree'
+};
+
+// Tactics that close or massage the goal without a step a reader would write down.
+const SILENT_TACTICS = new Set(['exact', 'apply', 'refine', 'refine\'', 'simp', 'simp_all', 'dsimp', 'ring', 'ring_nf',
+  'linarith', 'nlinarith', 'omega', 'norm_num', 'positivity', 'decide', 'rfl', 'trivial', 'assumption', 'aesop',
+  'tauto', 'field_simp', 'push_cast', 'gcongr', 'constructor', 'left', 'right', 'exfalso', 'sorry', 'admit',
+  'done', 'skip', 'exact?', 'simpa', 'exact_mod_cast', 'norm_cast', 'split', 'symm', 'congr', 'ext', 'funext',
+  'contrapose', 'contrapose!', 'push_neg', 'clear', 'subst', 'nth_rewrite', 'nth_rw']);
+
+export function informalizeLean(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    return { ok: false, error: 'The file is empty' };
+  }
+
+  const text = stripComments(source);
+  const unsupported = new Map();
+  const report = name => unsupported.set(name, (unsupported.get(name) || 0) + 1);
+
+  const variables = [];
+  const declarations = [];
+  splitCommands(text).forEach(command => {
+    if (command.startsWith('variable')) {
+      variables.push(...parseBinders(command.slice('variable'.length)).binders);
+    } else if (DECLARATION.test(command)) {
+      const declaration = parseDeclaration(command);
+      if (declaration) declarations.push(declaration);
+    }
+  });
+
+  if (declarations.length === 0) {
+    return { ok: false, error: 'No theorem, lemma or example declarations found' };
+  }
+
+  const theorems = declarations.map((declaration, i) => {
+    const binders = [...variables.filter(v => mentions(declaration.signature, v.name)), ...declaration.binders];
+    return informalizeDeclaration({ ...declaration, binders }, i + 1, report);
+  });
+
+  return {
+    ok: true,
+    english: theorems.map(t => t.english).join('\n\n') + '\n',
+    theorems,
+    unsupported: [...unsupported].map(([name, count]) => ({ name, count }))
+  };
+}
+
+function stripComments(source) {
+  let out = '';
+  let depth = 0;
+  for (let i = 0; i < source.length; i++) {
+    if (source.startsWith('/-', i)) {
+      depth++;
+      i++;
+    } else if (depth > 0 && source.startsWith('-/', i)) {
+      depth--;
+      i++;
+    } else if (depth === 0 && source.startsWith('--', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+      out += '\n';
+    } else if (depth === 0 || source[i] === '\n') {
+      out += source[i];
+    }
+  }
+  return out;
+}
+
+// Top-level commands start at column 0; everything indented belongs to the one above.
+function splitCommands(text) {
+  const commands = [];
+  text.split('\n').forEach(line => {
+    if (COMMAND.test(line)) {
+      commands.push(line);
+    } else if (commands.length > 0) {
+      commands[commands.length - 1] += '\n' + line;
+    }
+  });
+  return commands.map(c => c.trimEnd());
+}
+
+function parseDeclaration(command) {
+  const header = command.replace(/^@\[[^\]]*\]\s*/, '').replace(/^(?:(?:private|protected|nonrec)\s+)*/, '');
+  const match = /^(theorem|lemma|example)\b\s*/.exec(header);
+  let rest = header.slice(match[0].length);
+
+  let name = null;
+  if (match[1] !== 'example') {
+    const nameMatch = /^[^\s({[⦃:]+/.exec(rest);
+    if (!nameMatch) return null;
+    name = nameMatch[0];
+    rest = rest.slice(name.length);
+  }
+
+  const assign = findTopLevel(rest, ':=');
+  const signature = assign < 0 ? rest : rest.slice(0, assign);
+  const proof = assign < 0 ? '' : rest.slice(assign + 2);
+
+  const { binders, rest: afterBinders } = parseBinders(signature);
+  const colon = afterBinders.trim();
+  if (!colon.startsWith(':')) return null;
+
+  return {
+    kind: match[1] === 'lemma' ? 'lemma' : 'theorem',
+    name,
+    signature,
+    binders,
+    type: colon.slice(1).trim(),
+    proof: proof.trim()
+  };
+}
+
+// (a b : ℤ) {n : ℕ} [inst : Foo] ... up to the first top-level ':'.
+function parseBinders(text) {
+  const binders = [];
+  let i = 0;
+
+  while (i < text.length) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    const open = text[i];
+    const close = { '(': ')', '{': '}', '[': ']', '⦃': '⦄' }[open];
+    if (!close) break;
+
+    const end = matchingBracket(text, i);
+    if (end < 0) break;
+    const inner = text.slice(i + 1, end);
+    i = end + 1;
+    if (open === '[') continue;
+
+    const colon = findTopLevel(inner, ':');
+    if (colon < 0) continue;
+    const type = inner.slice(colon + 1).trim();
+    inner.slice(0, colon).trim().split(/\s+/).filter(Boolean).forEach(name => binders.push({ name, type }));
+  }
+
+  return { binders, rest: text.slice(i) };
+}
+
+function matchingBracket(text, start) {
+  const pairs = { '(': ')', '{': '}', '[': ']', '⦃': '⦄', '⟨': '⟩' };
+  const stack = [];
+  for (let i = start; i < text.length; i++) {
+    if (pairs[text[i]]) stack.push(pairs[text[i]]);
+    else if (text[i] === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// Index of `token` outside any brackets, or -1. A lone ':' never matches ':='.
+function findTopLevel(text, token) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ('([{⟨⦃'.includes(ch)) depth++;
+    else if (')]}⟩⦄'.includes(ch)) depth--;
+    else if (depth === 0 && text.startsWith(token, i)) {
+      if (token === ':' && text[i + 1] === '=') continue;
+      return i;
+    }
+  }
+  return -1;
+}
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let rest = text;
+  let index = findTopLevel(rest, separator);
+  while (index >= 0) {
+    parts.push(rest.slice(0, index));
+    rest = rest.slice(index + separator.length);
+    index = findTopLevel(rest, separator);
+  }
+  parts.push(rest);
+  return parts.map(p => p.trim());
+}
+
+function mentions(text, name) {
+  return new RegExp(`(^|[^\\w'])${escapeRegExp(name)}(?![\\w'])`).test(text);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Declarations
+
+function informalizeDeclaration(declaration, number, report) {
+  const variables = declaration.binders.filter(b => !isProposition(b));
+  const hypotheses = declaration.binders.filter(b => isProposition(b));
+
+  const kind = declaration.kind.charAt(0).toUpperCase() + declaration.kind.slice(1);
+  const title = declaration.name ? `${kind} ${number} (${readableName(declaration.name)})` : `${kind} ${number}`;
+
+  const statement = [
+    ...variableSentences(variables),
+    hypotheses.length > 0
+      ? `If ${hypotheses.map(h => propToEnglish(h.type)).join(' and ')}, then ${propToEnglish(declaration.type)}.`
+      : sentence(variables.length > 0 ? `then ${propToEnglish(declaration.type)}` : propToEnglish(declaration.type))
+  ].join(' ');
+
+  const ctx = {
+    goal: declaration.type,
+    claim: declaration.type,
+    hypotheses: new Map(hypotheses.map(h => [h.name, h.type])),
+    report
+  };
+  const steps = proofSentences(declaration.proof, ctx);
+  const conclusion = ctx.claim === 'False' ? null : `Therefore ${propToEnglish(ctx.claim)}.`;
+  const proof = [...steps, conclusion].filter(Boolean).join(' ');
+
+  return {
+    name: declaration.name,
+    english: `${title}: ${statement}\nProof. ${proof} ∎`
+  };
+}
+
+// sum_of_evens -> "Sum of evens", the inverse of generator.js's theoremNameFor.
+function readableName(name) {
+  const words = name.split('.').pop().replace(/_/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function isProposition(binder) {
+  if (/^h|^H/.test(binder.name) && !TYPE_NAMES[binder.type]) return true;
+  if (TYPE_NAMES[binder.type] || /^(Type|Sort|Set|Finset|List|Fin|Prop)\b/.test(binder.type)) return false;
+  return /[=<>≤≥≠∣∈∉⊆⊂∧∨¬↔]/.test(binder.type) || /^(Even|Odd|Prime|Nat\.Prime|Irrational)\b/.test(binder.type);
+}
+
+// Consecutive variables of the same type share a sentence: "Let a and b be integers."
+function variableSentences(variables) {
+  const groups = [];
+  variables.forEach(v => {
+    const last = groups[groups.length - 1];
+    if (last && last.type === v.type) last.names.push(v.name);
+    else groups.push({ type: v.type, names: [v.name] });
+  });
+
+  return groups.map(({ type, names }) => {
+    const list = joinWords(names);
+    const plural = names.length > 1;
+    return `Let ${list} be ${typeToEnglish(type, plural)}.`;
+  });
+}
+
+function typeToEnglish(type, plural = false) {
+  const known = TYPE_NAMES[type.trim()];
+  if (known) return plural ? known[1] : withArticle(known[0]);
+
+  const arrow = splitTopLevel(type, '→');
+  if (arrow.length > 1) {
+    const noun = `function${plural ? 's' : ''} from ${arrow.slice(0, -1).join(' × ')} to ${arrow[arrow.length - 1]}`;
+    return plural ? noun : `a ${noun}`;
+  }
+  const set = /^(Set|Finset)\s+(.+)$/.exec(type.trim());
+  if (set) {
+    const noun = `${set[1] === 'Finset' ? 'finite ' : ''}set${plural ? 's' : ''} of ${TYPE_NAMES[set[2]]?.[1] || set[2]}`;
+    return plural ? noun : `a ${noun}`;
+  }
+  return plural ? `elements of ${type}` : `an element of ${type}`;
+}
+
+function withArticle(noun) {
+  return /^[aeiou]/i.test(noun) ? `an ${noun}` : `a ${noun}`;
+}
+
+function joinWords(words) {
+  if (words.length <= 1) return words.join('');
+  return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+}
+
+function sentence(text) {
+  const trimmed = text.trim();
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1) + (/[.!?]$/.test(trimmed) ? '' : '.');
+}
+
+// Propositions
+
+export function propToEnglish(prop) {
+  const term = stripParens(prop.trim());
+
+  const quantifier = /^(∀|∃!?)\s*/.exec(term);
+  if (quantifier) {
+    const comma = findTopLevel(term, ',');
+    if (comma > 0) {
+      const binder = binderToEnglish(term.slice(quantifier[0].length, comma).trim(), quantifier[1] === '∀');
+      const body = propToEnglish(term.slice(comma + 1));
+      return quantifier[1] === '∀' ? `for all ${binder}, ${body}` : `there exists ${binder} such that ${body}`;
+    }
+  }
+
+  const iff = splitTopLevel(term, '↔');
+  if (iff.length === 2) return `${propToEnglish(iff[0])} if and only if ${propToEnglish(iff[1])}`;
+
+  const implication = findTopLevel(term, '→');
+  if (implication >= 0) {
+    return `if ${propToEnglish(term.slice(0, implication))} then ${propToEnglish(term.slice(implication + 1))}`;
+  }
+
+  const disjuncts = splitTopLevel(term, '∨');
+  if (disjuncts.length > 1) return disjuncts.map(propToEnglish).join(' or ');
+
+  const conjuncts = splitTopLevel(term, '∧');
+  if (conjuncts.length > 1) return conjuncts.map(propToEnglish).join(' and ');
+
+  if (term.startsWith('¬')) return negate(term.slice(1));
+  if (term === 'False') return 'a contradiction holds';
+  if (term === 'True') return 'the statement is trivially true';
+
+  const predicate = predicateOf(term);
+  if (predicate) return `${predicate.subject} is ${predicate.adjective}`;
+
+  return mathToEnglish(term);
+}
+
+function negate(prop) {
+  const term = stripParens(prop.trim());
+  if (term.startsWith('¬')) return propToEnglish(term.slice(1));
+
+  const exists = /^∃\s*/.exec(term);
+  const comma = exists ? findTopLevel(term, ',') : -1;
+  if (comma > 0) {
+    const binder = binderToEnglish(term.slice(exists[0].length, comma).trim(), true);
+    return `there are no ${binder} such that ${propToEnglish(term.slice(comma + 1))}`;
+  }
+
+  const predicate = predicateOf(term);
+  if (predicate) return `${predicate.subject} is not ${predicate.adjective}`;
+
+  const relation = splitTopLevel(term, '=');
+  if (relation.length === 2 && findTopLevel(term, ',') < 0) {
+    return `${mathToEnglish(relation[0])} ≠ ${mathToEnglish(relation[1])}`;
+  }
+
+  return `it is not the case that ${propToEnglish(term)}`;
+}
+
+function predicateOf(term) {
+  const applied = /^([A-Z][\w.]*)\s+(.+)$/.exec(term);
+  if (applied && PREDICATES[applied[1]] && isSingleArgument(applied[2])) {
+    return { subject: mathToEnglish(stripParens(applied[2])), adjective: PREDICATES[applied[1]] };
+  }
+  const dotted = /^(.+)\.(Prime)$/.exec(term);
+  if (dotted) return { subject: mathToEnglish(stripParens(dotted[1])), adjective: 'prime' };
+  return null;
+}
+
+function isSingleArgument(text) {
+  const trimmed = text.trim();
+  if (/^[\w'ₓ₀-₉.]+$/.test(trimmed)) return true;
+  return /^[(]/.test(trimmed) && matchingBracket(trimmed, 0) === trimmed.length - 1;
+}
+
+// "x : ℤ" -> "integers x" (for all) or "an integer x" (there exists); "x > 0" stays as is.
+function binderToEnglish(binder, universal) {
+  const text = stripParens(binder);
+  const colon = findTopLevel(text, ':');
+  if (colon < 0) return mathToEnglish(text);
+
+  const names = text.slice(0, colon).trim().split(/\s+/);
+  const type = text.slice(colon + 1).trim();
+  const known = TYPE_NAMES[type];
+  if (!known) return `${joinWords(names)} in ${mathToEnglish(type)}`;
+  if (universal) return `${known[1]} ${joinWords(names)}`;
+  return names.length > 1 ? `${known[1]} ${joinWords(names)}` : `${withArticle(known[0])} ${names[0]}`;
+}
+
+function stripParens(text) {
+  let term = text.trim();
+  while (term.startsWith('(') && matchingBracket(term, 0) === term.length - 1) {
+    term = term.slice(1, -1).trim();
+  }
+  return term;
+}
+
+// Lean term -> the inline math the English parser reads: x ^ 2 -> x², 2 * k -> 2k.
+export function mathToEnglish(term) {
+  const superscripts = { 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+  return term
+    .replace(/↑/g, '')
+    .replace(/\(([^():]+?)\s*:\s*(?:ℕ|ℤ|ℚ|ℝ|ℂ|Nat|Int|Rat|Real|Complex)\)/g, '$1')
+    .replace(/\b(?:Nat|Int)\.gcd\s+(\S+)\s+(\S+)/g, 'gcd($1, $2)')
+    .replace(/\bNat\.succ\s+(\w+)/g, '($1 + 1)')
+    .replace(/\bReal\.sqrt\s+/g, '√')
+    .replace(/\s*\^\s*(\d+)/g, (m, digits) => [...digits].map(d => superscripts[d]).join(''))
+    .replace(/(\d)\s*\*\s*(?=[A-Za-z(])/g, '$1')
+    .replace(/\s*%\s*/g, ' mod ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Tactic blocks
+
+function proofSentences(proof, ctx) {
+  if (!proof.startsWith('by')) return [];
+  return blockSentences(tacticLines(proof.slice(2)), ctx);
+}
+
+// Splits a tactic block into tactics: a line at the block's indentation starts
+// a tactic, deeper lines continue it. `tac1; tac2` on one line are two tactics.
+function tacticLines(block) {
+  const lines = block.split('\n');
+  const first = lines.shift().trim();
+  const tactics = first ? splitTopLevel(first, ';').filter(Boolean) : [];
+
+  const body = lines.filter(line => line.trim());
+  if (body.length === 0) return tactics;
+
+  const indent = line => line.length - line.trimStart().length;
+  const base = Math.min(...body.map(indent));
+  body.forEach(line => {
+    // `| alt =>` and calc's `_ = ...` lines continue the tactic above them
+    if (indent(line) === base && !/^\s*[|_]\s/.test(line)) {
+      tactics.push(...splitTopLevel(line.trim(), ';').filter(Boolean));
+    } else if (tactics.length > 0) {
+      tactics[tactics.length - 1] += '\n' + line.slice(base);
+    }
+  });
+  return tactics;
+}
+
+function blockSentences(tactics, ctx) {
+  return tactics.flatMap(tactic => tacticSentences(tactic, ctx));
+}
+
+function tacticSentences(tactic, ctx) {
+  const [head, ...more] = tactic.split('\n');
+  const firstLine = head.trim();
+  const name = /^[^\s[(⟨]+/.exec(firstLine)?.[0] || '';
+  const args = firstLine.slice(name.length).trim();
+
+  if (name === '·' || name === '.') {
+    return blockSentences(tacticLines([args, ...more].join('\n')), { ...ctx, hypotheses: new Map(ctx.hypotheses) });
+  }
+
+  switch (name) {
+    case 'intro':
+    case 'intros':
+    case 'rintro':
+      return introSentences(args.split(/\s+/).filter(Boolean), ctx);
+    case 'obtain':
+    case 'rcases':
+      return obtainSentences(name, args, more, ctx);
+    case 'induction':
+      return inductionSentences(args, more, ctx);
+    case 'cases':
+    case 'cases\'':
+      return casesSentences(args, more, ctx);
+    case 'calc':
+      return calcSentences([args, ...more].join('\n'));
+    case 'have':
+      return haveSentences(args, ctx);
+    case 'use':
+    case 'exists':
+      return useSentences(args, ctx);
+    case 'by_contra':
+    case 'by_contra!':
+    case 'by_contradiction':
+      return contradictionSentences(args, ctx);
+    case 'contradiction':
+    case 'absurd':
+      return ['This is a contradiction.'];
+    case 'rw':
+    case 'rewrite':
+    case 'rwa':
+      return rewriteSentences(args, ctx);
+    case 'unfold':
+      return [`By definition of ${args.replace(/\s+at\s+.*$/, '')}, we unfold the goal.`];
+    case 'show':
+      ctx.goal = args.replace(/\s+from\s+.*$/, '');
+      return [];
+    case 'specialize':
+      return [`In particular, ${args} holds.`];
+    default:
+      if (SILENT_TACTICS.has(name)) return [];
+      ctx.report(name || firstLine);
+      return [];
+  }
+}
+
+function introSentences(names, ctx) {
+  const sentences = [];
+  (names.length > 0 ? names : ['_']).forEach(pattern => {
+    const goal = stripParens(ctx.goal);
+    const forall = /^∀\s*/.exec(goal);
+    const comma = forall ? findTopLevel(goal, ',') : -1;
+
+    if (forall && comma > 0) {
+      const binder = stripParens(goal.slice(forall[0].length, comma).trim());
+      const colon = findTopLevel(binder, ':');
+      const bound = (colon < 0 ? binder : binder.slice(0, colon)).trim().split(/\s+/);
+      const type = colon < 0 ? null : binder.slice(colon + 1).trim();
+      let body = goal.slice(comma + 1).trim();
+
+      const name = /^[\w']+$/.test(pattern) && pattern !== '_' ? pattern : bound[0];
+      body = renameVariable(body, bound[0], name);
+      sentences.push(type ? `Let ${name} be ${typeToEnglish(type)}.` : `Let ${name} be arbitrary.`);
+
+      const remaining = bound.slice(1);
+      ctx.goal = remaining.length > 0 ? `∀ ${remaining.join(' ')}${type ? ` : ${type}` : ''}, ${body}` : body;
+      ctx.claim = ctx.goal;
+      return;
+    }
+
+    const arrow = findTopLevel(goal, '→');
+    if (arrow >= 0) {
+      const premise = goal.slice(0, arrow).trim();
+      sentences.push(`Assume ${propToEnglish(premise)}.`);
+      ctx.hypotheses.set(pattern, premise);
+      ctx.goal = goal.slice(arrow + 1).trim();
+      ctx.claim = ctx.goal;
+      return;
+    }
+
+    const negation = /^¬\s*/.exec(goal);
+    if (negation) {
+      const premise = goal.slice(negation[0].length);
+      sentences.push(`Suppose, for contradiction, that ${propToEnglish(premise)}.`);
+      ctx.hypotheses.set(pattern, premise);
+      ctx.goal = 'False';
+    }
+  });
+  return sentences;
+}
+
+function renameVariable(text, from, to) {
+  if (from === to) return text;
+  return text.replace(new RegExp(`(^|[^\\w'])${escapeRegExp(from)}(?![\\w'])`, 'g'), `$1${to}`);
+}
+
+// obtain ⟨k, hk⟩ := h   /   obtain ⟨k, hk⟩ : ∃ k, P := by ...   /   rcases h with ⟨k, hk⟩
+function obtainSentences(name, args, more, ctx) {
+  let pattern;
+  let source;
+  let stated = null;
+
+  if (name === 'rcases') {
+    const withIndex = args.indexOf(' with ');
+    if (withIndex < 0) return [];
+    source = args.slice(0, withIndex).trim();
+    pattern = args.slice(withIndex + 6).trim();
+  } else {
+    const assign = findTopLevel(args, ':=');
+    const colon = findTopLevel(args, ':');
+    pattern = args.slice(0, colon >= 0 && (assign < 0 || colon < assign) ? colon : assign).trim();
+    if (colon >= 0 && (assign < 0 || colon < assign)) {
+      stated = args.slice(colon + 1, assign < 0 ? args.length : assign).trim();
+    }
+    source = assign >= 0 ? args.slice(assign + 2).trim() : null;
+  }
+
+  const fact = stated || ctx.hypotheses.get(source) || null;
+  const alternatives = splitTopLevel(stripAngles(pattern), '|');
+  if (alternatives.length > 1 && fact) {
+    return caseSentences(splitTopLevel(stripParens(fact), '∨'), more, ctx);
+  }
+
+  const names = splitTopLevel(stripAngles(pattern), ',');
+  if (!fact) {
+    ctx.report(name);
+    return [];
+  }
+
+  const term = stripParens(fact);
+  const predicate = predicateOf(term);
+  if (predicate && (predicate.adjective === 'even' || predicate.adjective === 'odd') && names.length === 2) {
+    const [witness, hypothesis] = names;
+    const form = predicate.adjective === 'even' ? `2${witness}` : `2${witness} + 1`;
+    ctx.hypotheses.set(hypothesis, `${predicate.subject} = ${form}`);
+    return [`Since ${predicate.subject} is ${predicate.adjective}, ${predicate.subject} = ${form} for some ${witness}.`];
+  }
+
+  const exists = /^∃\s*/.exec(term);
+  const comma = exists ? findTopLevel(term, ',') : -1;
+  if (exists && comma > 0 && names.length >= 2) {
+    const bound = stripParens(term.slice(exists[0].length, comma)).split(':')[0].trim().split(/\s+/);
+    let body = term.slice(comma + 1).trim();
+    bound.forEach((b, i) => {
+      if (names[i]) body = renameVariable(body, b, names[i]);
+    });
+    ctx.hypotheses.set(names[names.length - 1], body);
+    const witnesses = joinWords(names.slice(0, bound.length));
+    return [`${source ? `Since ${propToEnglish(term)}, ` : ''}${propToEnglish(body)} for some ${witnesses}.`.replace(/^./, c => c.toUpperCase())];
+  }
+
+  const conjuncts = splitTopLevel(term, '∧');
+  if (conjuncts.length > 1) {
+    conjuncts.forEach((c, i) => names[i] && ctx.hypotheses.set(names[i], c));
+    return [`We have ${conjuncts.map(propToEnglish).join(' and ')}.`];
+  }
+
+  ctx.report(name);
+  return [];
+}
+
+function stripAngles(pattern) {
+  const trimmed = pattern.trim();
+  return trimmed.startsWith('⟨') && trimmed.endsWith('⟩') ? trimmed.slice(1, -1) : trimmed;
+}
+
+// `| zero => ...` / `| succ k ih => ...` alternatives below induction and cases.
+function alternatives(lines) {
+  const alts = [];
+  lines.forEach(line => {
+    const alt = /^\s*\|\s*([^=]+?)\s*=>\s*(.*)$/.exec(line);
+    if (alt) {
+      const [ctor, ...names] = alt[1].split(/\s+/);
+      alts.push({ ctor, names, tactics: alt[2] ? [alt[2]] : [] });
+    } else if (alts.length > 0) {
+      alts[alts.length - 1].tactics.push(line);
+    }
+  });
+  return alts.map(alt => ({ ...alt, block: alt.tactics.join('\n') }));
+}
+
+function inductionSentences(args, more, ctx) {
+  const variable = args.replace(/\s+with\s*$/, '').trim();
+  const sentences = [`We proceed by induction on ${variable}.`];
+
+  alternatives(more).forEach(alt => {
+    const branch = { ...ctx, hypotheses: new Map(ctx.hypotheses) };
+    if (alt.ctor === 'zero') {
+      sentences.push(`Consider the base case ${variable} = 0.`);
+    } else if (alt.ctor === 'succ') {
+      const k = alt.names[0] || variable;
+      sentences.push(`For the inductive step, assume the claim holds for ${k} and prove it for ${k} + 1.`);
+    } else {
+      sentences.push(`Consider the case ${alt.ctor}.`);
+    }
+    sentences.push(...blockSentences(tacticLines(alt.block), branch));
+  });
+  return sentences;
+}
+
+function casesSentences(args, more, ctx) {
+  const match = /^(\S+)(?:\s+with\s*(.*))?$/.exec(args.trim());
+  if (!match) return [];
+  const fact = ctx.hypotheses.get(match[1]);
+  const disjuncts = fact ? splitTopLevel(stripParens(fact), '∨') : [];
+
+  const alts = alternatives(more);
+  if (alts.length === 0 && disjuncts.length > 1) return caseSentences(disjuncts, [], ctx);
+
+  return alts.flatMap((alt, i) => {
+    const branch = { ...ctx, hypotheses: new Map(ctx.hypotheses) };
+    const label = disjuncts[i] ? propToEnglish(disjuncts[i]) : alt.ctor;
+    if (disjuncts[i] && alt.names[0]) branch.hypotheses.set(alt.names[0], disjuncts[i]);
+    return [`Case ${i + 1}: ${label}.`, ...blockSentences(tacticLines(alt.block), branch)];
+  });
+}
+
+function caseSentences(disjuncts, more, ctx) {
+  const bullets = tacticLines(more.join('\n'));
+  return disjuncts.flatMap((d, i) => {
+    const branch = { ...ctx, hypotheses: new Map(ctx.hypotheses) };
+    const body = bullets[i] ? tacticSentences(bullets[i], branch) : [];
+    return [`Case ${i + 1}: ${propToEnglish(d)}.`, ...body];
+  });
+}
+
+function calcSentences(block) {
+  const chain = [];
+  block.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const assign = findTopLevel(trimmed, ':=');
+    const relation = (assign < 0 ? trimmed : trimmed.slice(0, assign)).trim();
+    if (!relation) return;
+    if (relation.startsWith('_')) chain.push(relation.slice(1).trim());
+    else if (chain.length === 0) chain.push(relation);
+  });
+  if (chain.length === 0) return [];
+  return [`We have ${mathToEnglish(chain.join(' '))}.`];
+}
+
+function haveSentences(args, ctx) {
+  const assign = findTopLevel(args, ':=');
+  const head = assign < 0 ? args : args.slice(0, assign);
+  const colon = findTopLevel(head, ':');
+  if (colon < 0) return [];
+
+  const name = head.slice(0, colon).trim() || 'this';
+  const prop = head.slice(colon + 1).trim();
+  ctx.hypotheses.set(name, prop);
+  return [`Then ${propToEnglish(prop)}.`];
+}
+
+function useSentences(args, ctx) {
+  const value = mathToEnglish(args);
+  const goal = stripParens(ctx.goal);
+  const exists = /^∃\s*/.exec(goal);
+  const comma = exists ? findTopLevel(goal, ',') : -1;
+  if (comma < 0) return [`Choose ${value}.`];
+
+  const bound = stripParens(goal.slice(exists[0].length, comma)).split(':')[0].trim().split(/\s+/)[0];
+  ctx.goal = renameVariable(goal.slice(comma + 1).trim(), bound, `(${args})`);
+  return [`Choose ${bound} = ${value}.`];
+}
+
+function contradictionSentences(args, ctx) {
+  const name = args.trim() || 'this';
+  const goal = stripParens(ctx.goal);
+  ctx.hypotheses.set(name, goal.startsWith('¬') ? goal.slice(1).trim() : `¬(${goal})`);
+  const sentences = [`Suppose, for contradiction, that ${negate(ctx.goal)}.`];
+  ctx.goal = 'False';
+  return sentences;
+}
+
+function rewriteSentences(args, ctx) {
+  const rules = /\[([^\]]*)\]/.exec(args);
+  if (!rules) return [];
+  const facts = splitTopLevel(rules[1], ',')
+    .map(rule => rule.replace(/^←\s*/, ''))
+    .map(rule => ctx.hypotheses.get(rule))
+    .filter(Boolean);
+  if (facts.length === 0) return [];
+  return [`Substituting ${joinWords(facts.map(mathToEnglish))}, we simplify the goal.`];
+}
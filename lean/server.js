@@ -0,0 +1,233 @@
+// lean/server.js - long-lived `lean --server` session speaking LSP over stdio
+import { spawn } from 'child_process';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+import { fromLspDiagnostic, summarizeDiagnostics } from './diagnostics.js';
+
+const DOCUMENT_NAME = 'ProofChat.lean';
+
+export function createLeanSession(options = {}) {
+  const {
+    command = 'lean',
+    args = ['--server'],
+    cwd = os.tmpdir(),
+    requestTimeout = 60000,
+    onDiagnostics = null
+  } = options;
+
+  const uri = pathToFileURL(path.join(cwd, DOCUMENT_NAME)).href;
+
+  let proc = null;
+  let buffer = Buffer.alloc(0);
+  let nextId = 1;
+  let version = 0;
+  let openText = null;
+  let initializing = null;
+  const pending = new Map();
+  const diagnostics = new Map();
+
+  function send(message) {
+    const body = Buffer.from(JSON.stringify({ jsonrpc: '2.0', ...message }), 'utf8');
+    proc.stdin.write(`Content-Length: ${body.length}\r\n\r\n`);
+    proc.stdin.write(body);
+  }
+
+  function notify(method, params) {
+    send({ method, params });
+  }
+
+  function request(method, params, timeout = requestTimeout) {
+    if (!proc) return Promise.reject(new Error('Lean server is not running'));
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Lean server request ${method} timed out`));
+      }, timeout);
+      pending.set(id, { resolve, reject, timer });
+      send({ id, method, params });
+    });
+  }
+
+  function handleData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const header = buffer.slice(0, headerEnd).toString('utf8');
+      const match = header.match(/Content-Length:\s*(\d+)/i);
+      if (!match) {
+        buffer = buffer.slice(headerEnd + 4);
+        continue;
+      }
+
+      const length = parseInt(match[1]);
+      const start = headerEnd + 4;
+      if (buffer.length < start + length) return;
+
+      const body = buffer.slice(start, start + length).toString('utf8');
+      buffer = buffer.slice(start + length);
+
+      try {
+        handleMessage(JSON.parse(body));
+      } catch (err) {
+        console.warn('Malformed message from Lean server:', err);
+      }
+    }
+  }
+
+  function handleMessage(message) {
+    if (message.id !== undefined && pending.has(message.id)) {
+      const { resolve, reject, timer } = pending.get(message.id);
+      clearTimeout(timer);
+      pending.delete(message.id);
+      if (message.error) {
+        reject(new Error(message.error.message || 'Lean server error'));
+      } else {
+        resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.method === 'textDocument/publishDiagnostics') {
+      const { uri: docUri, version: docVersion, diagnostics: items } = message.params;
+      diagnostics.set(docUri, { version: docVersion, items });
+      if (onDiagnostics && docUri === uri) onDiagnostics(items, docVersion);
+    }
+  }
+
+  function failPending(error) {
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    pending.clear();
+  }
+
+  function start() {
+    if (initializing) return initializing;
+
+    initializing = new Promise((resolve, reject) => {
+      try {
+        proc = spawn(command, args, { cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+      } catch (err) {
+        proc = null;
+        reject(err);
+        return;
+      }
+
+      proc.stdin.on('error', () => {});
+      proc.stdout.on('data', handleData);
+      proc.stderr.on('data', data => console.warn('[lean server]', data.toString()));
+
+      proc.on('error', err => {
+        proc = null;
+        initializing = null;
+        failPending(err);
+        reject(err);
+      });
+
+      proc.on('exit', code => {
+        proc = null;
+        initializing = null;
+        openText = null;
+        failPending(new Error(`Lean server exited with code ${code}`));
+      });
+
+      request('initialize', {
+        processId: process.pid,
+        rootUri: pathToFileURL(cwd).href,
+        capabilities: {}
+      })
+        .then(() => {
+          notify('initialized', {});
+          resolve();
+        })
+        .catch(err => {
+          stop();
+          reject(err);
+        });
+    });
+
+    return initializing;
+  }
+
+  async function sync(leanCode) {
+    await start();
+
+    if (openText === null) {
+      version++;
+      notify('textDocument/didOpen', {
+        textDocument: { uri, languageId: 'lean4', version, text: leanCode }
+      });
+    } else if (openText !== leanCode) {
+      version++;
+      notify('textDocument/didChange', {
+        textDocument: { uri, version },
+        contentChanges: [{ text: leanCode }]
+      });
+    }
+    openText = leanCode;
+  }
+
+  async function check(leanCode, timeout = requestTimeout) {
+    await sync(leanCode);
+
+    // Lean-specific request that resolves once elaboration of this version is
+    // finished, so the diagnostics we hold afterwards are complete.
+    await request('textDocument/waitForDiagnostics', { uri, version }, timeout);
+
+    return diagnostics.get(uri)?.items || [];
+  }
+
+  // Tactic state at a position of the open document; line and character are
+  // 0-based as in LSP. Resolves to null when there is no goal there.
+  async function plainGoal(leanCode, line, character) {
+    await sync(leanCode);
+    return request('$/lean/plainGoal', {
+      textDocument: { uri },
+      position: { line, character }
+    });
+  }
+
+  function stop() {
+    if (!proc) return;
+    const running = proc;
+    try {
+      request('shutdown', null, 2000)
+        .catch(() => {})
+        .finally(() => {
+          try {
+            notify('exit', null);
+          } catch {
+            // Ignore
+          }
+          setTimeout(() => running.kill(), 500);
+        });
+    } catch {
+      running.kill();
+    }
+  }
+
+  return {
+    uri,
+    cwd,
+    command,
+    start,
+    sync,
+    check,
+    plainGoal,
+    request,
+    stop,
+    isRunning: () => proc !== null,
+    version: () => version
+  };
+}
+
+export function diagnosticsToValidation(items) {
+  return summarizeDiagnostics(items.map(fromLspDiagnostic));
+}
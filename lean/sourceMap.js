@@ -0,0 +1,51 @@
+// lean/sourceMap.js - look up source-map entries produced by generateLeanWithMap
+//
+// Entry: { nodeId, startLine, endLine, span: { start, end } | null }
+// Lean lines are 1-based; spans are character offsets into the English text.
+
+export function entryForLine(sourceMap, line) {
+  return narrowest((sourceMap || []).filter(e => e.span && line >= e.startLine && line <= e.endLine));
+}
+
+function narrowest(entries) {
+  if (entries.length === 0) return null;
+  return entries.reduce((best, e) =>
+    (e.endLine - e.startLine) < (best.endLine - best.startLine) ? e : best);
+}
+
+// Entries moved down by `offset` lines, e.g. after imports were prepended.
+export function shiftSourceMap(sourceMap, offset) {
+  if (!sourceMap || !offset) return sourceMap;
+  return sourceMap.map(e => ({ ...e, startLine: e.startLine + offset, endLine: e.endLine + offset }));
+}
+
+export function lineOfOffset(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+// Points each diagnostic at the English sentence whose Lean lines it falls in.
+export function attachDiagnosticSources(validation, sourceMap, englishText) {
+  if (!validation?.diagnostics || !sourceMap) return validation;
+
+  const diagnostics = validation.diagnostics.map(d => {
+    const entry = entryForLine(sourceMap, d.startLine);
+    if (!entry) return d;
+
+    return {
+      ...d,
+      source: {
+        nodeId: entry.nodeId,
+        start: entry.span.start,
+        end: entry.span.end,
+        line: lineOfOffset(englishText, entry.span.start)
+      }
+    };
+  });
+
+  return {
+    ...validation,
+    diagnostics,
+    errors: diagnostics.filter(d => d.severity === 'error'),
+    warnings: diagnostics.filter(d => d.severity === 'warning')
+  };
+}
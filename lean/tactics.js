@@ -0,0 +1,152 @@
+// lean/tactics.js - choose justification tactics for generated proof obligations
+import { collectVariables } from '../nlp/mathExpr.js';
+import { printTerm } from './terms.js';
+import { polynomialsEqual, polynomialDegree, isConstantTerm, substitute, termsEqual, halveTerm } from '../nlp/polynomial.js';
+
+const ORDER_UP = new Set(['≤', '<']);
+const ORDER_DOWN = new Set(['≥', '>']);
+
+const TEXT_HINTS = [
+  { pattern: /\b(ring|expand(?:ing)?|simplif(?:y|ying|ies)|factor(?:ing|ise|ize)?|distribut)/i, tactic: 'ring' },
+  { pattern: /\b(norm_num|arithmetic|comput(?:e|ing)|evaluat(?:e|ing)|numerically)\b/i, tactic: 'norm_num' },
+  { pattern: /\b(linarith|linear(?:ity)?|adding|subtract(?:ing)?|inequalit(?:y|ies))\b/i, tactic: 'linarith' }
+];
+
+export function composeRelations(relations) {
+  if (!relations || relations.length === 0) return null;
+
+  return relations.reduce((acc, rel) => {
+    if (acc === null) return null;
+    if (acc === '=') return rel === '≠' && relations.length > 1 ? null : rel;
+    if (rel === '=') return acc === '≠' ? null : acc;
+    if (ORDER_UP.has(acc) && ORDER_UP.has(rel)) return acc === '<' || rel === '<' ? '<' : '≤';
+    if (ORDER_DOWN.has(acc) && ORDER_DOWN.has(rel)) return acc === '>' || rel === '>' ? '>' : '≥';
+    if (acc === '∣' && rel === '∣') return '∣';
+    if (acc === '⊆' && rel === '⊆') return '⊆';
+    return null;
+  });
+}
+
+export function equationFacts(facts) {
+  return facts.filter(f => f.ast?.kind === 'chain' &&
+    f.ast.relations.length === 1 &&
+    f.ast.relations[0] === '=');
+}
+
+export function justifyRelation(lhs, relation, rhs, options = {}) {
+  const { facts = [], text = '' } = options;
+  const names = facts.map(f => f.name);
+
+  const exact = facts.find(f => f.ast?.kind === 'chain' &&
+    f.ast.relations.length === 1 &&
+    f.ast.relations[0] === relation &&
+    termsEqual(f.ast.operands[0], lhs) &&
+    termsEqual(f.ast.operands[1], rhs));
+  if (exact) return `exact ${exact.name}`;
+
+  if (relation === '=') {
+    if (polynomialsEqual(lhs, rhs)) {
+      return isConstantTerm(lhs) && isConstantTerm(rhs) ? 'norm_num' : 'ring';
+    }
+
+    for (const fact of equationFacts(facts)) {
+      const [from, to] = fact.ast.operands;
+      const left = substitute(lhs, from, to);
+      const right = substitute(rhs, from, to);
+      if (termsEqual(left, lhs) && termsEqual(right, rhs)) continue;
+
+      if (termsEqual(left, right)) return `rw [${fact.name}]`;
+      if (polynomialsEqual(left, right)) return `rw [${fact.name}]; ring`;
+    }
+  }
+
+  if (ORDER_UP.has(relation) || ORDER_DOWN.has(relation)) {
+    if (isConstantTerm(lhs) && isConstantTerm(rhs)) return 'norm_num';
+
+    const difference = { kind: 'binary', op: '-', left: lhs, right: rhs };
+    const degree = polynomialDegree(difference);
+    // Without facts linarith only closes links whose sides differ by a constant
+    if (degree !== null && (names.length || degree !== 1)) {
+      const tactic = degree <= 1 ? 'linarith' : 'nlinarith';
+      return names.length ? `${tactic} [${names.join(', ')}]` : tactic;
+    }
+  }
+
+  if (relation === '≠' && isConstantTerm(lhs) && isConstantTerm(rhs)) {
+    return 'norm_num';
+  }
+
+  return hintedTactic(text, names, lhs, rhs);
+}
+
+function hintedTactic(text, names, lhs, rhs) {
+  const hint = TEXT_HINTS.find(h => h.pattern.test(text));
+  if (hint?.tactic === 'linarith') {
+    if (names.length) return `linarith [${names.join(', ')}]`;
+  } else if (hint) {
+    return hint.tactic;
+  }
+
+  const cited = text.match(/\bby\s+(h[\w']*)\b/);
+  if (cited && names.includes(cited[1])) return `exact ${cited[1]}`;
+
+  const vars = new Set([...collectVariables(lhs), ...collectVariables(rhs)]);
+  if (vars.size === 0 && isConstantTerm(lhs) && isConstantTerm(rhs)) return 'norm_num';
+
+  return 'sorry';
+}
+
+export function proveProposition(prop, options = {}) {
+  const { facts = [], text = '' } = options;
+  if (!prop) return 'sorry';
+
+  const exact = facts.find(f => f.ast && termsEqual(f.ast, prop));
+  if (exact) return `exact ${exact.name}`;
+
+  if (prop.kind === 'chain' && prop.operands.length === 2) {
+    return justifyRelation(prop.operands[0], prop.relations[0], prop.operands[1], { facts, text });
+  }
+
+  if (prop.kind === 'pred' && (prop.name === 'Even' || prop.name === 'Odd')) {
+    return proveParity(prop, facts);
+  }
+
+  return 'sorry';
+}
+
+function proveParity(prop, facts) {
+  const [subject] = prop.args;
+
+  for (const fact of equationFacts(facts)) {
+    const [lhs, rhs] = fact.ast.operands;
+    if (!termsEqual(lhs, subject)) continue;
+
+    const witness = (prop.name === 'Even' ? evenWitness(rhs) : oddWitness(rhs)) ||
+                    halveTerm(rhs, prop.name === 'Even' ? 0 : 1);
+    if (!witness) continue;
+
+    const exactForm = prop.name === 'Even'
+      ? rhs.kind === 'binary' && rhs.op === '+' && termsEqual(rhs.left, rhs.right)
+      : rhs.kind === 'binary' && rhs.op === '+' && rhs.left.kind === 'binary' && rhs.left.op === '*' && rhs.left.left.kind === 'num';
+
+    return exactForm
+      ? `exact ⟨${printTerm(witness)}, ${fact.name}⟩`
+      : `exact ⟨${printTerm(witness)}, by rw [${fact.name}]; ring⟩`;
+  }
+
+  return 'sorry';
+}
+
+function evenWitness(term) {
+  if (term.kind !== 'binary') return null;
+  if (term.op === '+' && termsEqual(term.left, term.right)) return term.left;
+  if (term.op === '*' && term.left.kind === 'num' && term.left.value === '2') return term.right;
+  if (term.op === '*' && term.right.kind === 'num' && term.right.value === '2') return term.left;
+  return null;
+}
+
+function oddWitness(term) {
+  if (term.kind !== 'binary' || term.op !== '+') return null;
+  if (term.right.kind !== 'num' || term.right.value !== '1') return null;
+  return evenWitness(term.left);
+}
@@ -0,0 +1,146 @@
+// lean/terms.js - print expression ASTs from nlp/mathExpr.js as Lean 4 terms
+
+const BINARY = {
+  '^': { prec: 75, assoc: 'right', lean: '^' },
+  '*': { prec: 70, assoc: 'left', lean: '*' },
+  '/': { prec: 70, assoc: 'left', lean: '/' },
+  'mod': { prec: 70, assoc: 'left', lean: '%' },
+  '∩': { prec: 70, assoc: 'left', lean: '∩' },
+  '\\': { prec: 70, assoc: 'left', lean: '\\' },
+  '+': { prec: 65, assoc: 'left', lean: '+' },
+  '-': { prec: 65, assoc: 'left', lean: '-' },
+  '∪': { prec: 65, assoc: 'left', lean: '∪' },
+  '∧': { prec: 35, assoc: 'right', lean: '∧' },
+  '∨': { prec: 30, assoc: 'right', lean: '∨' },
+  '→': { prec: 25, assoc: 'right', lean: '→' },
+  '↔': { prec: 20, assoc: 'none', lean: '↔' }
+};
+
+const RELATION_PREC = 50;
+const NOT_PREC = 40;
+const NEG_PREC = 75;
+const APP_PREC = 1024;
+const BINDER_PREC = 0;
+
+const FUNCTION_NAMES = {
+  sin: 'Real.sin',
+  cos: 'Real.cos',
+  tan: 'Real.tan',
+  exp: 'Real.exp',
+  log: 'Real.log',
+  sqrt: 'Real.sqrt',
+  gcd: 'gcd',
+  lcm: 'lcm',
+  min: 'min',
+  max: 'max'
+};
+
+export function printTerm(ast) {
+  return print(ast, 0);
+}
+
+function print(ast, minPrec) {
+  if (!ast) return '_';
+
+  switch (ast.kind) {
+    case 'num':
+      return ast.value;
+
+    case 'var':
+      return ast.name;
+
+    case 'unary':
+      if (ast.op === '¬') {
+        return wrap(`¬${print(ast.arg, NOT_PREC)}`, NOT_PREC, minPrec);
+      }
+      return wrap(`-${negand(print(ast.arg, NEG_PREC))}`, NEG_PREC, minPrec);
+
+    case 'binary':
+      return printBinary(ast, minPrec);
+
+    case 'chain':
+      return printChain(ast, minPrec);
+
+    case 'app':
+      return printApp(ast, minPrec);
+
+    case 'pred':
+      return wrap([ast.name, ...ast.args.map(a => print(a, APP_PREC))].join(' '), APP_PREC - 1, minPrec);
+
+    case 'set':
+      return ast.elements.length ? `{${ast.elements.map(e => print(e, 0)).join(', ')}}` : '∅';
+
+    case 'exists':
+    case 'forall': {
+      const binder = ast.kind === 'exists' ? '∃' : '∀';
+      return wrap(`${binder} ${ast.vars.join(' ')}, ${print(ast.body, BINDER_PREC)}`, BINDER_PREC, minPrec);
+    }
+
+    default:
+      return '_';
+  }
+}
+
+function wrap(text, prec, minPrec) {
+  return prec < minPrec ? `(${text})` : text;
+}
+
+// `--` starts a Lean comment, so `-(-x)` keeps its parentheses
+function negand(text) {
+  return text.startsWith('-') ? `(${text})` : text;
+}
+
+function printBinary(ast, minPrec) {
+  const info = BINARY[ast.op];
+  if (!info) return '_';
+
+  const leftPrec = info.assoc === 'left' ? info.prec : info.prec + 1;
+  const rightPrec = info.assoc === 'right' ? info.prec : info.prec + 1;
+
+  const text = `${print(ast.left, leftPrec)} ${info.lean} ${print(ast.right, rightPrec)}`;
+  return wrap(text, info.prec, minPrec);
+}
+
+export function printRelation(left, relation, right, modulus = null) {
+  const l = print(left, RELATION_PREC + 1);
+  const r = print(right, RELATION_PREC + 1);
+
+  switch (relation) {
+    case '⊃':
+      return `${r} ⊂ ${l}`;
+    case '⊇':
+      return `${r} ⊆ ${l}`;
+    case '≡':
+      return modulus ? `${l} ≡ ${r} [ZMOD ${print(modulus, APP_PREC)}]` : `${l} = ${r}`;
+    default:
+      return `${l} ${relation} ${r}`;
+  }
+}
+
+function printChain(ast, minPrec) {
+  const links = [];
+  for (let i = 0; i < ast.relations.length; i++) {
+    links.push(printRelation(ast.operands[i], ast.relations[i], ast.operands[i + 1], ast.modulus));
+  }
+
+  if (links.length === 1) {
+    return wrap(links[0], RELATION_PREC, minPrec);
+  }
+
+  return wrap(links.join(' ∧ '), BINARY['∧'].prec, minPrec);
+}
+
+function printApp(ast, minPrec) {
+  if (ast.fn === 'abs') {
+    return `|${print(ast.args[0], 0)}|`;
+  }
+  if (ast.fn === 'floor') {
+    return `⌊${print(ast.args[0], 0)}⌋`;
+  }
+  if (ast.fn === 'ceil') {
+    return `⌈${print(ast.args[0], 0)}⌉`;
+  }
+
+  const fn = FUNCTION_NAMES[ast.fn] || ast.fn;
+  return wrap([fn, ...ast.args.map(a => print(a, APP_PREC))].join(' '), APP_PREC - 1, minPrec);
+}
@@ -0,0 +1,146 @@
+// lean/toolchain.js - discover Lean installs (elan, PATH, custom) and pick one
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const execFileAsync = promisify(execFile);
+
+const EXE = process.platform === 'win32' ? '.exe' : '';
+const TOOLCHAIN_FILE = 'lean-toolchain';
+
+export function elanHome() {
+  return process.env.ELAN_HOME || path.join(os.homedir(), '.elan');
+}
+
+export async function discoverToolchains(options = {}) {
+  const { customPaths = [] } = options;
+
+  const found = [
+    ...elanToolchains(),
+    ...pathToolchains(),
+    ...customPaths.map(customToolchain).filter(Boolean)
+  ];
+
+  // The same binary can be reachable several ways (elan proxy on PATH, ...)
+  const unique = found.filter((t, i) => found.findIndex(o => o.leanPath === t.leanPath) === i);
+
+  await Promise.all(unique.map(async t => {
+    const info = await getLeanVersion(t.leanPath);
+    t.version = info.ok ? info.version : null;
+    t.error = info.ok ? null : info.error;
+  }));
+
+  return unique;
+}
+
+function elanToolchains() {
+  const dir = path.join(elanHome(), 'toolchains');
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map(name => {
+      const leanPath = path.join(dir, name, 'bin', `lean${EXE}`);
+      if (!fs.existsSync(leanPath)) return null;
+      return {
+        id: `elan:${name}`,
+        name: toolchainNameFromDir(name),
+        source: 'elan',
+        leanPath,
+        lakePath: path.join(dir, name, 'bin', `lake${EXE}`)
+      };
+    })
+    .filter(Boolean);
+}
+
+function pathToolchains() {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  return dirs
+    .map(dir => path.join(dir, `lean${EXE}`))
+    .filter(file => fs.existsSync(file))
+    .map(leanPath => ({
+      id: `path:${leanPath}`,
+      name: `lean (${path.dirname(leanPath)})`,
+      source: 'path',
+      leanPath,
+      lakePath: path.join(path.dirname(leanPath), `lake${EXE}`)
+    }));
+}
+
+function customToolchain(leanPath) {
+  if (!leanPath || !fs.existsSync(leanPath)) return null;
+  return {
+    id: `custom:${leanPath}`,
+    name: `Custom (${leanPath})`,
+    source: 'custom',
+    leanPath,
+    lakePath: path.join(path.dirname(leanPath), `lake${EXE}`)
+  };
+}
+
+// elan stores `leanprover/lean4:v4.9.0` as `leanprover--lean4---v4.9.0`
+function toolchainNameFromDir(dirName) {
+  return dirName.replace('---', ':').replace(/--/g, '/');
+}
+
+function toolchainDirFromName(name) {
+  return name.trim().replace(/\//g, '--').replace(':', '---');
+}
+
+export async function getLeanVersion(leanPath = 'lean') {
+  try {
+    const { stdout } = await execFileAsync(leanPath, ['--version'], { timeout: 5000 });
+    const match = stdout.match(/version\s+([\d.]+[^\s,]*)/i);
+    return { ok: true, version: match ? match[1] : stdout.trim(), raw: stdout.trim() };
+  } catch (err) {
+    return { ok: false, error: err.code === 'ENOENT' ? `${leanPath} not found` : err.message };
+  }
+}
+
+// Looks for a `lean-toolchain` file in `startDir` or any parent directory.
+export function readToolchainFile(startDir) {
+  if (!startDir) return null;
+
+  let dir = path.resolve(startDir);
+  while (true) {
+    const file = path.join(dir, TOOLCHAIN_FILE);
+    if (fs.existsSync(file)) {
+      return { file, name: fs.readFileSync(file, 'utf8').trim() };
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Priority: an explicit per-document choice, then the project's or document's
+// lean-toolchain file, then the global choice, then whatever `lean` is on PATH.
+export function resolveToolchain(toolchains, options = {}) {
+  const { documentToolchain = null, activeToolchain = null, projectPath = null, documentPath = null } = options;
+
+  const byId = id => toolchains.find(t => t.id === id) || null;
+
+  if (documentToolchain && byId(documentToolchain)) {
+    return { ...byId(documentToolchain), reason: 'document' };
+  }
+
+  const pinned = readToolchainFile(projectPath) || readToolchainFile(documentPath && path.dirname(documentPath));
+  if (pinned) {
+    const dirName = toolchainDirFromName(pinned.name);
+    const match = toolchains.find(t => t.source === 'elan' && t.id === `elan:${dirName}`);
+    if (match) return { ...match, reason: 'lean-toolchain', toolchainFile: pinned.file };
+  }
+
+  const missing = pinned ? { missingToolchain: pinned.name, toolchainFile: pinned.file } : {};
+
+  if (activeToolchain && byId(activeToolchain)) {
+    return { ...byId(activeToolchain), reason: 'global', ...missing };
+  }
+
+  const fallback = toolchains.find(t => t.source === 'path') || toolchains[0];
+  return fallback
+    ? { ...fallback, reason: 'default', ...missing }
+    : { id: 'default', name: 'lean', source: 'path', leanPath: 'lean', lakePath: 'lake', reason: 'default', ...missing };
+}
@@ -1,12 +1,14 @@
 // lean/validator.js - write temp file and run Lean compiler
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import crypto from 'crypto';
+import { requiresMathlib } from './imports.js';
+import { parseLeanOutput, summarizeDiagnostics } from './diagnostics.js';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 export async function validateLean(leanCode, options = {}) {
   const {
@@ -14,7 +16,10 @@ export async function validateLean(leanCode, options = {}) {
     maxBuffer = 5 * 1024 * 1024,
     keepTempFile = false,
     leanVersion = 4,
-    workingDir = null
+    workingDir = null,
+    projectPath = null,
+    leanPath = 'lean',
+    lakePath = 'lake'
   } = options;
   
   if (!leanCode || typeof leanCode !== 'string') {
@@ -26,7 +31,11 @@ export async function validateLean(leanCode, options = {}) {
     };
   }
   
-  const leanInstalled = await checkLeanInstalled(leanVersion);
+  if (projectPath && requiresMathlib(leanCode)) {
+    return validateLeanInProject(leanCode, projectPath, { timeout, lakePath });
+  }
+  
+  const leanInstalled = await checkLeanInstalled(leanVersion, leanPath);
   if (!leanInstalled.ok) {
     return {
       ok: false,
@@ -45,7 +54,7 @@ export async function validateLean(leanCode, options = {}) {
   try {
     await fs.promises.writeFile(filepath, leanCode, 'utf8');
     
-    const result = await runLeanValidator(filepath, leanVersion, timeout, maxBuffer);
+    const result = await runLeanValidator(filepath, leanPath, leanVersion, timeout, maxBuffer);
     
     if (!keepTempFile) {
       try {
@@ -57,6 +66,10 @@ export async function validateLean(leanCode, options = {}) {
       result.tempFile = filepath;
     }
     
+    if (!result.ok && requiresMathlib(leanCode) && /unknown (?:package|module prefix)|object file .* does not exist/i.test(result.stderr + result.stdout)) {
+      result.hint = 'This proof imports Mathlib. Validate it inside a Lake project that depends on Mathlib (projectPath option).';
+    }
+    
     return result;
     
   } catch (err) {
@@ -78,10 +91,9 @@ export async function validateLean(leanCode, options = {}) {
   }
 }
 
-async function checkLeanInstalled(leanVersion) {
+async function checkLeanInstalled(leanVersion, leanPath = 'lean') {
   try {
-    const command = leanVersion === 4 ? 'lean --version' : 'lean --version';
-    const { stdout } = await execAsync(command, { timeout: 5000 });
+    const { stdout } = await execFileAsync(leanPath, ['--version'], { timeout: 5000 });
     
     const versionMatch = stdout.match(/Lean.*version\s+([\d.]+)/i);
     const installedVersion = versionMatch ? versionMatch[1] : 'unknown';
@@ -108,213 +120,74 @@ async function checkLeanInstalled(leanVersion) {
   }
 }
 
-async function runLeanValidator(filepath, leanVersion, timeout, maxBuffer) {
+async function runLeanValidator(filepath, leanPath, leanVersion, timeout, maxBuffer) {
+  const args = leanVersion === 4 
+    ? ['--json', filepath] 
+    : ['--make', filepath];
+  
+  return runAndCollect(leanPath, args, { cwd: path.dirname(filepath), timeout, maxBuffer });
+}
+
+// Runs a Lean command and turns its messages into diagnostics. Lean exits
+// non-zero when there are errors, so both paths parse the same output.
+async function runAndCollect(file, args, execOptions) {
   try {
-    const command = leanVersion === 4 
-      ? `lean "${filepath}"` 
-      : `lean --make "${filepath}"`;
-    
-    const { stdout, stderr } = await execAsync(command, {
-      timeout,
-      maxBuffer,
-      cwd: path.dirname(filepath)
-    });
-    
-    const hasErrors = parseForErrors(stdout, stderr);
+    const { stdout, stderr } = await execFileAsync(file, args, execOptions);
+    return summarizeDiagnostics(parseLeanOutput(stdout, stderr), { stdout: stdout || '', stderr: stderr || '' });
+  } catch (err) {
+    const stdout = err.stdout || '';
+    const stderr = err.stderr || '';
+    const diagnostics = parseLeanOutput(stdout, stderr);
+    const result = summarizeDiagnostics(diagnostics, { stdout, stderr, exitCode: err.code });
     
-    if (hasErrors.found) {
+    if (result.ok) {
       return {
+        ...result,
         ok: false,
-        error: hasErrors.message,
-        stdout: stdout || '',
-        stderr: stderr || '',
-        errors: hasErrors.errors,
-        warnings: hasErrors.warnings
+        error: err.killed ? `Lean timed out after ${execOptions.timeout}ms` : (stderr.trim() || err.message)
       };
     }
     
-    const warnings = parseForWarnings(stdout, stderr);
-    
-    return {
-      ok: true,
-      stdout: stdout || 'Lean validation successful',
-      stderr: stderr || '',
-      warnings,
-      message: warnings.length > 0 
-        ? `Validation passed with ${warnings.length} warning(s). Check for 'sorry' statements.`
-        : 'Lean validation successful - all proofs complete!'
-    };
-    
-  } catch (err) {
-    const stdout = err.stdout || '';
-    const stderr = err.stderr || '';
-    
-    const parsedErrors = parseErrorMessages(stdout, stderr);
-    
-    return {
-      ok: false,
-      error: parsedErrors.summary || err.message,
-      stdout,
-      stderr,
-      errors: parsedErrors.errors,
-      exitCode: err.code
-    };
-  }
-}
-
-function parseForErrors(stdout, stderr) {
-  const combined = (stdout + '\n' + stderr).toLowerCase();
-  
-  const errors = [];
-  const warnings = [];
-  
-  const errorPatterns = [
-    /error:/gi,
-    /type mismatch/gi,
-    /unknown identifier/gi,
-    /failed to synthesize/gi,
-    /tactic.*failed/gi
-  ];
-  
-  const hasError = errorPatterns.some(pattern => pattern.test(combined));
-  
-  if (hasError) {
-    const lines = (stdout + '\n' + stderr).split('\n');
-    lines.forEach((line, idx) => {
-      if (/error:/i.test(line)) {
-        errors.push({
-          line: idx + 1,
-          message: line.trim()
-        });
-      }
-      if (/warning:/i.test(line)) {
-        warnings.push({
-          line: idx + 1,
-          message: line.trim()
-        });
-      }
-    });
-    
-    return {
-      found: true,
-      message: errors.length > 0 ? errors[0].message : 'Lean validation failed',
-      errors,
-      warnings
-    };
-  }
-  
-  return { found: false, errors: [], warnings: [] };
-}
-
-function parseForWarnings(stdout, stderr) {
-  const combined = stdout + '\n' + stderr;
-  const warnings = [];
-  
-  if (/sorry|admit/i.test(combined)) {
-    warnings.push({
-      type: 'incomplete',
-      message: 'Proof contains sorry/admit statements - proof is incomplete'
-    });
+    return result;
   }
-  
-  const lines = combined.split('\n');
-  lines.forEach((line, idx) => {
-    if (/warning:/i.test(line)) {
-      warnings.push({
-        type: 'warning',
-        line: idx + 1,
-        message: line.trim()
-      });
-    }
-  });
-  
-  return warnings;
-}
-
-function parseErrorMessages(stdout, stderr) {
-  const combined = stdout + '\n' + stderr;
-  const lines = combined.split('\n');
-  
-  const errors = [];
-  let currentError = null;
-  
-  lines.forEach((line, idx) => {
-    if (/^.*\.lean:\d+:\d+: error:/i.test(line)) {
-      if (currentError) errors.push(currentError);
-      
-      const match = line.match(/^.*\.lean:(\d+):(\d+): error: (.+)/i);
-      currentError = {
-        line: match ? parseInt(match[1]) : idx + 1,
-        column: match ? parseInt(match[2]) : 0,
-        message: match ? match[3].trim() : line.trim(),
-        context: []
-      };
-    } else if (currentError && line.trim()) {
-      currentError.context.push(line.trim());
-    }
-  });
-  
-  if (currentError) errors.push(currentError);
-  
-  const summary = errors.length > 0
-    ? `${errors.length} error(s) found. First error: ${errors[0].message}`
-    : 'Lean validation failed';
-  
-  return { summary, errors };
 }
 
 export async function validateLeanInProject(leanCode, projectPath, options = {}) {
   const {
     moduleName = 'UserProof',
-    timeout = 60000
+    timeout = 120000,
+    lakePath = 'lake'
   } = options;
   
-  const lakefile = path.join(projectPath, 'lakefile.lean');
-  const hasLake = fs.existsSync(lakefile);
+  const hasLake = ['lakefile.lean', 'lakefile.toml'].some(f => fs.existsSync(path.join(projectPath, f)));
   
   if (!hasLake) {
     return {
       ok: false,
-      error: 'Not a Lake project. Expected lakefile.lean in project directory.'
+      error: 'Not a Lake project. Expected lakefile.lean or lakefile.toml in project directory.'
     };
   }
   
-  const moduleFile = path.join(projectPath, `${moduleName}.lean`);
+  const uniqueId = crypto.randomBytes(4).toString('hex');
+  const moduleFile = path.join(projectPath, `${moduleName}_${uniqueId}.lean`);
   
   try {
     await fs.promises.writeFile(moduleFile, leanCode, 'utf8');
     
-    const { stdout, stderr } = await execAsync('lake build', {
+    // `lake env` puts the project's dependencies (Mathlib) on LEAN_PATH, so the
+    // generated imports resolve without adding the file to a build target.
+    return await runAndCollect(lakePath, ['env', 'lean', '--json', moduleFile], {
       cwd: projectPath,
       timeout,
       maxBuffer: 5 * 1024 * 1024
     });
     
-    const hasErrors = parseForErrors(stdout, stderr);
-    
-    if (hasErrors.found) {
-      return {
-        ok: false,
-        error: hasErrors.message,
-        stdout,
-        stderr,
-        errors: hasErrors.errors
-      };
-    }
-    
-    return {
-      ok: true,
-      stdout,
-      stderr,
-      message: 'Lake build successful'
-    };
-    
   } catch (err) {
     return {
       ok: false,
-      error: `Lake build failed: ${err.message}`,
-      stdout: err.stdout || '',
-      stderr: err.stderr || ''
+      error: `Lake validation failed: ${err.message}`,
+      stdout: '',
+      stderr: ''
     };
   } finally {
     try {
@@ -325,13 +198,15 @@ export async function validateLeanInProject(leanCode, projectPath, options = {})
   }
 }
 
-export async function getLeanInfo() {
+export async function getLeanInfo(options = {}) {
+  const { leanPath = 'lean', lakePath = 'lake' } = options;
+  
   try {
-    const { stdout: versionOut } = await execAsync('lean --version', { timeout: 5000 });
+    const { stdout: versionOut } = await execFileAsync(leanPath, ['--version'], { timeout: 5000 });
     
     let lakeVersion = null;
     try {
-      const { stdout: lakeOut } = await execAsync('lake --version', { timeout: 5000 });
+      const { stdout: lakeOut } = await execFileAsync(lakePath, ['--version'], { timeout: 5000 });
       lakeVersion = lakeOut.trim();
     } catch {
       // Lake not installed
@@ -346,7 +221,7 @@ export async function getLeanInfo() {
   } catch (err) {
     return {
       ok: false,
-      error: 'Lean not installed or not in PATH'
+      error: `Lean not found at ${leanPath}`
     };
   }
-}
\ No newline at end of file
+}
@@ -17,17 +17,60 @@ import { app, BrowserWindow, ipcMain, Menu, dialog, nativeTheme } from 'electron
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import { tokenizeSentences } from './nlp/tokenizer.js';
+import os from 'os';
+import { parseDocument, getStatementSections } from './nlp/document.js';
+import { tokenizeDocument } from './nlp/tokenizer.js';
 import { extractEntities } from './nlp/entities.js';
 import { buildProofTree } from './nlp/proofTree.js';
-import { generateLean } from './lean/generator.js';
-import { validateLean } from './lean/validator.js';
+import { buildProofGraph } from './nlp/proofGraph.js';
+import { resolveDependencies, dependencyKeys } from './nlp/dependencies.js';
+import { generateLeanWithMap } from './lean/generator.js';
+import { validateLean, getLeanInfo } from './lean/validator.js';
+import { discoverToolchains, resolveToolchain } from './lean/toolchain.js';
+import { createLeanSession, diagnosticsToValidation } from './lean/server.js';
+import { requiresMathlib } from './lean/imports.js';
+import { attachDiagnosticSources, shiftSourceMap } from './lean/sourceMap.js';
+import { autoCloseHoles } from './lean/autoClose.js';
+import { createSettingsStore } from './app/settings.js';
+import { createProofDocument, parseProofFile, serializeProofDocument } from './app/proofFile.js';
+import { createRecoveryJournal, recoveryKeyForPath } from './app/recovery.js';
+import { createWorkspaceStore } from './app/workspace.js';
+import { compareSnapshots } from './app/compare.js';
+import { createHistoryStore } from './app/history.js';
+import { buildReportHtml } from './export/report.js';
+import { toLatex } from './export/latex.js';
+import { toMarkdown } from './export/markdown.js';
+import { importLatex } from './import/latex.js';
+import { informalizeLean } from './lean/informalize.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// PDF goes through printReportToPDF; the others are written as text.
+const EXPORT_FORMATS = {
+  pdf: { name: 'PDF Files', extension: 'pdf' },
+  latex: { name: 'LaTeX Files', extension: 'tex', render: toLatex },
+  markdown: { name: 'Markdown Files', extension: 'md', render: toMarkdown },
+  html: { name: 'HTML Files', extension: 'html', render: buildReportHtml }
+};
+
 let mainWindow;
-let currentFilePath = null;
+let documents = new Map();
+let activeDocId = null;
+let nextDocId = 1;
+let forceClose = false;
+let pendingSaves = new Map();
+let recoveryJournal = null;
+let workspaceStore = null;
+let historyStore = null;
+let leanSession = null;
+let lastGenerated = { docId: null, sourceMap: null, text: '' };
+// The server document version an explicit validation produced; diagnostics for
+// any other version (auto-close trials, goal lookups) stay out of the panel.
+let liveDiagnostics = null;
+let settingsStore = null;
+let preferencesWindow = null;
+let toolchainCache = null;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -45,6 +88,8 @@ function createWindow() {
   });
 
   mainWindow.loadFile('index.html');
+  updateWindowTitle();
+  mainWindow.on('page-title-updated', (e) => e.preventDefault());
   
   // Create menu
   createMenu();
@@ -54,9 +99,134 @@ function createWindow() {
     mainWindow.webContents.send('theme-changed', nativeTheme.shouldUseDarkColors);
   });
 
-  mainWindow.on('close', (e) => {
-    // Could add unsaved changes check here
+  mainWindow.on('close', async (e) => {
+    const dirty = [...documents.values()].filter(doc => doc.dirty);
+    if (forceClose || dirty.length === 0) return;
+
+    e.preventDefault();
+    for (const doc of dirty) {
+      mainWindow.webContents.send('activate-document', doc.id);
+      if (!(await confirmDiscardChanges(doc))) return;
+    }
+    forceClose = true;
+    mainWindow.close();
+  });
+}
+
+// Open documents, one per renderer tab. File-related IPC calls carry the id
+// of the document they are about.
+function createDocument(filepath = null, recoveryKey = recoveryKeyForPath(filepath), title = null) {
+  const doc = { id: `doc-${nextDocId++}`, filepath, title, dirty: false, recoveryKey };
+  documents.set(doc.id, doc);
+  return doc;
+}
+
+function getDocument(docId) {
+  return documents.get(docId) || null;
+}
+
+function documentName(doc) {
+  return doc.filepath ? path.basename(doc.filepath) : doc.title || 'Untitled';
+}
+
+function updateWindowTitle() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+
+  const doc = getDocument(activeDocId);
+  mainWindow.setTitle(doc ? `${doc.dirty ? '• ' : ''}${documentName(doc)} - Proof Chat Editor` : 'Proof Chat Editor');
+  mainWindow.setDocumentEdited([...documents.values()].some(d => d.dirty));
+}
+
+function setDocumentDirty(doc, dirty) {
+  doc.dirty = dirty;
+  updateWindowTitle();
+}
+
+// Resolves to true when it is fine to drop the document's unsaved changes.
+async function confirmDiscardChanges(doc) {
+  if (!doc.dirty) return true;
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Save', "Don't Save", 'Cancel'],
+    defaultId: 0,
+    cancelId: 2,
+    message: `Do you want to save the changes you made to ${documentName(doc)}?`,
+    detail: "Your changes will be lost if you don't save them."
   });
+
+  if (response === 0) return handleSave(doc.id);
+  if (response === 1) {
+    await recoveryJournal.discard(doc.recoveryKey);
+    return true;
+  }
+  return false;
+}
+
+// An untitled document takes its history along when first saved; Save As of
+// a file leaves the original's history with the original.
+async function markSaved(doc, filepath) {
+  const previousKey = doc.recoveryKey;
+  const forked = doc.filepath && doc.filepath !== filepath;
+  await recoveryJournal.discard(doc.recoveryKey);
+  doc.filepath = filepath;
+  doc.recoveryKey = recoveryKeyForPath(filepath);
+  if (forked) {
+    await historyStore.copyDocument(previousKey, doc.recoveryKey, documentName(doc));
+  } else {
+    await historyStore.moveDocument(previousKey, doc.recoveryKey, documentName(doc));
+  }
+  setDocumentDirty(doc, false);
+  await saveSession();
+}
+
+async function closeDocument(docId) {
+  const doc = getDocument(docId);
+  if (!doc) return true;
+  if (!(await confirmDiscardChanges(doc))) return false;
+
+  documents.delete(docId);
+  if (activeDocId === docId) activeDocId = null;
+  updateWindowTitle();
+  await saveSession();
+  return true;
+}
+
+function newDocumentPayload() {
+  const doc = createDocument();
+  return { docId: doc.id, filepath: null, document: createProofDocument(), isNew: true };
+}
+
+function handleNew() {
+  mainWindow.webContents.send('file-opened', newDocumentPayload());
+}
+
+// Tabs backed by a file are reopened on the next launch.
+async function saveSession() {
+  const files = [...documents.values()].map(doc => doc.filepath).filter(Boolean);
+  await workspaceStore.setSession({ files, active: getDocument(activeDocId)?.filepath || null });
+}
+
+async function addRecentFile(filepath) {
+  await workspaceStore.addRecentFile(filepath);
+  createMenu();
+}
+
+function recentFilesMenu() {
+  const recent = workspaceStore.getRecentFiles();
+  if (recent.length === 0) return [{ label: 'No Recent Files', enabled: false }];
+
+  return [
+    ...recent.map(filepath => ({ label: filepath, click: () => openFile(filepath) })),
+    { type: 'separator' },
+    {
+      label: 'Clear Recently Opened',
+      click: async () => {
+        await workspaceStore.clearRecentFiles();
+        createMenu();
+      }
+    }
+  ];
 }
 
 function createMenu() {
@@ -67,15 +237,17 @@ function createMenu() {
         {
           label: 'New',
           accelerator: 'CmdOrCtrl+N',
-          click: () => {
-            mainWindow.webContents.send('menu-action', 'new');
-          }
+          click: () => handleNew()
         },
         {
           label: 'Open...',
           accelerator: 'CmdOrCtrl+O',
           click: () => handleOpen()
         },
+        {
+          label: 'Open Recent',
+          submenu: recentFilesMenu()
+        },
         {
           label: 'Save',
           accelerator: 'CmdOrCtrl+S',
@@ -86,11 +258,30 @@ function createMenu() {
           accelerator: 'CmdOrCtrl+Shift+S',
           click: () => handleSaveAs()
         },
+        {
+          label: 'Close Tab',
+          accelerator: 'CmdOrCtrl+W',
+          click: () => {
+            mainWindow.webContents.send('menu-action', 'close-tab');
+          }
+        },
         { type: 'separator' },
         {
           label: 'Export to PDF',
           accelerator: 'CmdOrCtrl+E',
-          click: () => handleExportPDF()
+          click: () => handleExport('pdf')
+        },
+        {
+          label: 'Export as LaTeX',
+          click: () => handleExport('latex')
+        },
+        {
+          label: 'Export as Markdown',
+          click: () => handleExport('markdown')
+        },
+        {
+          label: 'Export as HTML',
+          click: () => handleExport('html')
         },
         {
           label: 'Export Lean Code',
@@ -151,9 +342,7 @@ function createMenu() {
         {
           label: 'Preferences',
           accelerator: 'CmdOrCtrl+,',
-          click: () => {
-            mainWindow.webContents.send('menu-action', 'preferences');
-          }
+          click: () => openPreferencesWindow()
         },
         { type: 'separator' },
         {
@@ -199,64 +388,241 @@ async function handleOpen() {
     properties: ['openFile'],
     filters: [
       { name: 'Proof Files', extensions: ['proof', 'txt'] },
+      { name: 'LaTeX Files', extensions: ['tex'] },
+      { name: 'Lean Files', extensions: ['lean'] },
       { name: 'All Files', extensions: ['*'] }
     ]
   });
 
   if (!result.canceled && result.filePaths.length > 0) {
-    const filepath = result.filePaths[0];
-    try {
-      const content = await fs.promises.readFile(filepath, 'utf8');
-      currentFilePath = filepath;
-      mainWindow.webContents.send('file-opened', { filepath, content });
-    } catch (err) {
-      dialog.showErrorBox('Error', `Failed to open file: ${err.message}`);
+    await openFile(result.filePaths[0]);
+  }
+}
+
+async function openFile(filepath) {
+  const open = [...documents.values()].find(doc => doc.filepath === filepath);
+  if (open) {
+    mainWindow.webContents.send('activate-document', open.id);
+    return;
+  }
+
+  const latex = isLatexFile(filepath);
+  const lean = isLeanFile(filepath);
+  const res = latex
+    ? await readLatexDocuments(filepath)
+    : lean ? await readLeanDocument(filepath) : await readProofDocument(filepath);
+  if (!res.ok) {
+    if (res.missing) {
+      await workspaceStore.removeRecentFile(filepath);
+      createMenu();
     }
+    dialog.showErrorBox('Error', `Failed to open file: ${res.error}`);
+    return;
+  }
+
+  await addRecentFile(filepath);
+  if (lean) {
+    mainWindow.webContents.send('file-opened', res);
+    if (res.unsupported.length > 0) {
+      dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        message: `Some tactics in ${path.basename(filepath)} have no English rendering and were left out of the draft.`,
+        detail: res.unsupported.map(({ name, count }) => `  ${name}${count > 1 ? ` (${count}×)` : ''}`).join('\n')
+      });
+    }
+    return;
+  }
+  if (!latex) {
+    mainWindow.webContents.send('file-opened', res);
+    return;
+  }
+
+  res.documents.forEach(payload => mainWindow.webContents.send('file-opened', payload));
+  if (res.unsupported.length > 0 || res.skipped.length > 0) {
+    dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      message: `Imported ${res.documents.length} proof(s) from ${path.basename(filepath)} with some content left unconverted.`,
+      detail: latexImportReport(res)
+    });
   }
 }
 
-async function handleSave() {
-  if (currentFilePath) {
-    await saveToFile(currentFilePath);
-  } else {
-    await handleSaveAs();
+// Reads a file into a new document; the renderer opens a tab for it.
+async function readProofDocument(filepath) {
+  try {
+    const content = await fs.promises.readFile(filepath, 'utf8');
+    const parsed = parseProofFile(content);
+    if (!parsed.ok) return parsed;
+
+    // Saving imported text goes through Save As so a .txt is never overwritten with JSON
+    const doc = createDocument(isProofFile(filepath) ? filepath : null);
+    await historyStore.importEntries(doc.recoveryKey, documentName(doc), parsed.document.history);
+    return {
+      ok: true,
+      docId: doc.id,
+      filepath: doc.filepath,
+      sourcePath: filepath,
+      document: parsed.document,
+      imported: parsed.imported,
+      migratedFrom: parsed.migratedFrom
+    };
+  } catch (err) {
+    return { ok: false, error: err.message, missing: err.code === 'ENOENT' };
   }
 }
 
-async function handleSaveAs() {
-  const result = await dialog.showSaveDialog(mainWindow, {
-    filters: [
-      { name: 'Proof Files', extensions: ['proof'] },
-      { name: 'Text Files', extensions: ['txt'] }
-    ],
-    defaultPath: 'untitled.proof'
-  });
+// Each theorem (with its proof) in a .tex file becomes an untitled document.
+async function readLatexDocuments(filepath) {
+  try {
+    const result = importLatex(await fs.promises.readFile(filepath, 'utf8'));
+    if (!result.ok) return result;
 
-  if (!result.canceled && result.filePath) {
-    currentFilePath = result.filePath;
-    await saveToFile(result.filePath);
+    const name = path.basename(filepath);
+    const documents = result.theorems.map((theorem, i) => {
+      const label = theorem.kind
+        ? [theorem.kind.charAt(0).toUpperCase() + theorem.kind.slice(1), theorem.number].filter(Boolean).join(' ')
+        : `Proof ${i + 1}`;
+      const doc = createDocument(null, undefined, `${name} - ${label}`);
+      return {
+        ok: true,
+        docId: doc.id,
+        filepath: null,
+        title: doc.title,
+        sourcePath: filepath,
+        document: createProofDocument({ english: theorem.english }),
+        imported: true,
+        migratedFrom: null
+      };
+    });
+    return { ok: true, documents, unsupported: result.unsupported, skipped: result.skipped };
+  } catch (err) {
+    return { ok: false, error: err.message, missing: err.code === 'ENOENT' };
   }
 }
 
-async function saveToFile(filepath) {
+// A .lean file becomes an untitled English draft; the original Lean is kept
+// alongside it so the two can be compared before regenerating.
+async function readLeanDocument(filepath) {
   try {
-    mainWindow.webContents.send('request-content-for-save');
+    const source = await fs.promises.readFile(filepath, 'utf8');
+    const result = informalizeLean(source);
+    if (!result.ok) return result;
+
+    const doc = createDocument(null, undefined, `${path.basename(filepath)} (English draft)`);
+    return {
+      ok: true,
+      docId: doc.id,
+      filepath: null,
+      title: doc.title,
+      sourcePath: filepath,
+      document: createProofDocument({ english: result.english, lean: source }),
+      imported: true,
+      migratedFrom: null,
+      unsupported: result.unsupported
+    };
   } catch (err) {
-    dialog.showErrorBox('Error', `Failed to save file: ${err.message}`);
+    return { ok: false, error: err.message, missing: err.code === 'ENOENT' };
+  }
+}
+
+function latexImportReport({ unsupported, skipped }) {
+  const lines = [];
+  if (unsupported.length > 0) {
+    lines.push('Unsupported macros were kept as written:');
+    unsupported.forEach(({ name, count }) => lines.push(`  ${name}${count > 1 ? ` (${count}×)` : ''}`));
+  }
+  if (skipped.length > 0) {
+    lines.push('Environments that are not theorems or proofs were skipped:');
+    skipped.forEach(({ name, count }) => lines.push(`  ${name}${count > 1 ? ` (${count}×)` : ''}`));
+  }
+  return lines.join('\n');
+}
+
+function isLatexFile(filepath) {
+  return path.extname(filepath).toLowerCase() === '.tex';
+}
+
+function isLeanFile(filepath) {
+  return path.extname(filepath).toLowerCase() === '.lean';
+}
+
+function isProofFile(filepath) {
+  return path.extname(filepath).toLowerCase() === '.proof';
+}
+
+// Both resolve to true once the document is on disk.
+async function handleSave(docId = activeDocId) {
+  const doc = getDocument(docId);
+  if (!doc) return false;
+  if (doc.filepath) return saveToFile(doc);
+  return handleSaveAs(docId);
+}
+
+async function handleSaveAs(docId = activeDocId) {
+  const doc = getDocument(docId);
+  if (!doc) return false;
+
+  // Only .proof keeps the tree, Lean code and history; plain text is an export
+  const result = await dialog.showSaveDialog(mainWindow, {
+    filters: [{ name: 'Proof Files', extensions: ['proof'] }],
+    defaultPath: doc.filepath || 'untitled.proof'
+  });
+
+  if (!result.canceled && result.filePath) {
+    const filepath = isProofFile(result.filePath) ? result.filePath : `${result.filePath}.proof`;
+    // The dialog only asked about overwriting the name as typed
+    if (filepath !== result.filePath && fs.existsSync(filepath)) {
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        buttons: ['Replace', 'Cancel'],
+        defaultId: 1,
+        cancelId: 1,
+        message: `${path.basename(filepath)} already exists. Replace it?`
+      });
+      if (response !== 0) return false;
+    }
+    return saveToFile(doc, filepath);
   }
+  return false;
 }
 
-async function handleExportPDF() {
+// The renderer answers with a save-content call, which settles this promise.
+// The document only takes the new path once the file is written.
+function saveToFile(doc, filepath = doc.filepath) {
+  return new Promise(resolve => {
+    settleSave(doc.id, false);
+    pendingSaves.set(doc.id, { resolve, filepath });
+    try {
+      mainWindow.webContents.send('request-content-for-save', doc.id);
+    } catch (err) {
+      dialog.showErrorBox('Error', `Failed to save file: ${err.message}`);
+      settleSave(doc.id, false);
+    }
+  });
+}
+
+function settleSave(docId, ok) {
+  const pending = pendingSaves.get(docId);
+  pendingSaves.delete(docId);
+  if (pending) pending.resolve(ok);
+}
+
+async function handleExport(format) {
+  const { name, extension } = EXPORT_FORMATS[format];
   const result = await dialog.showSaveDialog(mainWindow, {
-    filters: [{ name: 'PDF Files', extensions: ['pdf'] }],
-    defaultPath: 'proof.pdf'
+    filters: [{ name, extensions: [extension] }],
+    defaultPath: `${documentBaseName(getDocument(activeDocId))}.${extension}`
   });
 
   if (!result.canceled && result.filePath) {
-    mainWindow.webContents.send('export-pdf', result.filePath);
+    mainWindow.webContents.send('export-document', format, result.filePath, activeDocId);
   }
 }
 
+function documentBaseName(doc) {
+  return doc?.filepath ? path.basename(doc.filepath, path.extname(doc.filepath)) : 'proof';
+}
+
 async function handleExportLean() {
   const result = await dialog.showSaveDialog(mainWindow, {
     filters: [{ name: 'Lean Files', extensions: ['lean'] }],
@@ -264,61 +630,566 @@ async function handleExportLean() {
   });
 
   if (!result.canceled && result.filePath) {
-    mainWindow.webContents.send('export-lean', result.filePath);
+    mainWindow.webContents.send('export-lean', result.filePath, activeDocId);
   }
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(async () => {
+  settingsStore = createSettingsStore(path.join(app.getPath('userData'), 'settings.json'));
+  await settingsStore.load();
+  settingsStore.onChange(handleSettingsChanged);
+  recoveryJournal = createRecoveryJournal(path.join(app.getPath('userData'), 'recovery'));
+  workspaceStore = createWorkspaceStore(path.join(app.getPath('userData'), 'workspace.json'));
+  await workspaceStore.load();
+  historyStore = createHistoryStore(path.join(app.getPath('userData'), 'history'), {
+    limits: () => settingsStore.get().history
+  });
+  createWindow();
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('will-quit', () => {
+  if (leanSession) leanSession.stop();
+});
+
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) createWindow();
 });
 
+// Preferences, stored in userData so they survive restarts
+function openPreferencesWindow() {
+  if (preferencesWindow && !preferencesWindow.isDestroyed()) {
+    preferencesWindow.focus();
+    return;
+  }
+
+  preferencesWindow = new BrowserWindow({
+    width: 560,
+    height: 680,
+    parent: mainWindow,
+    backgroundColor: settingsStore.get().editor.theme === 'dark' ? '#1e1e1e' : '#ffffff',
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false
+    },
+    title: 'Preferences'
+  });
+  preferencesWindow.setMenu(null);
+  preferencesWindow.loadFile('preferences.html');
+  preferencesWindow.on('closed', () => {
+    preferencesWindow = null;
+  });
+}
+
+function handleSettingsChanged(settings) {
+  BrowserWindow.getAllWindows().forEach(win => win.webContents.send('settings-changed', settings));
+
+  // Drop the server session once it has been turned off
+  if (leanSession && settings.validation.useServer === false) {
+    leanSession.stop();
+    leanSession = null;
+  }
+}
+
+async function updateLeanSettings(patch) {
+  return settingsStore.update({ lean: patch });
+}
+
+async function getToolchains(refresh = false) {
+  if (!toolchainCache || refresh) {
+    toolchainCache = await discoverToolchains({ customPaths: settingsStore.get().lean.customPaths });
+  }
+  return toolchainCache;
+}
+
+// Resolves the Lean binaries and project folder for a request; `opts.toolchain`
+// is the per-document choice sent by the renderer.
+async function leanEnvironment(leanCode, opts = {}) {
+  const { lean } = settingsStore.get();
+  const projectPath = opts.projectPath || lean.projectPath || null;
+  const toolchain = resolveToolchain(await getToolchains(), {
+    documentToolchain: opts.toolchain || null,
+    activeToolchain: lean.activeToolchain,
+    projectPath,
+    documentPath: getDocument(opts.docId)?.filepath || null
+  });
+
+  return {
+    toolchain,
+    projectPath: leanCode && requiresMathlib(leanCode) ? projectPath : null
+  };
+}
+
+// Lean server session: reused across Generate runs so imports stay loaded.
+// Falls back to the one-shot validator when the server cannot be used.
+function getLeanSession({ projectPath, toolchain }) {
+  const cwd = projectPath || os.tmpdir();
+  const command = projectPath ? toolchain.lakePath : toolchain.leanPath;
+  if (leanSession && (leanSession.cwd !== cwd || leanSession.command !== command)) {
+    leanSession.stop();
+    leanSession = null;
+  }
+
+  if (!leanSession) {
+    liveDiagnostics = null;
+    leanSession = createLeanSession({
+      command,
+      args: projectPath ? ['serve'] : ['--server'],
+      cwd,
+      onDiagnostics: (items, version) => {
+        if (!liveDiagnostics || version !== liveDiagnostics.version) return;
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          const { sourceMap, text, docId } = liveDiagnostics;
+          mainWindow.webContents.send('lean-diagnostics',
+            attachDiagnosticSources(diagnosticsToValidation(items), sourceMap, text), docId);
+        }
+      }
+    });
+  }
+
+  return leanSession;
+}
+
+async function validateLeanCode(leanCode, opts = {}) {
+  const env = await leanEnvironment(leanCode, opts);
+
+  if (opts.useServer !== false) {
+    const session = getLeanSession(env);
+    try {
+      // opts.live: { docId, sourceMap, text } of an explicit validation, whose
+      // diagnostics are streamed to the renderer while Lean elaborates
+      if (opts.live) {
+        await session.sync(leanCode);
+        liveDiagnostics = { ...opts.live, version: session.version() };
+      }
+      const items = await session.check(leanCode, opts.timeout);
+      return { ...diagnosticsToValidation(items), source: 'server' };
+    } catch (err) {
+      if (opts.retryOnTimeout === false && /timed out/.test(err.message)) throw err;
+      console.warn('Lean server validation failed, using one-shot validator:', err.message);
+      session.stop();
+      leanSession = null;
+    }
+  }
+
+  return validateLean(leanCode, {
+    projectPath: env.projectPath,
+    leanPath: env.toolchain.leanPath,
+    lakePath: env.toolchain.lakePath,
+    keepTempFile: opts.keepTempFile,
+    workingDir: opts.workingDir,
+    ...(opts.timeout ? { timeout: opts.timeout } : {})
+  });
+}
+
+// Auto-close attempts go through the server when it is available; a timed out
+// attempt just counts as a failed candidate. Only the server can say whether a
+// hole past an earlier error was really closed.
+function autoCloseLean(leanCode, opts = {}) {
+  return autoCloseHoles(leanCode, {
+    attemptTimeout: opts.attemptTimeout || 10000,
+    imports: opts.imports,
+    validate: (code, attemptOpts) => validateLeanCode(code, { ...opts, ...attemptOpts, retryOnTimeout: false }),
+    goalsAfter: opts.useServer === false ? null : async (code, position) => {
+      const session = getLeanSession(await leanEnvironment(code, opts));
+      const goal = await session.plainGoal(code, position.line - 1, position.character);
+      return goal ? goal.goals : null;
+    },
+    onProgress: progress => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('auto-close-progress', progress);
+      }
+    }
+  });
+}
+
+function shiftNodeLines(nodeLines, offset) {
+  return Object.fromEntries(Object.entries(nodeLines).map(([id, line]) => [id, line + offset]));
+}
+
+// Per-request options from the renderer win over the stored preferences.
+function pipelineOptions(opts = {}) {
+  const { generation, validation } = settingsStore.get();
+  return {
+    ...generation,
+    validate: validation.validateOnGenerate,
+    timeout: validation.timeout,
+    keepTempFile: validation.keepTempFile,
+    workingDir: validation.workingDir,
+    useServer: validation.useServer,
+    autoClose: validation.autoClose,
+    attemptTimeout: validation.attemptTimeout,
+    ...opts
+  };
+}
+
 // IPC handlers
-ipcMain.handle('generate-lean', async (event, englishText, opts = { validate: true }) => {
+function proofTreeFromText(englishText, dependencyOverrides = {}) {
+  const document = parseDocument(englishText);
+  const statements = getStatementSections(document).map(sec => sec.statement.text);
+  const sentences = tokenizeDocument(document);
+  const entities = extractEntities([...statements, ...sentences]);
+  return resolveDependencies(buildProofTree(sentences, entities, document.sections), dependencyOverrides);
+}
+
+ipcMain.handle('generate-lean', async (event, englishText, requestOpts = {}) => {
   try {
     if (!englishText || typeof englishText !== 'string') {
       return { ok: false, error: 'Invalid input: englishText must be a non-empty string' };
     }
 
-    const sentences = tokenizeSentences(englishText);
-    const entities = extractEntities(sentences);
-    const proofTree = buildProofTree(sentences, entities);
-    const leanCode = generateLean(proofTree);
+    const opts = pipelineOptions(requestOpts);
+    const proofTree = proofTreeFromText(englishText, opts.dependencyOverrides);
+    const generated = generateLeanWithMap(proofTree, {
+      theoremName: opts.theoremName,
+      includeComments: opts.includeComments,
+      assumptionStyle: opts.assumptionStyle,
+      imports: opts.imports,
+      useAdmit: opts.autoClose ? true : opts.useAdmit !== false
+    });
+    let { nodeLines, sourceMap } = generated;
+    let leanCode = generated.code;
+    lastGenerated = { docId: opts.docId || null, sourceMap, text: englishText };
 
     if (!leanCode) {
       return { ok: false, error: 'Failed to generate Lean code' };
     }
 
+    let autoClose = null;
+    if (opts.autoClose) {
+      try {
+        autoClose = await autoCloseLean(leanCode, opts);
+        leanCode = autoClose.code;
+        if (autoClose.lineOffset) {
+          sourceMap = shiftSourceMap(sourceMap, autoClose.lineOffset);
+          nodeLines = shiftNodeLines(nodeLines, autoClose.lineOffset);
+          lastGenerated = { ...lastGenerated, sourceMap };
+        }
+      } catch (err) {
+        autoClose = { error: String(err), closed: [], open: [] };
+      }
+    }
+
     let validation = null;
     if (opts.validate) {
       try {
-        validation = await validateLean(leanCode);
+        const live = { docId: opts.docId || null, sourceMap, text: englishText };
+        validation = attachDiagnosticSources(await validateLeanCode(leanCode, { ...opts, live }), sourceMap, englishText);
       } catch (err) {
         validation = { ok: false, error: String(err) };
       }
     }
 
-    return { ok: true, lean: leanCode, proofTree, validation };
+    return { ok: true, lean: leanCode, proofTree, nodeLines, sourceMap, validation, autoClose };
   } catch (err) {
     console.error('Error in generate-lean:', err);
     return { ok: false, error: String(err) };
   }
 });
 
-ipcMain.handle('save-content', async (event, content) => {
-  if (currentFilePath) {
+ipcMain.handle('auto-close', async (event, leanCode, opts = {}) => {
+  try {
+    if (!leanCode || typeof leanCode !== 'string') {
+      return { ok: false, error: 'Invalid input: leanCode must be a non-empty string' };
+    }
+
+    const report = await autoCloseLean(leanCode, pipelineOptions(opts));
+    if (report.lineOffset) {
+      lastGenerated = { ...lastGenerated, sourceMap: shiftSourceMap(lastGenerated.sourceMap, report.lineOffset) };
+    }
+    const validation = attachDiagnosticSources(report.validation, lastGenerated.sourceMap, lastGenerated.text);
+    return { ok: true, ...report, validation };
+  } catch (err) {
+    console.error('Error in auto-close:', err);
+    return { ok: false, error: String(err) };
+  }
+});
+
+// With overrides the tree's dependencies are re-resolved first, so edge edits
+// show up without regenerating the Lean code.
+ipcMain.handle('proof-graph', async (event, proofTree, dependencyOverrides = null) => {
+  try {
+    if (!proofTree) {
+      return { ok: false, error: 'No proof tree to draw' };
+    }
+    if (dependencyOverrides) resolveDependencies(proofTree, dependencyOverrides);
+    else if (!proofTree.dependencyKeys) proofTree.dependencyKeys = dependencyKeys(proofTree);
+    return { ok: true, graph: buildProofGraph(proofTree), proofTree };
+  } catch (err) {
+    console.error('Error in proof-graph:', err);
+    return { ok: false, error: String(err) };
+  }
+});
+
+ipcMain.handle('compare-snapshots', async (event, left, right) => {
+  try {
+    if (!left || !right) {
+      return { ok: false, error: 'Two snapshots are needed to compare' };
+    }
+    return { ok: true, ...compareSnapshots(left, right) };
+  } catch (err) {
+    console.error('Error in compare-snapshots:', err);
+    return { ok: false, error: String(err) };
+  }
+});
+
+ipcMain.handle('lean-goal', async (event, leanCode, position, opts = {}) => {
+  try {
+    if (!leanCode || typeof leanCode !== 'string' || !position) {
+      return { ok: false, error: 'Invalid goal request' };
+    }
+
+    const session = getLeanSession(await leanEnvironment(leanCode, opts));
+    const goal = await session.plainGoal(leanCode, position.line - 1, position.character || 0);
+
+    return { ok: true, goals: goal ? goal.goals : null, rendered: goal ? goal.rendered : '' };
+  } catch (err) {
+    return { ok: false, error: String(err.message || err) };
+  }
+});
+
+ipcMain.handle('list-toolchains', async (event, opts = {}) => {
+  try {
+    const toolchains = await getToolchains(opts.refresh);
+    const { toolchain } = await leanEnvironment(null, opts);
+    const info = await getLeanInfo({ leanPath: toolchain.leanPath, lakePath: toolchain.lakePath });
+
+    return {
+      ok: true,
+      toolchains,
+      resolved: toolchain,
+      info,
+      activeToolchain: settingsStore.get().lean.activeToolchain,
+      projectPath: settingsStore.get().lean.projectPath
+    };
+  } catch (err) {
+    return { ok: false, error: String(err) };
+  }
+});
+
+ipcMain.handle('set-toolchain', async (event, id) => {
+  const res = await updateLeanSettings({ activeToolchain: id || null });
+  return { ok: res.ok, error: res.errors.join('; ') };
+});
+
+ipcMain.handle('add-lean-binary', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose Lean binary',
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) return { ok: false, canceled: true };
+
+  const leanPath = result.filePaths[0];
+  const { customPaths } = settingsStore.get().lean;
+  await updateLeanSettings({
+    customPaths: customPaths.includes(leanPath) ? customPaths : [...customPaths, leanPath],
+    activeToolchain: `custom:${leanPath}`
+  });
+  await getToolchains(true);
+  return { ok: true, id: `custom:${leanPath}` };
+});
+
+ipcMain.handle('set-lean-project', async (event, choose = true) => {
+  let projectPath = null;
+  if (choose) {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose Lean project folder',
+      properties: ['openDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) return { ok: false, canceled: true };
+    projectPath = result.filePaths[0];
+  }
+
+  await updateLeanSettings({ projectPath });
+  return { ok: true, projectPath };
+});
+
+ipcMain.handle('save-document', async (event, docId) => {
+  return { ok: await handleSave(docId) };
+});
+
+ipcMain.handle('new-document', async () => {
+  return newDocumentPayload();
+});
+
+ipcMain.handle('restore-session', async () => {
+  // A reloaded renderer has lost its tabs, so start from the saved session
+  documents.clear();
+  activeDocId = null;
+
+  const session = workspaceStore.getSession();
+  const restored = [];
+  for (const filepath of session.files) {
+    const res = await readProofDocument(filepath);
+    if (res.ok) restored.push(res);
+  }
+
+  const active = restored.find(res => res.filepath === session.active);
+  return { ok: true, documents: restored, activeDocId: active ? active.docId : null };
+});
+
+ipcMain.handle('activate-document', async (event, docId) => {
+  if (!getDocument(docId)) return { ok: false, error: 'Unknown document' };
+  activeDocId = docId;
+  updateWindowTitle();
+  await saveSession();
+  return { ok: true };
+});
+
+ipcMain.handle('close-document', async (event, docId) => {
+  return { ok: await closeDocument(docId) };
+});
+
+ipcMain.handle('set-dirty', async (event, docId, dirty) => {
+  const doc = getDocument(docId);
+  if (!doc) return { ok: false, error: 'Unknown document' };
+  setDocumentDirty(doc, Boolean(dirty));
+  return { ok: true };
+});
+
+ipcMain.handle('record-recovery', async (event, docId, state) => {
+  const doc = getDocument(docId);
+  if (!doc) return { ok: false, error: 'Unknown document' };
+  try {
+    return await recoveryJournal.record(doc.recoveryKey, doc.filepath, state);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+
+ipcMain.handle('list-recovery', async () => {
+  try {
+    return { ok: true, documents: await recoveryJournal.list() };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+
+// A restored snapshot replaces the clean tab of the same file, or opens a new
+// tab. Its snapshots stay in the journal until that tab is saved or discarded.
+ipcMain.handle('restore-recovery', async (event, id) => {
+  const res = await recoveryJournal.read(id);
+  if (!res.ok) return res;
+
+  const { snapshot } = res;
+  const owner = [...documents.values()].find(doc => doc.recoveryKey === snapshot.key);
+  if (owner && owner.dirty) return { ok: false, error: `${documentName(owner)} has unsaved changes; save or close it first` };
+
+  const doc = owner || createDocument(snapshot.filepath, snapshot.key);
+  setDocumentDirty(doc, true);
+
+  return {
+    ok: true,
+    docId: doc.id,
+    filepath: snapshot.filepath,
+    document: createProofDocument(snapshot.state || {}),
+    timestamp: snapshot.timestamp
+  };
+});
+
+ipcMain.handle('discard-recovery', async (event, key = null) => {
+  // Snapshots of tabs with unsaved changes are still needed
+  const inUse = [...documents.values()].filter(doc => doc.dirty).map(doc => doc.recoveryKey);
+  if (key && !inUse.includes(key)) {
+    await recoveryJournal.discard(key);
+  } else if (!key) {
+    await recoveryJournal.clear({ exclude: inUse });
+  }
+  return { ok: true };
+});
+
+// History: entries belong to a document through its recovery key; a null
+// docId means every document.
+function historyKey(docId) {
+  return docId ? getDocument(docId)?.recoveryKey || null : null;
+}
+
+ipcMain.handle('history-query', async (event, docId, query = {}) => {
+  if (docId && !historyKey(docId)) return { ok: true, entries: [], total: 0 };
+  return { ok: true, ...(await historyStore.query({ ...query, docKey: historyKey(docId) })) };
+});
+
+ipcMain.handle('history-add', async (event, docId, entry) => {
+  const doc = getDocument(docId);
+  if (!doc || !entry || typeof entry.text !== 'string') {
+    return { ok: false, error: 'Invalid history entry' };
+  }
+  const added = await historyStore.add(doc.recoveryKey, documentName(doc), entry);
+  return added ? { ok: true, entry: added } : { ok: false, error: 'Invalid history entry' };
+});
+
+ipcMain.handle('history-update', async (event, id, changes) => {
+  const entry = await historyStore.update(id, changes || {});
+  return entry ? { ok: true, entry } : { ok: false, error: 'History entry not found' };
+});
+
+ipcMain.handle('history-get', async (event, id) => {
+  const entry = await historyStore.get(id);
+  return entry ? { ok: true, entry } : { ok: false, error: 'History entry not found' };
+});
+
+ipcMain.handle('history-delete', async (event, id) => {
+  await historyStore.remove(id);
+  return { ok: true };
+});
+
+ipcMain.handle('history-clear', async (event, docId = null) => {
+  if (docId && !historyKey(docId)) return { ok: true, cleared: 0 };
+  return { ok: true, cleared: await historyStore.clear(historyKey(docId)) };
+});
+
+ipcMain.handle('get-settings', async () => {
+  return settingsStore.get();
+});
+
+ipcMain.handle('update-settings', async (event, patch) => {
+  return settingsStore.update(patch);
+});
+
+ipcMain.handle('reset-settings', async () => {
+  return { ok: true, settings: await settingsStore.reset() };
+});
+
+ipcMain.handle('open-preferences', async () => {
+  openPreferencesWindow();
+  return { ok: true };
+});
+
+ipcMain.handle('choose-directory', async (event, title = 'Choose folder') => {
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title,
+    properties: ['openDirectory']
+  });
+  if (result.canceled || result.filePaths.length === 0) return { ok: false, canceled: true };
+  return { ok: true, path: result.filePaths[0] };
+});
+
+ipcMain.handle('save-content', async (event, docId, state) => {
+  const doc = getDocument(docId);
+  if (!doc || !state || typeof state.english !== 'string') {
+    settleSave(docId, false);
+    return { ok: false, error: 'Invalid document state' };
+  }
+  const filepath = pendingSaves.get(docId)?.filepath || doc.filepath;
+  if (filepath) {
     try {
-      await fs.promises.writeFile(currentFilePath, content, 'utf8');
-      return { ok: true, filepath: currentFilePath };
+      // The document's history travels with the file, as well as living in userData
+      const content = serializeProofDocument({ ...state, history: await historyStore.documentEntries(doc.recoveryKey) });
+      await fs.promises.writeFile(filepath, content, 'utf8');
+      await markSaved(doc, filepath);
+      await addRecentFile(filepath);
+      settleSave(docId, true);
+      return { ok: true, filepath };
     } catch (err) {
+      settleSave(docId, false);
       return { ok: false, error: err.message };
     }
   }
+  settleSave(docId, false);
   return { ok: false, error: 'No file path set' };
 });
 
@@ -331,6 +1202,52 @@ ipcMain.handle('export-lean-file', async (event, filepath, content) => {
   }
 });
 
+ipcMain.handle('export-document-file', async (event, docId, format, filepath, state, options = {}) => {
+  try {
+    if (!EXPORT_FORMATS[format]) {
+      return { ok: false, error: `Unknown export format: ${format}` };
+    }
+
+    const exportSettings = { ...settingsStore.get().export, ...options };
+    const doc = createProofDocument(state);
+    if (!doc.proofTree && doc.english.trim()) doc.proofTree = proofTreeFromText(doc.english, doc.dependencyOverrides);
+
+    const exportOptions = {
+      title: getDocument(docId)?.filepath ? documentBaseName(getDocument(docId)) : 'Untitled proof',
+      includeLean: exportSettings.includeLean,
+      codeTheme: exportSettings.codeTheme,
+      showStepIds: exportSettings.showStepIds,
+      showDependencies: exportSettings.showDependencies
+    };
+
+    if (format === 'pdf') {
+      await printReportToPDF(buildReportHtml(doc, exportOptions), filepath, exportSettings.pageSize);
+    } else {
+      await fs.promises.writeFile(filepath, EXPORT_FORMATS[format].render(doc, exportOptions), 'utf8');
+    }
+    return { ok: true, filepath };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+
+// Loads the report in a hidden window so printToPDF lays it out like print.
+async function printReportToPDF(html, filepath, pageSize) {
+  const printWindow = new BrowserWindow({ show: false, webPreferences: { javascript: false } });
+  try {
+    await printWindow.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html));
+    const pdf = await printWindow.webContents.printToPDF({
+      pageSize,
+      printBackground: true,
+      // Inches; the report's body has no margin of its own when printed
+      margins: { top: 0.75, bottom: 0.75, left: 0.75, right: 0.75 }
+    });
+    await fs.promises.writeFile(filepath, pdf);
+  } finally {
+    printWindow.destroy();
+  }
+}
+
 ipcMain.handle('get-theme', async () => {
   return nativeTheme.shouldUseDarkColors ? 'dark' : 'light';
 });
\ No newline at end of file
@@ -0,0 +1,140 @@
+// nlp/dependencies.js - user overrides for the inferred proof dependencies
+//
+// A sentence can name its premises with a marker such as "[uses 2, H1]": step
+// numbers as shown in the structure view, H<k> for the theorem's hypotheses,
+// "[uses none]" for no premises. A marker replaces the inferred premises.
+//
+// Edges edited in the structure view are stored with the document and are
+// applied on top, so they survive regeneration:
+//   { [key]: { add: [key], remove: [key] } }
+// Keys are the sentences' normalized text (tree.dependencyKeys maps ids to
+// them), because step ids are positions and shift when a sentence is inserted.
+//
+// Problems are collected in tree.dependencyErrors as { nodeId, message }.
+// Nothing is dropped to make the graph acyclic, and an edit whose sentence is
+// gone is reported, with overrideKey in place of a nodeId, rather than applied
+// to another step.
+import { getProofPath, theoremHypothesisId } from './proofTree.js';
+import { numberProofNodes } from './proofGraph.js';
+
+export function resolveDependencies(tree, overrides = {}) {
+  if (!tree) return tree;
+
+  const nodes = getProofPath(tree);
+  const numbers = numberProofNodes(tree);
+  const keys = dependencyKeys(tree);
+  const byKey = new Map(Object.entries(keys).map(([id, key]) => [key, id]));
+  const byNumber = new Map(Object.entries(numbers).map(([id, number]) => [String(number), id]));
+  const hypotheses = new Map((tree.theorems || []).flatMap(theorem =>
+    (theorem.hypotheses || []).map((_, i) => [theoremHypothesisId(theorem.id, i), `H${i + 1}`])));
+  const label = id => (numbers[id] ? `step ${numbers[id]}` : hypotheses.get(id) || id);
+  const known = id => Boolean(numbers[id] || hypotheses.has(id));
+  const errors = [];
+
+  nodes.forEach(node => {
+    if (!node.inferredDependsOn) node.inferredDependsOn = node.dependsOn || [];
+
+    let premises = node.uses
+      ? node.uses.map(use => resolveLabel(use, node, byNumber, hypotheses, errors)).filter(Boolean)
+      : [...node.inferredDependsOn];
+
+    const override = overrides[keys[node.id]];
+    if (override) {
+      const removed = (override.remove || []).map(key => byKey.get(key));
+      premises = premises.filter(id => !removed.includes(id));
+      (override.add || []).forEach(key => {
+        const id = byKey.get(key);
+        if (!id || !known(id)) {
+          errors.push({ nodeId: node.id, message: `Step ${numbers[node.id]} uses ${quote(key)}, which is no longer in the proof` });
+        } else {
+          premises.push(id);
+        }
+      });
+    }
+
+    if (premises.includes(node.id)) {
+      errors.push({ nodeId: node.id, message: `Step ${numbers[node.id]} cannot use itself` });
+    }
+    node.dependsOn = [...new Set(premises)].filter(id => id !== node.id);
+    node.overridden = Boolean(node.uses || override);
+  });
+
+  const steps = new Set(nodes.map(node => keys[node.id]));
+  Object.keys(overrides).filter(key => !steps.has(key)).forEach(key => {
+    errors.push({ nodeId: null, overrideKey: key, message: `Premises edited for ${quote(key)} no longer match a step` });
+  });
+
+  findCycles(nodes).forEach(cycle => {
+    errors.push({
+      nodeId: cycle[0],
+      message: `Circular dependency: ${[...cycle, cycle[0]].map(label).join(' → ')}`
+    });
+  });
+
+  tree.dependencyKeys = keys;
+  tree.dependencyErrors = errors;
+  return tree;
+}
+
+// Hypotheses, then proof nodes in order. Later copies of a repeated sentence
+// get "#2", "#3"...
+export function dependencyKeys(tree) {
+  const keys = {};
+  const seen = new Map();
+  const add = (id, text) => {
+    const base = String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    keys[id] = count > 1 ? `${base}#${count}` : base;
+  };
+
+  (tree.theorems || []).forEach(theorem => {
+    (theorem.hypotheses || []).forEach((text, i) => add(theoremHypothesisId(theorem.id, i), text));
+  });
+  getProofPath(tree).forEach(node => add(node.id, node.text));
+  return keys;
+}
+
+function quote(key) {
+  const text = key.replace(/#\d+$/, '');
+  return `"${text.length > 40 ? `${text.slice(0, 40)}…` : text}"`;
+}
+
+function resolveLabel(use, node, byNumber, hypotheses, errors) {
+  const hypothesis = /^H(\d+)$/.exec(use);
+  const id = hypothesis
+    ? node.theoremId && theoremHypothesisId(node.theoremId, Number(hypothesis[1]) - 1)
+    : byNumber.get(use);
+
+  if (id && (byNumber.has(use) || hypotheses.has(id))) return id;
+  errors.push({ nodeId: node.id, message: `"[uses ${use}]" does not name a step or hypothesis` });
+  return null;
+}
+
+// Each cycle once, as the ids along it in dependency order.
+function findCycles(nodes) {
+  const premises = new Map(nodes.map(n => [n.id, n.dependsOn]));
+  const state = new Map();
+  const stack = [];
+  const cycles = [];
+
+  const visit = id => {
+    state.set(id, 'active');
+    stack.push(id);
+    (premises.get(id) || []).forEach(dep => {
+      if (!premises.has(dep)) return;
+      if (state.get(dep) === 'active') {
+        cycles.push(stack.slice(stack.indexOf(dep)).reverse());
+      } else if (!state.has(dep)) {
+        visit(dep);
+      }
+    });
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  nodes.forEach(n => {
+    if (!state.has(n.id)) visit(n.id);
+  });
+  return cycles;
+}
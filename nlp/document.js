@@ -0,0 +1,153 @@
+// nlp/document.js - split a proof document into theorem statements and proof bodies
+import { parseStatement } from './mathExpr.js';
+
+const HEADER_PATTERN = /^[ \t]*(theorem|lemma|proposition|corollary)\b[ \t]*(\d+(?:\.\d+)*)?[ \t]*(?:\(([^)\n]*)\))?[ \t]*[:.]/gim;
+const PROOF_PATTERN = /^[ \t]*proof\b[ \t]*(?:\([^)\n]*\))?[ \t]*[:.]?/im;
+const END_PATTERN = /∎|□|\bQ\.?E\.?D\.?(?=\s|$)/;
+
+export function parseDocument(text) {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return { sections: [] };
+  }
+
+  const headers = [...text.matchAll(HEADER_PATTERN)];
+
+  if (headers.length === 0) {
+    return {
+      sections: [{
+        id: 't1',
+        kind: null,
+        number: null,
+        name: null,
+        statement: null,
+        hypotheses: [],
+        claim: null,
+        proof: { text, start: 0, end: text.length }
+      }]
+    };
+  }
+
+  const sections = headers.map((match, i) => {
+    const start = match.index + match[0].length;
+    const limit = i + 1 < headers.length ? headers[i + 1].index : text.length;
+    return parseSection(text, match, start, limit, `t${i + 1}`);
+  });
+
+  return { sections };
+}
+
+function parseSection(text, header, start, limit, id) {
+  const chunk = text.slice(start, limit);
+
+  let statementEnd;
+  let proofStart;
+
+  const proofMatch = chunk.match(PROOF_PATTERN);
+  if (proofMatch) {
+    statementEnd = proofMatch.index;
+    proofStart = proofMatch.index + proofMatch[0].length;
+  } else {
+    const blankLine = chunk.search(/\n[ \t]*\n/);
+    statementEnd = blankLine >= 0 ? blankLine : chunk.length;
+    proofStart = statementEnd;
+  }
+
+  let proofEnd = chunk.length;
+  const endMatch = chunk.slice(proofStart).match(END_PATTERN);
+  if (endMatch) {
+    proofEnd = proofStart + endMatch.index;
+  }
+
+  const statement = trimSpan(chunk, 0, statementEnd, start);
+  const proof = trimSpan(chunk, proofStart, proofEnd, start);
+  const { hypotheses, claim } = splitStatement(statement ? statement.text : '');
+
+  return {
+    id,
+    kind: header[1].toLowerCase(),
+    number: header[2] || null,
+    name: header[3] ? header[3].trim() : null,
+    statement,
+    hypotheses,
+    claim,
+    proof
+  };
+}
+
+function trimSpan(chunk, from, to, offset) {
+  const raw = chunk.slice(from, to);
+  const text = raw.trim();
+  if (!text) return null;
+
+  const lead = raw.length - raw.trimStart().length;
+  return {
+    text,
+    start: offset + from + lead,
+    end: offset + from + lead + text.length
+  };
+}
+
+export function splitStatement(statement) {
+  const hypotheses = [];
+
+  if (!statement || !statement.trim()) {
+    return { hypotheses, claim: null };
+  }
+
+  const sentences = statement
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  let claim = sentences.pop().replace(/[.!?]+$/, '').trim();
+
+  sentences.forEach(s => {
+    const clean = s.replace(/[.!?]+$/, '').trim();
+    const hyp = clean.match(/^(?:let|suppose|assume|given)\s+(?:that\s+)?(.+)$/i);
+    if (hyp) {
+      if (/^let\b/i.test(clean)) hypotheses.push(clean);
+      else hypotheses.push(...conjuncts(hyp[1]));
+    }
+  });
+
+  claim = claim.replace(/^(?:then|we\s+have\s+that|prove\s+that|show\s+that)\s+/i, '');
+
+  const quantifier = claim.match(/^for\s+(?:all|every|each|any)\s+((?:integers?|natural\s+numbers?|reals?|real\s+numbers?|rationals?|rational\s+numbers?)\s+)?([a-z](?:\s*,\s*[a-z])*)\s*,\s*(.+)$/i);
+  if (quantifier) {
+    const typeWord = quantifier[1] ? quantifier[1].trim().split(/\s+/)[0].replace(/s$/, '') : null;
+    if (typeWord) {
+      const article = /^[aeiou]/i.test(typeWord) ? 'an' : 'a';
+      quantifier[2].split(/\s*,\s*/).forEach(v => {
+        hypotheses.push(`Let ${v} be ${article} ${typeWord}`);
+      });
+    }
+    claim = quantifier[3];
+  }
+
+  const conditional = claim.match(/^if\s+(.+?),?\s+then\s+(.+)$/i) ||
+                      claim.match(/^(.+?)\s+implies\s+(?:that\s+)?(.+)$/i);
+  if (conditional) {
+    hypotheses.push(...conjuncts(conditional[1].trim()));
+    claim = conditional[2].trim();
+  }
+
+  const suppose = claim.match(/^(?:suppose|assume)\s+(?:that\s+)?(.+?),\s*(?:then\s+)?(.+)$/i);
+  if (suppose) {
+    hypotheses.push(...conjuncts(suppose[1].trim()));
+    claim = suppose[2].trim();
+  }
+
+  return { hypotheses, claim: claim || null };
+}
+
+// "a ∣ b and b ∣ c" is two premises, each its own hypothesis so later steps can
+// use them separately; "a and b are even" stays whole since "a" is no statement.
+function conjuncts(premise) {
+  const parts = premise.split(/\s*,?\s+and\s+|\s*,\s*/i).filter(Boolean);
+  if (parts.length < 2 || !parts.every(part => parseStatement(part))) return [premise];
+  return parts;
+}
+
+export function getStatementSections(doc) {
+  return (doc?.sections || []).filter(s => s.statement);
+}
@@ -0,0 +1,723 @@
+// nlp/mathExpr.js - parse inline formulas and mathematical sentences into an expression AST
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+  '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9',
+  '⁺': '+', '⁻': '-', 'ⁿ': 'n'
+};
+
+const FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'log', 'ln', 'exp', 'sqrt', 'abs',
+  'gcd', 'lcm', 'min', 'max', 'floor', 'ceil'
+]);
+
+const FUNCTION_LETTERS = new Set(['f', 'g', 'h']);
+
+const NUMBER_SETS = new Set(['ℕ', 'ℤ', 'ℚ', 'ℝ', 'ℂ']);
+
+const RELATIONS = {
+  '=': '=', '≠': '≠', '!=': '≠', '<': '<', '>': '>',
+  '≤': '≤', '<=': '≤', '≥': '≥', '>=': '≥',
+  '∣': '∣', '∈': '∈', '∉': '∉', '⊂': '⊂', '⊆': '⊆',
+  '⊃': '⊃', '⊇': '⊇', '≡': '≡'
+};
+
+const OPERATORS = {
+  '+': '+', '-': '-', '−': '-', '*': '*', '×': '*', '·': '*',
+  '/': '/', '÷': '/', '^': '^', '∪': '∪', '∩': '∩', '\\': '\\', '∖': '\\',
+  '∧': '∧', '∨': '∨', '¬': '¬', '→': '→', '⇒': '→', '⟹': '→',
+  '↔': '↔', '⇔': '↔', '⟺': '↔'
+};
+
+const PUNCTUATION = new Set(['(', ')', '[', ']', '{', '}', ',', '|', '√', '∅']);
+
+const PROPERTY_WORDS = 'even|odd|prime|positive|negative|nonzero|non-zero|nonnegative|non-negative';
+const TYPE_WORDS = {
+  integer: 'ℤ', natural: 'ℕ', real: 'ℝ', rational: 'ℚ', complex: 'ℂ'
+};
+
+// Tokenizer
+
+export function tokenizeMath(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/\d/.test(ch)) {
+      const m = src.slice(i).match(/^\d+(?:\.\d+)?/);
+      tokens.push({ type: 'num', value: m[0] });
+      i += m[0].length;
+      continue;
+    }
+
+    if (SUPERSCRIPTS[ch]) {
+      let value = '';
+      while (i < src.length && SUPERSCRIPTS[src[i]]) {
+        value += SUPERSCRIPTS[src[i]];
+        i++;
+      }
+      tokens.push({ type: 'sup', value });
+      continue;
+    }
+
+    if (/[A-Za-zΑ-ω]/.test(ch)) {
+      const m = src.slice(i).match(/^[A-Za-zΑ-ω]+(?:_\{?\d+\}?|[₀-₉]+)?'*/);
+      i += m[0].length;
+      pushWord(tokens, m[0]);
+      continue;
+    }
+
+    if (NUMBER_SETS.has(ch)) {
+      tokens.push({ type: 'ident', value: ch });
+      i++;
+      continue;
+    }
+
+    const two = src.slice(i, i + 2);
+    if (RELATIONS[two] && two.length === 2) {
+      tokens.push({ type: 'rel', value: RELATIONS[two] });
+      i += 2;
+      continue;
+    }
+
+    if (RELATIONS[ch]) {
+      tokens.push({ type: 'rel', value: RELATIONS[ch] });
+      i++;
+      continue;
+    }
+
+    if (OPERATORS[ch]) {
+      tokens.push({ type: 'op', value: OPERATORS[ch] });
+      i++;
+      continue;
+    }
+
+    if (PUNCTUATION.has(ch)) {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${ch}'`);
+  }
+
+  return tokens;
+}
+
+function pushWord(tokens, word) {
+  const base = word.replace(/(?:_\{?\d+\}?|[₀-₉]+)?'*$/, '');
+  const lower = word.toLowerCase();
+
+  if (lower === 'mod') {
+    tokens.push({ type: 'op', value: 'mod' });
+    return;
+  }
+
+  if (FUNCTIONS.has(lower) || base.length === 1 || base !== word || /[Α-ω]/.test(base)) {
+    tokens.push({ type: 'ident', value: word.replace(/_\{(\d+)\}/, '_$1') });
+    return;
+  }
+
+  if (/^[A-Za-z]{2,3}$/.test(word)) {
+    // Inside a formula, short letter runs such as "ab" or "xyz" are products
+    // of single-letter variables; prose never reaches the tokenizer
+    word.split('').forEach(letter => tokens.push({ type: 'ident', value: letter }));
+    return;
+  }
+
+  tokens.push({ type: 'ident', value: word });
+}
+
+// Parser
+
+export function parseMath(src) {
+  if (!src || typeof src !== 'string' || !src.trim()) {
+    return { ok: false, error: 'Empty expression' };
+  }
+
+  try {
+    const parser = createParser(tokenizeMath(src));
+    const ast = parser.parseProposition();
+    if (!parser.done()) {
+      throw new Error(`Unexpected token '${parser.peek().value}'`);
+    }
+    return { ok: true, ast };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+function createParser(tokens) {
+  let pos = 0;
+  // Set while reading the right side of "a ≡ b mod n", where mod starts the modulus
+  let congruence = false;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const done = () => pos >= tokens.length;
+  const next = () => tokens[pos++];
+  const is = (type, value) => {
+    const t = peek();
+    return t && t.type === type && (value === undefined || t.value === value);
+  };
+  const expect = (type, value) => {
+    if (!is(type, value)) {
+      const t = peek();
+      throw new Error(t ? `Expected '${value || type}' but found '${t.value}'` : `Expected '${value || type}'`);
+    }
+    return next();
+  };
+
+  function parseProposition() {
+    return parseIff();
+  }
+
+  function parseIff() {
+    let left = parseImplies();
+    while (is('op', '↔')) {
+      next();
+      left = { kind: 'binary', op: '↔', left, right: parseImplies() };
+    }
+    return left;
+  }
+
+  function parseImplies() {
+    const left = parseOr();
+    if (is('op', '→')) {
+      next();
+      return { kind: 'binary', op: '→', left, right: parseImplies() };
+    }
+    return left;
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (is('op', '∨')) {
+      next();
+      left = { kind: 'binary', op: '∨', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (is('op', '∧')) {
+      next();
+      left = { kind: 'binary', op: '∧', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (is('op', '¬')) {
+      next();
+      return { kind: 'unary', op: '¬', arg: parseNot() };
+    }
+    return parseRelation();
+  }
+
+  function parseRelation() {
+    const operands = [parseAdditive()];
+    const relations = [];
+
+    while (is('rel')) {
+      const relation = next().value;
+      relations.push(relation);
+      const outer = congruence;
+      congruence = relation === '≡';
+      operands.push(parseAdditive());
+      congruence = outer;
+    }
+
+    if (relations.length === 0) return operands[0];
+
+    const chain = { kind: 'chain', operands, relations };
+
+    if (relations.includes('≡') && is('punct', '(') && peek(1)?.value === 'mod') {
+      next();
+      next();
+      chain.modulus = parseAdditive();
+      expect('punct', ')');
+    } else if (relations.includes('≡') && is('op', 'mod')) {
+      next();
+      chain.modulus = parseAdditive();
+    }
+
+    return chain;
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (is('op', '+') || is('op', '-') || is('op', '∪')) {
+      const op = next().value;
+      left = { kind: 'binary', op, left, right: parseMultiplicative() };
+    }
+    return left;
+  }
+
+  function parseMultiplicative() {
+    let left = parseUnary();
+
+    for (;;) {
+      if (is('op', '*') || is('op', '/') || (is('op', 'mod') && !congruence) || is('op', '∩') || is('op', '\\')) {
+        const op = next().value;
+        left = { kind: 'binary', op, left, right: parseUnary() };
+      } else if (startsImplicitFactor(left)) {
+        left = { kind: 'binary', op: '*', left, right: parsePower(), implicit: true };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  function startsImplicitFactor(left) {
+    const t = peek();
+    if (!t) return false;
+    if (t.type === 'ident' && !NUMBER_SETS.has(t.value)) return true;
+    if (t.type === 'punct' && t.value === '(') return peek(1)?.value !== 'mod';
+    if (t.type === 'punct' && t.value === '√') return true;
+    return t.type === 'num' && left.kind !== 'num' && !endsWithNumber(left);
+  }
+
+  function endsWithNumber(node) {
+    if (node.kind === 'num') return true;
+    if (node.kind === 'binary' && node.op !== '^') return endsWithNumber(node.right);
+    return false;
+  }
+
+  function parseUnary() {
+    if (is('op', '-')) {
+      next();
+      return { kind: 'unary', op: '-', arg: parseUnary() };
+    }
+    if (is('op', '+')) {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    let base = parsePostfix();
+    if (is('op', '^')) {
+      next();
+      const exponent = is('punct', '{') ? parseBraced() : parseUnary();
+      base = { kind: 'binary', op: '^', left: base, right: exponent };
+    }
+    return base;
+  }
+
+  function parseBraced() {
+    expect('punct', '{');
+    const inner = parseAdditive();
+    expect('punct', '}');
+    return inner;
+  }
+
+  function parsePostfix() {
+    let node = parsePrimary();
+    while (is('sup')) {
+      const value = next().value;
+      const exponent = /^\d+$/.test(value)
+        ? { kind: 'num', value }
+        : parseMath(value).ast || { kind: 'var', name: value };
+      node = { kind: 'binary', op: '^', left: node, right: exponent };
+    }
+    return node;
+  }
+
+  function parsePrimary() {
+    const t = peek();
+    if (!t) throw new Error('Unexpected end of expression');
+
+    if (t.type === 'num') {
+      next();
+      return { kind: 'num', value: t.value };
+    }
+
+    if (t.type === 'ident') {
+      next();
+      const lower = t.value.toLowerCase();
+      const isFunction = FUNCTIONS.has(lower) || FUNCTION_LETTERS.has(t.value);
+
+      if (isFunction && is('punct', '(')) {
+        next();
+        const args = [parseAdditive()];
+        while (is('punct', ',')) {
+          next();
+          args.push(parseAdditive());
+        }
+        expect('punct', ')');
+        return { kind: 'app', fn: lower === 'ln' ? 'log' : (FUNCTIONS.has(lower) ? lower : t.value), args };
+      }
+
+      if (FUNCTIONS.has(lower) && !FUNCTION_LETTERS.has(t.value)) {
+        return { kind: 'app', fn: lower === 'ln' ? 'log' : lower, args: [parsePower()] };
+      }
+
+      return { kind: 'var', name: t.value };
+    }
+
+    if (t.type === 'punct') {
+      switch (t.value) {
+        case '(':
+        case '[': {
+          next();
+          const outer = congruence;
+          congruence = false;
+          const inner = parseProposition();
+          congruence = outer;
+          expect('punct', t.value === '(' ? ')' : ']');
+          return inner;
+        }
+        case '|': {
+          next();
+          const inner = parseAdditive();
+          expect('punct', '|');
+          return { kind: 'app', fn: 'abs', args: [inner] };
+        }
+        case '√': {
+          next();
+          return { kind: 'app', fn: 'sqrt', args: [parsePostfix()] };
+        }
+        case '∅':
+          next();
+          return { kind: 'set', elements: [] };
+        case '{': {
+          next();
+          const elements = [];
+          if (!is('punct', '}')) {
+            elements.push(parseAdditive());
+            while (is('punct', ',')) {
+              next();
+              elements.push(parseAdditive());
+            }
+          }
+          expect('punct', '}');
+          return { kind: 'set', elements };
+        }
+      }
+    }
+
+    throw new Error(`Unexpected token '${t.value}'`);
+  }
+
+  return { parseProposition, done, peek };
+}
+
+// Sentence-level extraction
+
+const STOPWORDS = new Set([
+  'by', 'is', 'of', 'to', 'if', 'so', 'we', 'be', 'an', 'as', 'at', 'in', 'on', 'or', 'it', 'no', 'do', 'us',
+  'the', 'and', 'are', 'for', 'not', 'but', 'its', 'can', 'all', 'any', 'one', 'two', 'has', 'had', 'was',
+  'set', 'let', 'sum', 'say', 'see', 'now', 'use', 'get', 'put', 'our', 'who', 'how', 'why', 'new', 'way',
+  'may', 'own', 'too', 'yet', 'nor', 'per', 'via', 'odd', 'out'
+]);
+
+function isMathWord(word) {
+  if (!word) return false;
+
+  if (/^[A-Za-zΑ-ω]$/.test(word)) return true;
+  if (/^[A-Za-z]+$/.test(word)) {
+    const lower = word.toLowerCase();
+    return FUNCTIONS.has(lower) || lower === 'mod' || (word.length <= 3 && !STOPWORDS.has(lower));
+  }
+
+  const letterRuns = word.match(/[A-Za-z]+/g) || [];
+  return letterRuns.every(run => {
+    const lower = run.toLowerCase();
+    if (FUNCTIONS.has(lower) || lower === 'mod') return true;
+    if (STOPWORDS.has(lower)) return false;
+    return run.length <= 3;
+  });
+}
+
+export function findFormulas(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const words = [...text.matchAll(/\S+/g)].map(m => ({ text: m[0], start: m.index }));
+  const spans = [];
+  let run = null;
+  let depth = 0;
+
+  const closeRun = () => {
+    if (run) spans.push(run);
+    run = null;
+    depth = 0;
+  };
+
+  words.forEach(w => {
+    const trailing = w.text.match(/[.,;:!?]+$/);
+    const core = trailing ? w.text.slice(0, -trailing[0].length) : w.text;
+
+    if (!isMathWord(core)) {
+      closeRun();
+      return;
+    }
+
+    if (!run) {
+      run = { start: w.start, end: w.start + core.length, symbolic: false, letterWords: false };
+    } else {
+      run.end = w.start + core.length;
+    }
+    if (/[^A-Za-zΑ-ω]/.test(core)) run.symbolic = true;
+    if (/^[A-Za-z]{2,}$/.test(core) && !FUNCTIONS.has(core.toLowerCase()) && core.toLowerCase() !== 'mod') run.letterWords = true;
+
+    depth += (core.match(/[({[]/g) || []).length - (core.match(/[)}\]]/g) || []).length;
+
+    if (trailing && depth <= 0) {
+      closeRun();
+    } else if (trailing) {
+      run.end = w.start + w.text.length;
+    }
+  });
+  closeRun();
+
+  // A run of bare letter words such as "xy" is only a formula next to a
+  // symbol, as in "xy = yx"; on its own it is more likely prose
+  return spans
+    .filter(span => span.symbolic || !span.letterWords)
+    .map(({ start, end }) => ({ start, end, text: text.slice(start, end) }))
+    .filter(span => parseMath(span.text).ok);
+}
+
+// The AST of text that is one formula from end to end, or null when any of it
+// is prose.
+export function parseFormula(text) {
+  const clean = String(text || '').trim();
+  const spans = findFormulas(clean);
+  if (spans.length !== 1 || spans[0].start !== 0 || spans[0].end !== clean.length) return null;
+  return parseMath(clean).ast;
+}
+
+export function findRelations(text) {
+  return findFormulas(text)
+    .map(span => ({ ...span, ast: parseMath(span.text).ast }))
+    .filter(span => isProposition(span.ast));
+}
+
+export function isProposition(ast) {
+  if (!ast) return false;
+  if (ast.kind === 'chain' || ast.kind === 'pred' || ast.kind === 'exists' || ast.kind === 'forall') return true;
+  if (ast.kind === 'unary' && ast.op === '¬') return true;
+  return ast.kind === 'binary' && ['∧', '∨', '→', '↔'].includes(ast.op);
+}
+
+export function stripConnectives(text) {
+  return String(text)
+    .trim()
+    .replace(/\s*(∎|□|\bQ\.?E\.?D\.?)\s*$/i, '')
+    .replace(/[.!;]+$/, '')
+    .replace(/^(?:assume|suppose|let|given|then|thus|so|hence|therefore|consequently|since|because|now|finally)\b,?\s*/i, '')
+    .replace(/^(?:that|we\s+(?:have|get|obtain|see|find|know|conclude)(?:\s+that)?|it\s+follows\s+that|this\s+(?:proves|shows|means|gives|implies)(?:\s+that)?|by\s+(?:definition|assumption)(?:\s+of\s+\w+)?,?)\s*/i, '')
+    .trim();
+}
+
+export function parseTyping(text) {
+  const clean = stripConnectives(text);
+
+  const wordMatch = clean.match(/^([a-z](?:\s*(?:,|and)\s*[a-z])*)\s+(?:is|be|are)\s+(?:an?\s+)?(?:arbitrary\s+)?(integer|natural|real|rational|complex)(?:\s+numbers?|s)?$/i);
+  if (wordMatch) {
+    return {
+      vars: wordMatch[1].split(/\s*(?:,|and)\s*/),
+      type: TYPE_WORDS[wordMatch[2].toLowerCase()]
+    };
+  }
+
+  const symbolMatch = clean.match(/^([a-z](?:\s*,\s*[a-z])*)\s*∈\s*([ℕℤℚℝℂ])$/);
+  if (symbolMatch) {
+    return { vars: symbolMatch[1].split(/\s*,\s*/), type: symbolMatch[2] };
+  }
+
+  return null;
+}
+
+export function parseStatement(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const clean = stripConnectives(text);
+  if (!clean || parseTyping(clean)) return null;
+
+  return parseClause(clean);
+}
+
+function parseClause(clause) {
+  const text = clause.trim().replace(/,$/, '');
+  if (!text) return null;
+
+  const exists = text.match(/^there\s+(?:exists?|is)\s+(?:an?\s+)?(?:(?:integer|natural\s+number|real\s+number|number)\s+)?([a-z](?:\s*,\s*[a-z])*)\s+(?:such\s+that|with|where)\s+(.+)$/i);
+  if (exists) {
+    const body = parseClause(exists[2]);
+    return body ? { kind: 'exists', vars: exists[1].split(/\s*,\s*/), body } : null;
+  }
+
+  const forSome = text.match(/^(.+?),?\s+for\s+some\s+(?:integer\s+|natural\s+number\s+|real\s+number\s+)?([a-z](?:\s*,\s*[a-z])*)$/i);
+  if (forSome) {
+    const body = parseClause(forSome[1]);
+    return body ? { kind: 'exists', vars: forSome[2].split(/\s*,\s*/), body } : null;
+  }
+
+  const forAll = text.match(/^for\s+(?:all|every|each|any)\s+(?:(?:integers?|natural\s+numbers?|real\s+numbers?|reals)\s+)?([a-z](?:\s*,\s*[a-z])*)\s*,\s*(.+)$/i);
+  if (forAll) {
+    const body = parseClause(forAll[2]);
+    return body ? { kind: 'forall', vars: forAll[1].split(/\s*,\s*/), body } : null;
+  }
+
+  const conditional = text.match(/^if\s+(.+?),?\s+then\s+(.+)$/i);
+  if (conditional) {
+    const left = parseClause(conditional[1]);
+    const right = parseClause(conditional[2]);
+    return left && right ? { kind: 'binary', op: '→', left, right } : null;
+  }
+
+  const property = text.match(new RegExp(`^(.+?)\\s+(?:is|be|are)\\s+(not\\s+)?(?:an?\\s+)?(${PROPERTY_WORDS})(?:\\s+(?:integer|number|natural\\s+number))?$`, 'i'));
+  if (property) {
+    // "a and b are even" states the property of each subject
+    const subjects = property[1].split(/\s*(?:,\s*and|,|\band)\s+/i).map(parseTerm);
+    if (subjects.every(Boolean)) {
+      const props = subjects.map(subject => {
+        const prop = propertyToAst(property[3].toLowerCase(), subject);
+        return property[2] ? { kind: 'unary', op: '¬', arg: prop } : prop;
+      });
+      return props.reduceRight((right, left) => ({ kind: 'binary', op: '∧', left, right }));
+    }
+  }
+
+  const divides = text.match(/^(.+?)\s+divides\s+(.+)$/i);
+  if (divides) {
+    return dividesAst(divides[1], divides[2]);
+  }
+
+  const divisible = text.match(/^(.+?)\s+is\s+(?:divisible\s+by|a\s+multiple\s+of)\s+(.+)$/i);
+  if (divisible) {
+    return dividesAst(divisible[2], divisible[1]);
+  }
+
+  const conjunction = text.split(/\s+and\s+/i);
+  if (conjunction.length > 1) {
+    const parts = conjunction.map(parseClause);
+    if (parts.every(Boolean)) {
+      return parts.reduceRight((right, left) => ({ kind: 'binary', op: '∧', left, right }));
+    }
+  }
+
+  // Only formula spans are parsed; the words around them are left alone
+  const relations = findRelations(text);
+  if (relations.length > 0) {
+    return relations.reduce((best, r) => (r.text.length > best.text.length ? r : best)).ast;
+  }
+
+  return null;
+}
+
+function parseTerm(text) {
+  const ast = parseFormula(text);
+  return ast && !isProposition(ast) ? ast : null;
+}
+
+function dividesAst(divisorText, dividendText) {
+  const divisor = parseTerm(divisorText);
+  const dividend = parseTerm(dividendText);
+  if (!divisor || !dividend) return null;
+  return { kind: 'chain', operands: [divisor, dividend], relations: ['∣'] };
+}
+
+function propertyToAst(property, subject) {
+  const zero = { kind: 'num', value: '0' };
+
+  switch (property.replace('-', '')) {
+    case 'even':
+      return { kind: 'pred', name: 'Even', args: [subject] };
+    case 'odd':
+      return { kind: 'pred', name: 'Odd', args: [subject] };
+    case 'prime':
+      return { kind: 'pred', name: 'Nat.Prime', args: [subject] };
+    case 'positive':
+      return { kind: 'chain', operands: [zero, subject], relations: ['<'] };
+    case 'negative':
+      return { kind: 'chain', operands: [subject, zero], relations: ['<'] };
+    case 'nonzero':
+      return { kind: 'chain', operands: [subject, zero], relations: ['≠'] };
+    case 'nonnegative':
+      return { kind: 'chain', operands: [zero, subject], relations: ['≤'] };
+    default:
+      return null;
+  }
+}
+
+// Named functions the expression applies (f(x), g(a, b)) with their arity;
+// built-ins like sin or gcd are left out.
+export function collectFunctions(ast, into = new Map()) {
+  if (!ast) return into;
+
+  if (ast.kind === 'app' && !FUNCTIONS.has(ast.fn)) into.set(ast.fn, ast.args.length);
+  switch (ast.kind) {
+    case 'binary':
+      collectFunctions(ast.left, into);
+      collectFunctions(ast.right, into);
+      break;
+    case 'unary':
+      collectFunctions(ast.arg, into);
+      break;
+    case 'app':
+    case 'pred':
+      ast.args.forEach(a => collectFunctions(a, into));
+      break;
+    case 'chain':
+      ast.operands.forEach(o => collectFunctions(o, into));
+      if (ast.modulus) collectFunctions(ast.modulus, into);
+      break;
+    case 'set':
+      ast.elements.forEach(e => collectFunctions(e, into));
+      break;
+    case 'exists':
+    case 'forall':
+      collectFunctions(ast.body, into);
+      break;
+  }
+
+  return into;
+}
+
+export function collectVariables(ast, into = new Set()) {
+  if (!ast) return into;
+
+  switch (ast.kind) {
+    case 'var':
+      if (!NUMBER_SETS.has(ast.name)) into.add(ast.name);
+      break;
+    case 'binary':
+      collectVariables(ast.left, into);
+      collectVariables(ast.right, into);
+      break;
+    case 'unary':
+      collectVariables(ast.arg, into);
+      break;
+    case 'app':
+    case 'pred':
+      ast.args.forEach(a => collectVariables(a, into));
+      break;
+    case 'chain':
+      ast.operands.forEach(o => collectVariables(o, into));
+      if (ast.modulus) collectVariables(ast.modulus, into);
+      break;
+    case 'set':
+      ast.elements.forEach(e => collectVariables(e, into));
+      break;
+    case 'exists':
+    case 'forall': {
+      const inner = collectVariables(ast.body, new Set());
+      ast.vars.forEach(v => inner.delete(v));
+      inner.forEach(v => into.add(v));
+      break;
+    }
+  }
+
+  return into;
+}
@@ -0,0 +1,225 @@
+// nlp/polynomial.js - normalize arithmetic ASTs to polynomials for equality checks
+
+const MAX_EXPONENT = 12;
+const EPSILON = 1e-9;
+
+export function toPolynomial(ast) {
+  try {
+    return normalize(ast);
+  } catch {
+    return null;
+  }
+}
+
+function normalize(ast) {
+  if (!ast) throw new Error('Missing term');
+
+  switch (ast.kind) {
+    case 'num':
+      return constant(Number(ast.value));
+
+    case 'var':
+      return new Map([[ast.name, 1]]);
+
+    case 'unary':
+      if (ast.op !== '-') throw new Error('Not arithmetic');
+      return scale(normalize(ast.arg), -1);
+
+    case 'binary':
+      return normalizeBinary(ast);
+
+    case 'app':
+      return new Map([[atomKey(ast), 1]]);
+
+    default:
+      throw new Error('Not arithmetic');
+  }
+}
+
+function normalizeBinary(ast) {
+  switch (ast.op) {
+    case '+':
+      return add(normalize(ast.left), normalize(ast.right));
+    case '-':
+      return add(normalize(ast.left), scale(normalize(ast.right), -1));
+    case '*':
+      return multiply(normalize(ast.left), normalize(ast.right));
+    case '/': {
+      const divisor = normalize(ast.right);
+      const c = constantValue(divisor);
+      if (c === null || c === 0) return new Map([[atomKey(ast), 1]]);
+      return scale(normalize(ast.left), 1 / c);
+    }
+    case '^': {
+      const exponent = constantValue(normalize(ast.right));
+      if (exponent === null || !Number.isInteger(exponent) || exponent < 0 || exponent > MAX_EXPONENT) {
+        return new Map([[atomKey(ast), 1]]);
+      }
+      let result = constant(1);
+      const base = normalize(ast.left);
+      for (let i = 0; i < exponent; i++) result = multiply(result, base);
+      return result;
+    }
+    case 'mod':
+      return new Map([[atomKey(ast), 1]]);
+    default:
+      throw new Error('Not arithmetic');
+  }
+}
+
+function atomKey(ast) {
+  return `⟨${JSON.stringify(ast, (key, value) => (key === 'implicit' ? undefined : value))}⟩`;
+}
+
+function constant(value) {
+  return value === 0 ? new Map() : new Map([['', value]]);
+}
+
+function constantValue(poly) {
+  if (poly.size === 0) return 0;
+  if (poly.size === 1 && poly.has('')) return poly.get('');
+  return null;
+}
+
+function add(a, b) {
+  const result = new Map(a);
+  b.forEach((coeff, mono) => {
+    const sum = (result.get(mono) || 0) + coeff;
+    if (Math.abs(sum) < EPSILON) {
+      result.delete(mono);
+    } else {
+      result.set(mono, sum);
+    }
+  });
+  return result;
+}
+
+function scale(poly, factor) {
+  const result = new Map();
+  if (factor === 0) return result;
+  poly.forEach((coeff, mono) => result.set(mono, coeff * factor));
+  return result;
+}
+
+function multiply(a, b) {
+  let result = new Map();
+  a.forEach((ca, ma) => {
+    b.forEach((cb, mb) => {
+      result = add(result, new Map([[multiplyMonomials(ma, mb), ca * cb]]));
+    });
+  });
+  return result;
+}
+
+function multiplyMonomials(a, b) {
+  const powers = new Map();
+  [a, b].forEach(mono => {
+    if (!mono) return;
+    mono.split('·').forEach(factor => {
+      const [name, exp] = splitFactor(factor);
+      powers.set(name, (powers.get(name) || 0) + exp);
+    });
+  });
+
+  return [...powers.entries()]
+    .sort(([x], [y]) => (x < y ? -1 : x > y ? 1 : 0))
+    .map(([name, exp]) => (exp === 1 ? name : `${name}^${exp}`))
+    .join('·');
+}
+
+function splitFactor(factor) {
+  const m = factor.match(/^(.*)\^(\d+)$/);
+  return m ? [m[1], Number(m[2])] : [factor, 1];
+}
+
+export function polynomialsEqual(a, b) {
+  const pa = toPolynomial(a);
+  const pb = toPolynomial(b);
+  if (!pa || !pb) return false;
+  return add(pa, scale(pb, -1)).size === 0;
+}
+
+export function polynomialDegree(ast) {
+  const poly = toPolynomial(ast);
+  if (!poly) return null;
+
+  let degree = 0;
+  poly.forEach((coeff, mono) => {
+    degree = Math.max(degree, monomialDegree(mono));
+  });
+  return degree;
+}
+
+export function isConstantTerm(ast) {
+  const poly = toPolynomial(ast);
+  return poly !== null && constantValue(poly) !== null;
+}
+
+export function substitute(ast, target, replacement) {
+  if (!ast) return ast;
+  if (termsEqual(ast, target)) return replacement;
+
+  switch (ast.kind) {
+    case 'binary':
+      return { ...ast, left: substitute(ast.left, target, replacement), right: substitute(ast.right, target, replacement) };
+    case 'unary':
+      return { ...ast, arg: substitute(ast.arg, target, replacement) };
+    case 'app':
+    case 'pred':
+      return { ...ast, args: ast.args.map(a => substitute(a, target, replacement)) };
+    case 'chain':
+      return { ...ast, operands: ast.operands.map(o => substitute(o, target, replacement)) };
+    default:
+      return ast;
+  }
+}
+
+export function termsEqual(a, b) {
+  return atomKey(a) === atomKey(b);
+}
+
+export function halveTerm(ast, offset = 0) {
+  const poly = toPolynomial(ast);
+  if (!poly) return null;
+
+  const shifted = add(poly, constant(-offset));
+  const halved = scale(shifted, 0.5);
+
+  for (const coeff of halved.values()) {
+    if (!Number.isInteger(Math.round(coeff * 1e6) / 1e6)) return null;
+  }
+
+  return polynomialToTerm(halved);
+}
+
+export function polynomialToTerm(poly) {
+  const terms = [...poly.entries()]
+    .sort(([a], [b]) => monomialDegree(b) - monomialDegree(a))
+    .map(([mono, coeff]) => ({ term: monomialToTerm(mono, Math.abs(coeff)), negative: coeff < 0 }));
+
+  if (terms.length === 0) return { kind: 'num', value: '0' };
+
+  return terms.slice(1).reduce(
+    (acc, { term, negative }) => ({ kind: 'binary', op: negative ? '-' : '+', left: acc, right: term }),
+    terms[0].negative ? { kind: 'unary', op: '-', arg: terms[0].term } : terms[0].term
+  );
+}
+
+function monomialDegree(mono) {
+  if (!mono) return 0;
+  return mono.split('·').reduce((sum, factor) => sum + splitFactor(factor)[1], 0);
+}
+
+function monomialToTerm(mono, coeff) {
+  const value = Number.isInteger(coeff) ? String(coeff) : String(Math.round(coeff * 1e6) / 1e6);
+  if (!mono) return { kind: 'num', value };
+
+  const factors = mono.split('·').map(factor => {
+    const [name, exp] = splitFactor(factor);
+    const base = name.startsWith('⟨') ? JSON.parse(name.slice(1, -1)) : { kind: 'var', name };
+    return exp === 1 ? base : { kind: 'binary', op: '^', left: base, right: { kind: 'num', value: String(exp) } };
+  });
+
+  const product = factors.reduce((acc, f) => ({ kind: 'binary', op: '*', left: acc, right: f }));
+  return coeff === 1 ? product : { kind: 'binary', op: '*', left: { kind: 'num', value }, right: product };
+}
@@ -0,0 +1,194 @@
+// nlp/proofGraph.js - proof tree as a layered graph, laid out for drawing
+//
+// Nodes: { id, kind: 'hypothesis' | 'assumption' | 'step' | 'goal', type, label,
+//          text, number, theoremId, span, unreachable, layer, order, x, y }
+//          `type` is the sentence type from classifySentence; `unreachable`
+//          marks nodes with no path to their theorem's goal.
+// Edges: { from, to } where `to` depends on `from`.
+import { getProofPath, getGoals, theoremHypothesisId } from './proofTree.js';
+
+const LAYOUT = {
+  nodeWidth: 150,
+  nodeHeight: 40,
+  gapX: 28,
+  gapY: 52,
+  margin: 16
+};
+
+// Assumptions, steps and goals in the order they appear in the English text.
+export function proofNodesInOrder(tree) {
+  if (!tree) return [];
+  const position = node => (node.span ? node.span.start : Infinity);
+  return getProofPath(tree)
+    .map((node, i) => ({ node, i }))
+    .sort((a, b) => (position(a.node) - position(b.node)) || (a.i - b.i))
+    .map(({ node }) => node);
+}
+
+// Proof steps numbered in reading order, as shown to the user.
+export function numberProofNodes(tree) {
+  const numbers = {};
+  proofNodesInOrder(tree).forEach((node, i) => {
+    numbers[node.id] = i + 1;
+  });
+  return numbers;
+}
+
+export function buildProofGraph(tree, options = {}) {
+  const layout = { ...LAYOUT, ...options };
+  if (!tree) return { nodes: [], edges: [], width: 0, height: 0 };
+
+  const numbers = numberProofNodes(tree);
+  const hypotheses = hypothesisNodes(tree);
+  const goalIds = new Set(getGoals(tree).map(g => g.id));
+  const assumptionIds = new Set((tree.assumptions || []).map(a => a.id));
+
+  const nodes = [
+    ...proofNodesInOrder(tree).map(node => ({
+      id: node.id,
+      kind: goalIds.has(node.id) ? 'goal' : assumptionIds.has(node.id) ? 'assumption' : 'step',
+      type: goalIds.has(node.id) ? 'conclusion' : assumptionIds.has(node.id) ? 'assumption' : node.type || 'step',
+      label: String(numbers[node.id]),
+      text: node.text,
+      number: numbers[node.id],
+      theoremId: node.theoremId || null,
+      span: node.span || null,
+      dependsOn: node.dependsOn || []
+    }))
+  ];
+
+  const known = new Set(nodes.map(n => n.id));
+  const referenced = new Set(nodes.flatMap(n => n.dependsOn));
+  hypotheses
+    .filter(h => referenced.has(h.id))
+    .forEach(h => {
+      nodes.unshift(h);
+      known.add(h.id);
+    });
+
+  const edges = [];
+  nodes.forEach(node => {
+    node.dependsOn
+      .filter(dep => known.has(dep) && dep !== node.id)
+      .forEach(dep => edges.push({ from: dep, to: node.id }));
+  });
+
+  markUnreachable(nodes, edges);
+  assignLayers(nodes, edges);
+  orderLayers(nodes, edges);
+  return position(nodes, edges, layout);
+}
+
+function hypothesisNodes(tree) {
+  return (tree.theorems || []).flatMap(theorem =>
+    (theorem.hypotheses || []).map((text, i) => ({
+      id: theoremHypothesisId(theorem.id, i),
+      kind: 'hypothesis',
+      type: 'hypothesis',
+      label: `H${i + 1}`,
+      text,
+      number: null,
+      theoremId: theorem.id,
+      span: (theorem.hypothesisSpans || [])[i] || null,
+      dependsOn: []
+    })));
+}
+
+// Walks back from each goal; only proofs that reached a goal are judged, so a
+// draft without its "Therefore" line is not flagged throughout.
+function markUnreachable(nodes, edges) {
+  const premises = new Map(nodes.map(n => [n.id, []]));
+  edges.forEach(e => premises.get(e.to).push(e.from));
+
+  const used = new Set();
+  const visit = id => {
+    if (used.has(id)) return;
+    used.add(id);
+    premises.get(id).forEach(visit);
+  };
+  const goals = nodes.filter(n => n.kind === 'goal');
+  goals.forEach(goal => visit(goal.id));
+
+  const proved = new Set(goals.map(goal => goal.theoremId));
+  nodes.forEach(n => {
+    n.unreachable = !used.has(n.id) && proved.has(n.theoremId);
+  });
+}
+
+// Longest path from a node without premises. Edges that would close a cycle
+// are ignored for layering, so a bad dependency cannot hang the layout.
+function assignLayers(nodes, edges) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const premises = new Map(nodes.map(n => [n.id, []]));
+  edges.forEach(e => premises.get(e.to).push(e.from));
+
+  const visiting = new Set();
+  const layerOf = id => {
+    const node = byId.get(id);
+    if (node.layer !== undefined) return node.layer;
+    if (visiting.has(id)) return -1;
+
+    visiting.add(id);
+    const layer = premises.get(id).reduce((max, dep) => Math.max(max, layerOf(dep) + 1), 0);
+    visiting.delete(id);
+
+    node.layer = layer;
+    return layer;
+  };
+
+  nodes.forEach(n => layerOf(n.id));
+}
+
+// One top-down barycenter pass keeps edges between neighbouring layers short.
+function orderLayers(nodes, edges) {
+  const layers = [];
+  nodes.forEach(n => {
+    (layers[n.layer] = layers[n.layer] || []).push(n);
+  });
+
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  layers.forEach((layer, depth) => {
+    if (depth > 0) {
+      const center = node => {
+        const parents = edges
+          .filter(e => e.to === node.id)
+          .map(e => byId.get(e.from))
+          .filter(p => p.layer < depth);
+        if (parents.length === 0) return Infinity;
+        return parents.reduce((sum, p) => sum + p.order, 0) / parents.length;
+      };
+      const centers = new Map(layer.map(node => [node.id, center(node)]));
+      layer.sort((a, b) => {
+        const ca = centers.get(a.id);
+        const cb = centers.get(b.id);
+        return ca === cb ? 0 : ca - cb;
+      });
+    }
+    layer.forEach((node, i) => {
+      node.order = i;
+    });
+  });
+}
+
+function position(nodes, edges, layout) {
+  const { nodeWidth, nodeHeight, gapX, gapY, margin } = layout;
+  const widest = nodes.reduce((max, n) => Math.max(max, n.order + 1), 0);
+  const depth = nodes.reduce((max, n) => Math.max(max, n.layer + 1), 0);
+  const width = widest * nodeWidth + Math.max(0, widest - 1) * gapX + 2 * margin;
+
+  const rowSize = layer => nodes.filter(n => n.layer === layer).length;
+  nodes.forEach(n => {
+    const rowWidth = rowSize(n.layer) * nodeWidth + (rowSize(n.layer) - 1) * gapX;
+    n.x = (width - rowWidth) / 2 + n.order * (nodeWidth + gapX);
+    n.y = margin + n.layer * (nodeHeight + gapY);
+    n.width = nodeWidth;
+    n.height = nodeHeight;
+  });
+
+  return {
+    nodes,
+    edges,
+    width,
+    height: depth * nodeHeight + Math.max(0, depth - 1) * gapY + 2 * margin
+  };
+}
@@ -13,16 +13,34 @@
 // limitations under the License.
 
 // nlp/proofTree.js - build a DAG-like proof tree with smart dependency inference
+import { parseStatement, parseMath, findFormulas, collectVariables } from './mathExpr.js';
 
-export function buildProofTree(sentences, entities) {
+export function buildProofTree(sentences, entities, sections = []) {
   if (!sentences || !Array.isArray(sentences)) {
-    return { assumptions: [], steps: [], goal: null, entities: [] };
+    return { assumptions: [], steps: [], goal: null, goals: [], theorems: [], entities: [] };
   }
   
+  const theorems = (sections || [])
+    .filter(sec => sec && sec.statement)
+    .map(sec => ({
+      id: sec.id,
+      kind: sec.kind,
+      number: sec.number,
+      name: sec.name,
+      text: sec.statement.text,
+      span: { start: sec.statement.start, end: sec.statement.end },
+      hypotheses: sec.hypotheses || [],
+      hypothesisSpans: (sec.hypotheses || []).map(h => locateSpan(sec.statement, h)),
+      claim: sec.claim,
+      goalId: null
+    }));
+  
   const tree = {
     assumptions: [],
     steps: [],
     goal: null,
+    goals: [],
+    theorems,
     entities: entities || [],
     metadata: {
       proofTechniques: new Set(),
@@ -32,14 +50,24 @@ export function buildProofTree(sentences, entities) {
   };
   
   let stepId = 0;
-  const createdSteps = [];
-  const variableScope = new Map();
-  const caseStack = [];
+  let createdSteps = [];
+  let variableScope = new Map();
+  let caseStack = [];
+  let currentTheoremId = null;
   
   for (let i = 0; i < sentences.length; i++) {
     const s = sentences[i];
     if (!s || !s.text) continue;
     
+    const theoremId = s.theoremId || null;
+    if (theoremId !== currentTheoremId) {
+      // Each theorem body is proved independently, so its steps start with a fresh scope
+      currentTheoremId = theoremId;
+      createdSteps = [];
+      variableScope = new Map();
+      caseStack = [];
+    }
+    
     if (s.type) tree.metadata.proofTechniques.add(s.type);
     
     switch (s.type) {
@@ -80,17 +108,37 @@ export function buildProofTree(sentences, entities) {
   tree.metadata.variables = Array.from(tree.metadata.variables);
   tree.metadata.types = Array.from(tree.metadata.types);
   
-  validateTree(tree);
+  // Premises named with a "[uses ...]" marker are resolved, together with the
+  // user's edge edits, by resolveDependencies in nlp/dependencies.js.
+  const markers = new Map(sentences.filter(s => s && s.uses).map(s => [s.start, s.uses]));
+  getProofPath(tree).forEach(node => {
+    if (node.span && markers.has(node.span.start)) node.uses = markers.get(node.span.start);
+  });
   
   return tree;
 }
 
+function sentenceSpan(s) {
+  return Number.isInteger(s.start) ? { start: s.start, end: s.end } : null;
+}
+
+// Hypotheses are rephrased from the statement ("for all integers n" becomes
+// "Let n be an integer"), so fall back to the whole statement when the text
+// cannot be found verbatim.
+function locateSpan(statement, text) {
+  const index = statement.text.indexOf(text.replace(/\.$/, ''));
+  if (index === -1) return { start: statement.start, end: statement.end };
+  return { start: statement.start + index, end: statement.start + index + text.replace(/\.$/, '').length };
+}
+
 function handleAssumption(s, tree, variableScope) {
   const assumptionId = `a${tree.assumptions.length + 1}`;
   const assumption = {
     id: assumptionId,
     text: s.text,
-    variables: extractVariablesFromText(s.text)
+    variables: extractVariablesFromText(s.text),
+    theoremId: s.theoremId || null,
+    span: sentenceSpan(s)
   };
   
   assumption.variables.forEach(v => {
@@ -106,26 +154,40 @@ function handleAssumption(s, tree, variableScope) {
 }
 
 function handleConclusion(s, tree, createdSteps) {
+  const theoremId = s.theoremId || null;
   const goalDeps = [];
   
   createdSteps.forEach(st => goalDeps.push(st.id));
   
   if (goalDeps.length === 0) {
-    tree.assumptions.forEach(a => goalDeps.push(a.id));
+    tree.assumptions
+      .filter(a => a.theoremId === theoremId)
+      .forEach(a => goalDeps.push(a.id));
   }
   
-  tree.goal = {
-    id: 'goal',
+  const goal = {
+    id: theoremId && tree.theorems.length > 1 ? `goal_${theoremId}` : 'goal',
     text: s.text,
     dependsOn: Array.from(new Set(goalDeps)),
-    variables: extractVariablesFromText(s.text)
+    variables: extractVariablesFromText(s.text),
+    theoremId,
+    span: sentenceSpan(s)
   };
+  
+  tree.goals = tree.goals.filter(g => g.id !== goal.id);
+  tree.goals.push(goal);
+  tree.goal = goal;
+  
+  const theorem = tree.theorems.find(t => t.id === theoremId);
+  if (theorem) theorem.goalId = goal.id;
 }
 
 function handleInduction(s, tree, createdSteps, variableScope, stepId) {
   const step = {
     id: `s${stepId}`,
     text: s.text,
+    theoremId: s.theoremId || null,
+    span: sentenceSpan(s),
     type: 'induction',
     technique: 'induction',
     dependsOn: [],
@@ -153,6 +215,8 @@ function handleContradiction(s, tree, createdSteps, stepId) {
   const step = {
     id: `s${stepId}`,
     text: s.text,
+    theoremId: s.theoremId || null,
+    span: sentenceSpan(s),
     type: 'contradiction',
     technique: 'proof_by_contradiction',
     dependsOn: []
@@ -171,6 +235,8 @@ function handleCase(s, tree, createdSteps, caseStack, stepId) {
   const step = {
     id: `s${stepId}`,
     text: s.text,
+    theoremId: s.theoremId || null,
+    span: sentenceSpan(s),
     type: 'case',
     technique: 'case_analysis',
     dependsOn: [],
@@ -191,12 +257,31 @@ function handleExistential(s, tree, createdSteps, variableScope, stepId) {
   const step = {
     id: `s${stepId}`,
     text: s.text,
+    theoremId: s.theoremId || null,
+    span: sentenceSpan(s),
     type: 'existential',
     technique: 'existential_intro',
     dependsOn: [],
-    variables: extractVariablesFromText(s.text)
+    variables: extractVariablesFromText(s.text),
+    witnesses: extractWitnesses(s.text)
   };
   
+  // Without a fact to unpack the witness has to be introduced instead
+  const source = isExistentialElimination(s.text, step.witnesses, variableScope)
+    ? findEliminationSource(step, tree, createdSteps, variableScope)
+    : null;
+  if (source) {
+    step.technique = 'existential_elim';
+    step.source = source;
+    step.dependsOn.push(source);
+    
+    // The obtained witness is a fresh binder, so later mentions refer to this step
+    step.witnesses.forEach(w => {
+      variableScope.set(w, [step.id]);
+      tree.metadata.variables.add(w);
+    });
+  }
+  
   step.variables.forEach(v => {
     if (!variableScope.has(v)) {
       variableScope.set(v, [step.id]);
@@ -204,7 +289,7 @@ function handleExistential(s, tree, createdSteps, variableScope, stepId) {
     tree.metadata.variables.add(v);
   });
   
-  if (createdSteps.length > 0) {
+  if (step.dependsOn.length === 0 && createdSteps.length > 0) {
     step.dependsOn.push(createdSteps[createdSteps.length - 1].id);
   }
   
@@ -212,10 +297,84 @@ function handleExistential(s, tree, createdSteps, variableScope, stepId) {
   tree.steps.push(step);
 }
 
+function extractWitnesses(text) {
+  const prop = parseStatement(text);
+  if (prop && prop.kind === 'exists') return prop.vars;
+  
+  const patterns = [
+    /\bthere\s+(?:exists?|is|are)\s+(?:some\s+)?(?:an?\s+)?(?:(?:integers?|natural\s+numbers?|real\s+numbers?|numbers?)\s+)?([a-z](?:\s*,\s*[a-z])*)\b/i,
+    /\bfor\s+some\s+(?:(?:integers?|natural\s+numbers?|real\s+numbers?)\s+)?([a-z](?:\s*,\s*[a-z])*)\b/i,
+    /\b(?:choose|take|pick)\s+([a-z])\b/i,
+    /\bwe\s+can\s+find\s+(?:an?\s+)?(?:(?:integers?|numbers?)\s+)?([a-z])\b/i
+  ];
+  
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return match[1].split(/\s*,\s*/);
+  }
+  
+  return [];
+}
+
+function isExistentialElimination(text, witnesses, variableScope) {
+  if (/\b(choose|take|pick|set|put)\s+[a-z]\s*(=|:=|to\s+be)/i.test(text) ||
+      /\blet\s+[a-z]\s*=/i.test(text) ||
+      /\b(it\s+suffices|we\s+(need|must|want)\s+to\s+(find|show|exhibit))\b/i.test(text)) {
+    return false;
+  }
+  
+  if (witnesses.length === 0) return false;
+  
+  return witnesses.every(w => !variableScope.has(w));
+}
+
+function findEliminationSource(step, tree, createdSteps, variableScope) {
+  const bound = step.variables.filter(v => !step.witnesses.includes(v));
+  const theorem = tree.theorems.find(t => t.id === step.theoremId);
+  const statementHyps = theorem
+    ? theorem.hypotheses.map((text, i) => ({ id: theoremHypothesisId(theorem.id, i), text }))
+    : [];
+  
+  const candidates = [
+    ...createdSteps.slice().reverse(),
+    ...tree.assumptions.filter(a => a.theoremId === step.theoremId).reverse(),
+    ...statementHyps
+  ];
+  
+  const scoped = new Set();
+  bound.forEach(v => (variableScope.get(v) || []).forEach(id => scoped.add(id)));
+  statementHyps.forEach(h => {
+    if (extractVariablesFromText(h.text).some(v => bound.includes(v))) scoped.add(h.id);
+  });
+  
+  const source = candidates.find(n => scoped.has(n.id) && isUnpackable(n.text));
+  return source ? source.id : null;
+}
+
+// Facts that obtain can destructure: ∃, Even, Odd and divisibility
+function isUnpackable(text) {
+  const fact = parseStatement(text);
+  if (!fact) return /\b(even|odd|divisible|divides|multiple|exists?)\b|∃|∣/i.test(text);
+  
+  const unpackable = ast => {
+    if (ast.kind === 'exists') return true;
+    if (ast.kind === 'pred') return ast.name === 'Even' || ast.name === 'Odd';
+    if (ast.kind === 'chain') return ast.relations.length === 1 && ast.relations[0] === '∣';
+    return false;
+  };
+  return unpackable(fact);
+}
+
+export function theoremHypothesisId(theoremId, index) {
+  return `${theoremId}_hyp${index + 1}`;
+}
+
 function handleUniversal(s, tree, createdSteps, stepId) {
   const step = {
     id: `s${stepId}`,
     text: s.text,
+    theoremId: s.theoremId || null,
+    span: sentenceSpan(s),
     type: 'universal',
     technique: 'universal_intro',
     dependsOn: []
@@ -233,6 +392,8 @@ function handleStep(s, index, tree, createdSteps, variableScope, entities, stepI
   const step = {
     id: `s${stepId}`,
     text: s.text,
+    theoremId: s.theoremId || null,
+    span: sentenceSpan(s),
     type: s.type || 'step',
     dependsOn: [],
     variables: extractVariablesFromText(s.text)
@@ -241,6 +402,14 @@ function handleStep(s, index, tree, createdSteps, variableScope, entities, stepI
   const deps = inferDependencies(s, index, tree, createdSteps, variableScope, entities);
   step.dependsOn = deps;
   
+  // Variables first mentioned here (e.g. k in "n = 2k + 1") are introduced by this step
+  step.variables.forEach(v => {
+    if (!variableScope.has(v)) {
+      variableScope.set(v, [step.id]);
+      tree.metadata.variables.add(v);
+    }
+  });
+  
   createdSteps.push(step);
   tree.steps.push(step);
 }
@@ -250,6 +419,7 @@ function inferDependencies(sentence, index, tree, createdSteps, variableScope, e
   const text = sentence.text;
   const lower = text.toLowerCase();
   const sentenceVars = extractVariablesFromText(text);
+  const assumptions = tree.assumptions.filter(a => a.theoremId === (sentence.theoremId || null));
   
   const referencePatterns = [
     /\b(by|from|using)\s+(step|assumption|equation)\s+(\d+)/gi,
@@ -274,7 +444,7 @@ function inferDependencies(sentence, index, tree, createdSteps, variableScope, e
   if (entities && Array.isArray(entities)) {
     entities.forEach(entity => {
       if (entity.type === 'variable' && sentenceVars.includes(entity.name)) {
-        tree.assumptions.forEach(a => {
+        assumptions.forEach(a => {
           if (a.variables && a.variables.includes(entity.name)) {
             deps.add(a.id);
           }
@@ -287,9 +457,9 @@ function inferDependencies(sentence, index, tree, createdSteps, variableScope, e
     deps.add(createdSteps[createdSteps.length - 1].id);
   }
   
-  if (deps.size === 0 && tree.assumptions.length > 0) {
+  if (deps.size === 0 && assumptions.length > 0) {
     let foundAssumption = false;
-    tree.assumptions.forEach(a => {
+    assumptions.forEach(a => {
       if (a.variables && a.variables.some(v => sentenceVars.includes(v))) {
         deps.add(a.id);
         foundAssumption = true;
@@ -297,7 +467,7 @@ function inferDependencies(sentence, index, tree, createdSteps, variableScope, e
     });
     
     if (!foundAssumption) {
-      deps.add(tree.assumptions[0].id);
+      deps.add(assumptions[0].id);
     }
   }
   
@@ -326,6 +496,10 @@ function extractVariablesFromText(text) {
   
   greekMatches.forEach(g => vars.add(g));
   
+  findFormulas(text).forEach(f => {
+    collectVariables(parseMath(f.text).ast).forEach(v => vars.add(v));
+  });
+  
   return Array.from(vars);
 }
 
@@ -344,51 +518,19 @@ function extractInductionVariable(text) {
   return null;
 }
 
-function validateTree(tree) {
-  const visited = new Set();
-  const recursionStack = new Set();
-  
-  function hasCycle(nodeId) {
-    if (recursionStack.has(nodeId)) return true;
-    if (visited.has(nodeId)) return false;
-    
-    visited.add(nodeId);
-    recursionStack.add(nodeId);
-    
-    const node = [...tree.assumptions, ...tree.steps, tree.goal]
-      .find(n => n && n.id === nodeId);
-    
-    if (node && node.dependsOn) {
-      for (const dep of node.dependsOn) {
-        if (hasCycle(dep)) return true;
-      }
-    }
-    
-    recursionStack.delete(nodeId);
-    return false;
-  }
-  
-  tree.steps.forEach(step => {
-    if (hasCycle(step.id)) {
-      console.warn(`Cycle detected in proof tree at step ${step.id}`);
-      step.dependsOn = [];
-    }
-  });
-  
-  if (tree.goal && hasCycle(tree.goal.id)) {
-    console.warn('Cycle detected in goal dependencies');
-  }
+export function getProofPath(tree) {
+  return [...tree.assumptions, ...tree.steps, ...getGoals(tree)].filter(n => n);
 }
 
-export function getProofPath(tree) {
-  return [...tree.assumptions, ...tree.steps, tree.goal].filter(n => n);
+export function getGoals(tree) {
+  if (tree.goals && tree.goals.length > 0) return tree.goals;
+  return tree.goal ? [tree.goal] : [];
 }
 
 export function getDependencyGraph(tree) {
   const graph = {};
   
-  const allNodes = [...tree.assumptions, ...tree.steps];
-  if (tree.goal) allNodes.push(tree.goal);
+  const allNodes = [...tree.assumptions, ...tree.steps, ...getGoals(tree)];
   
   allNodes.forEach(node => {
     if (node && node.id) {
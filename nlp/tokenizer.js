@@ -1,7 +1,10 @@
 // nlp/tokenizer.js
 import nlp from 'compromise';
 
-export function tokenizeSentences(text) {
+// "[uses 2, H1]" names a sentence's premises explicitly; see nlp/dependencies.js.
+const USES_MARKER = /\s*\[\s*uses?\s*:?\s*([^\]]*)\]/i;
+
+export function tokenizeSentences(text, baseOffset = 0) {
   if (!text || typeof text !== 'string' || !text.trim()) {
     return [];
   }
@@ -9,16 +12,96 @@ export function tokenizeSentences(text) {
   try {
     const doc = nlp(text);
     const sentences = doc.sentences().out('array');
+    const result = [];
+    let cursor = 0;
     
-    return sentences
+    sentences
       .filter(s => s && s.trim())
-      .map(s => classifySentence(s));
+      .forEach(s => {
+        const span = locateSentence(text, s.trim(), cursor);
+        cursor = span.end;
+
+        // A marker written after the full stop opens the next sentence, so it
+        // is given back to the sentence before it.
+        const marker = extractUsesMarkers(s.trim());
+        const previous = result[result.length - 1];
+        let uses = marker.uses;
+        if (marker.leading && previous && !previous.uses) {
+          previous.uses = marker.leading;
+        } else if (marker.leading) {
+          uses = uses || marker.leading;
+        }
+        if (!marker.text) return;
+
+        result.push({
+          ...classifySentence(marker.text),
+          ...(uses ? { uses } : {}),
+          start: baseOffset + span.start,
+          end: baseOffset + span.end
+        });
+      });
+
+    return result;
   } catch (err) {
     console.error('Tokenization error:', err);
     return [];
   }
 }
 
+export function tokenizeDocument(doc) {
+  if (!doc || !Array.isArray(doc.sections)) {
+    return [];
+  }
+
+  const sentences = [];
+
+  doc.sections.forEach(section => {
+    if (!section.proof) return;
+
+    tokenizeSentences(section.proof.text, section.proof.start).forEach(s => {
+      sentences.push({ ...s, theoremId: section.statement ? section.id : null });
+    });
+  });
+
+  return sentences;
+}
+
+// compromise may normalise whitespace inside a sentence, so match word by word
+// when the sentence is not found verbatim.
+function locateSentence(text, sentence, from) {
+  const exact = text.indexOf(sentence, from);
+  if (exact !== -1) return { start: exact, end: exact + sentence.length };
+
+  const pattern = sentence
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  const match = new RegExp(pattern).exec(text.slice(from));
+  if (match) return { start: from + match.index, end: from + match.index + match[0].length };
+
+  return { start: from, end: Math.min(text.length, from + sentence.length) };
+}
+
+// Strips "[uses ...]" markers; one at the very start is reported separately.
+function extractUsesMarkers(sentence) {
+  let text = sentence;
+  let uses = null;
+  let leading = null;
+  let match;
+
+  while ((match = USES_MARKER.exec(text))) {
+    const labels = match[1]
+      .split(/[\s,;]+/)
+      .filter(label => label && !/^(and|steps?|none)$/i.test(label))
+      .map(label => label.replace(/\.$/, '').toUpperCase());
+    if (match.index === 0 && text === sentence) leading = labels;
+    else uses = labels;
+    text = (text.slice(0, match.index) + text.slice(match.index + match[0].length)).trim();
+  }
+
+  return { text, uses, leading };
+}
+
 function classifySentence(sentence) {
   const text = sentence.trim();
   const lower = text.toLowerCase();
@@ -0,0 +1,78 @@
+// preferences.js - Preferences window; every change is saved immediately
+
+const preferencesForm = document.getElementById('preferencesForm');
+const preferencesErrors = document.getElementById('preferencesErrors');
+
+let settings = null;
+
+async function initPreferences() {
+  settings = await window.api.getSettings();
+  renderSettings(settings);
+
+  preferencesForm.addEventListener('change', handleSettingChange);
+  preferencesForm.addEventListener('submit', (e) => e.preventDefault());
+  window.api.onSettingsChanged((updated) => {
+    settings = updated;
+    renderSettings(settings);
+  });
+
+  document.getElementById('chooseWorkingDirBtn').addEventListener('click', async () => {
+    const res = await window.api.chooseDirectory('Choose validation working directory');
+    if (res.ok) saveSetting('validation.workingDir', res.path);
+  });
+  document.getElementById('clearWorkingDirBtn').addEventListener('click', () => {
+    saveSetting('validation.workingDir', null);
+  });
+  document.getElementById('resetPreferencesBtn').addEventListener('click', async () => {
+    if (!confirm('Restore all preferences to their defaults?')) return;
+    await window.api.resetSettings();
+  });
+  document.getElementById('closePreferencesBtn').addEventListener('click', () => window.close());
+}
+
+function renderSettings(values) {
+  document.body.setAttribute('data-theme', values.editor.theme);
+
+  preferencesForm.querySelectorAll('[data-setting]').forEach(input => {
+    const value = readSetting(values, input.dataset.setting);
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  });
+
+  preferencesForm.querySelectorAll('[data-setting-display]').forEach(el => {
+    el.textContent = readSetting(values, el.dataset.settingDisplay) || 'system temp folder';
+  });
+}
+
+function readSetting(values, key) {
+  const [section, name] = key.split('.');
+  return values[section][name];
+}
+
+function handleSettingChange(e) {
+  const input = e.target;
+  if (!input.dataset.setting) return;
+
+  let value = input.value;
+  if (input.type === 'checkbox') value = input.checked;
+  if (input.type === 'number') value = input.value === '' ? NaN : Number(input.value);
+
+  saveSetting(input.dataset.setting, value);
+}
+
+async function saveSetting(key, value) {
+  const [section, name] = key.split('.');
+  const res = await window.api.updateSettings({ [section]: { [name]: value } });
+
+  if (res.ok) {
+    preferencesErrors.textContent = '';
+  } else {
+    preferencesErrors.textContent = res.errors.join('\n');
+    renderSettings(res.settings);
+  }
+}
+
+initPreferences();
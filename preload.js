@@ -2,7 +2,7 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('api', {
-  generateLean: async (text, opts = { validate: true }) => {
+  generateLean: async (text, opts = {}) => {
     try {
       if (typeof text !== 'string') {
         throw new Error('Text must be a string');
@@ -14,14 +14,142 @@ contextBridge.exposeInMainWorld('api', {
     }
   },
 
-  saveContent: async (content) => {
-    return await ipcRenderer.invoke('save-content', content);
+  autoClose: async (leanCode, opts = {}) => {
+    return await ipcRenderer.invoke('auto-close', leanCode, opts);
+  },
+
+  onAutoCloseProgress: (callback) => {
+    ipcRenderer.on('auto-close-progress', (event, progress) => callback(progress));
+  },
+
+  getProofGraph: async (proofTree, dependencyOverrides = null) => {
+    return await ipcRenderer.invoke('proof-graph', proofTree, dependencyOverrides);
+  },
+
+  compareSnapshots: async (left, right) => {
+    return await ipcRenderer.invoke('compare-snapshots', left, right);
+  },
+
+  getLeanGoal: async (leanCode, position, opts = {}) => {
+    return await ipcRenderer.invoke('lean-goal', leanCode, position, opts);
+  },
+
+  listToolchains: async (opts = {}) => {
+    return await ipcRenderer.invoke('list-toolchains', opts);
+  },
+
+  setToolchain: async (id) => {
+    return await ipcRenderer.invoke('set-toolchain', id);
+  },
+
+  addLeanBinary: async () => {
+    return await ipcRenderer.invoke('add-lean-binary');
+  },
+
+  setLeanProject: async (choose = true) => {
+    return await ipcRenderer.invoke('set-lean-project', choose);
+  },
+
+  newDocument: async () => {
+    return await ipcRenderer.invoke('new-document');
+  },
+
+  restoreSession: async () => {
+    return await ipcRenderer.invoke('restore-session');
+  },
+
+  activateDocument: async (docId) => {
+    return await ipcRenderer.invoke('activate-document', docId);
+  },
+
+  closeDocument: async (docId) => {
+    return await ipcRenderer.invoke('close-document', docId);
+  },
+
+  setDirty: async (docId, dirty) => {
+    return await ipcRenderer.invoke('set-dirty', docId, dirty);
+  },
+
+  recordRecovery: async (docId, state) => {
+    return await ipcRenderer.invoke('record-recovery', docId, state);
+  },
+
+  listRecovery: async () => {
+    return await ipcRenderer.invoke('list-recovery');
+  },
+
+  restoreRecovery: async (id) => {
+    return await ipcRenderer.invoke('restore-recovery', id);
+  },
+
+  discardRecovery: async (key = null) => {
+    return await ipcRenderer.invoke('discard-recovery', key);
+  },
+
+  queryHistory: async (docId, query) => {
+    return await ipcRenderer.invoke('history-query', docId, query);
+  },
+
+  addHistory: async (docId, entry) => {
+    return await ipcRenderer.invoke('history-add', docId, entry);
+  },
+
+  updateHistory: async (id, changes) => {
+    return await ipcRenderer.invoke('history-update', id, changes);
+  },
+
+  getHistoryEntry: async (id) => {
+    return await ipcRenderer.invoke('history-get', id);
+  },
+
+  deleteHistory: async (id) => {
+    return await ipcRenderer.invoke('history-delete', id);
+  },
+
+  clearHistory: async (docId = null) => {
+    return await ipcRenderer.invoke('history-clear', docId);
+  },
+
+  getSettings: async () => {
+    return await ipcRenderer.invoke('get-settings');
+  },
+
+  updateSettings: async (patch) => {
+    return await ipcRenderer.invoke('update-settings', patch);
+  },
+
+  resetSettings: async () => {
+    return await ipcRenderer.invoke('reset-settings');
+  },
+
+  openPreferences: async () => {
+    return await ipcRenderer.invoke('open-preferences');
+  },
+
+  chooseDirectory: async (title) => {
+    return await ipcRenderer.invoke('choose-directory', title);
+  },
+
+  onSettingsChanged: (callback) => {
+    ipcRenderer.on('settings-changed', (event, settings) => callback(settings));
+  },
+
+  saveContent: async (docId, state) => {
+    return await ipcRenderer.invoke('save-content', docId, state);
+  },
+
+  saveDocument: async (docId) => {
+    return await ipcRenderer.invoke('save-document', docId);
   },
 
   exportLeanFile: async (filepath, content) => {
     return await ipcRenderer.invoke('export-lean-file', filepath, content);
   },
 
+  exportDocument: async (docId, format, filepath, state, options) => {
+    return await ipcRenderer.invoke('export-document-file', docId, format, filepath, state, options);
+  },
+
   getTheme: async () => {
     return await ipcRenderer.invoke('get-theme');
   },
@@ -34,16 +162,24 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.on('file-opened', (event, data) => callback(data));
   },
 
+  onActivateDocument: (callback) => {
+    ipcRenderer.on('activate-document', (event, docId) => callback(docId));
+  },
+
   onRequestContentForSave: (callback) => {
-    ipcRenderer.on('request-content-for-save', () => callback());
+    ipcRenderer.on('request-content-for-save', (event, docId) => callback(docId));
   },
 
-  onExportPDF: (callback) => {
-    ipcRenderer.on('export-pdf', (event, filepath) => callback(filepath));
+  onExportDocument: (callback) => {
+    ipcRenderer.on('export-document', (event, format, filepath, docId) => callback(format, filepath, docId));
   },
 
   onExportLean: (callback) => {
-    ipcRenderer.on('export-lean', (event, filepath) => callback(filepath));
+    ipcRenderer.on('export-lean', (event, filepath, docId) => callback(filepath, docId));
+  },
+
+  onLeanDiagnostics: (callback) => {
+    ipcRenderer.on('lean-diagnostics', (event, validation, docId) => callback(validation, docId));
   },
 
   onThemeChanged: (callback) => {
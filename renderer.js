@@ -7,6 +7,9 @@ const validationPane = document.getElementById('validationPane');
 const validationHeader = document.getElementById('validationHeader');
 const historyContent = document.getElementById('historyContent');
 const historySidebar = document.getElementById('historySidebar');
+const historySearch = document.getElementById('historySearch');
+const historyStatusFilter = document.getElementById('historyStatusFilter');
+const historyScope = document.getElementById('historyScope');
 const mathPalette = document.getElementById('mathPalette');
 const paletteToggle = document.getElementById('paletteToggle');
 const themeToggle = document.getElementById('themeToggle');
@@ -15,6 +18,7 @@ const clearBtn = document.getElementById('clearBtn');
 const clearHistoryBtn = document.getElementById('clearHistoryBtn');
 const copyLeanBtn = document.getElementById('copyLeanBtn');
 const formatLeanBtn = document.getElementById('formatLeanBtn');
+const autoCloseBtn = document.getElementById('autoCloseBtn');
 const validateToggle = document.getElementById('validateToggle');
 const lineNumbers = document.getElementById('lineNumbers');
 const charCount = document.getElementById('charCount');
@@ -28,13 +32,83 @@ const saveBtn = document.getElementById('saveBtn');
 const commandPalette = document.getElementById('commandPalette');
 const commandInput = document.getElementById('commandInput');
 const commandList = document.getElementById('commandList');
+const goalOutput = document.getElementById('goalOutput');
+const validationCounts = document.getElementById('validationCounts');
+const englishHighlights = document.getElementById('englishHighlights');
+const leanPathModal = document.getElementById('leanPathModal');
+const toolchainList = document.getElementById('toolchainList');
+const toolchainInfo = document.getElementById('toolchainInfo');
+const toolchainProject = document.getElementById('toolchainProject');
+const toolchainDocumentScope = document.getElementById('toolchainDocumentScope');
+const recoveryModal = document.getElementById('recoveryModal');
+const recoveryList = document.getElementById('recoveryList');
+const documentTabs = document.getElementById('documentTabs');
+const exportModal = document.getElementById('exportModal');
+const exportPageSize = document.getElementById('exportPageSize');
+const exportCodeTheme = document.getElementById('exportCodeTheme');
+const exportIncludeLean = document.getElementById('exportIncludeLean');
+const exportShowStepIds = document.getElementById('exportShowStepIds');
+const exportShowDependencies = document.getElementById('exportShowDependencies');
+const leanOutputPane = document.getElementById('leanOutputPane');
+const structurePane = document.getElementById('structurePane');
+const structureCanvas = document.getElementById('structureCanvas');
+const structureSummary = document.getElementById('structureSummary');
+const structureLegend = document.getElementById('structureLegend');
+const structureErrors = document.getElementById('structureErrors');
+const structureEditor = document.getElementById('structureEditor');
+const compareModal = document.getElementById('compareModal');
+const compareBaseLabel = document.getElementById('compareBaseLabel');
+const compareTarget = document.getElementById('compareTarget');
+const compareTargetStatus = document.getElementById('compareTargetStatus');
+const compareBody = document.getElementById('compareBody');
 
-let messages = [];
+let historyEntries = [];
+let historyTotal = 0;
+let historyRequest = 0;
+let historySearchTimeout = null;
+let compareBase = null;
 let isGenerating = false;
 let currentTheme = 'light';
 let paletteState = 'collapsed';
 let autosaveTimeout = null;
 let currentLine = 1;
+let currentLean = '';
+let currentTree = null;
+let currentNodeLines = {};
+let currentSourceMap = [];
+let currentSourceText = '';
+let pinnedSpan = null;
+let documentToolchain = null;
+let currentValidation = null;
+let validationFilter = 'all';
+let settings = null;
+let isDirty = false;
+let tabs = [];
+let activeTabId = null;
+let pendingExport = null;
+let structureGraph = null;
+let structureView = { x: 0, y: 0, scale: 1 };
+let structureSelection = null;
+let structurePan = null;
+let dependencyOverrides = {};
+
+const STRUCTURE_TYPES = {
+  hypothesis: 'Hypothesis',
+  assumption: 'Assumption',
+  step: 'Step',
+  definition: 'Definition',
+  implication: 'Implication',
+  existential: 'Existential',
+  universal: 'Universal',
+  case: 'Case',
+  induction: 'Induction',
+  contradiction: 'Contradiction',
+  arithmetic: 'Arithmetic',
+  algebraic: 'Algebra',
+  set_theory: 'Sets',
+  other: 'Other',
+  conclusion: 'Conclusion'
+};
 
 // Commands for palette
 const COMMANDS = [
@@ -47,18 +121,21 @@ const COMMANDS = [
   { name: 'Toggle Theme', action: 'theme', shortcut: 'Ctrl+Shift+T' },
   { name: 'Save Proof', action: 'save', shortcut: 'Ctrl+S' },
   { name: 'Show Structure', action: 'structure', shortcut: 'Ctrl+Shift+S' },
+  { name: 'Preferences', action: 'preferences', shortcut: 'Ctrl+,' },
 ];
 
 // Initialize
-function init() {
-  currentTheme = localStorage.getItem('theme') || 'light';
-  applyTheme(currentTheme);
+async function init() {
+  settings = await window.api.getSettings();
+  applySettings(settings);
+  validateToggle.checked = settings.validation.validateOnGenerate;
   setupEventListeners();
   setupMathSymbols();
   updateLineNumbers();
   updateStats();
-  loadAutosave();
+  await restoreTabs();
   englishInput.focus();
+  await checkRecovery();
 }
 
 function setupEventListeners() {
@@ -67,6 +144,17 @@ function setupEventListeners() {
   generateBtn.addEventListener('click', handleGenerate);
   clearBtn.addEventListener('click', clearEditor);
   clearHistoryBtn.addEventListener('click', clearHistory);
+  historySearch.addEventListener('input', () => {
+    clearTimeout(historySearchTimeout);
+    historySearchTimeout = setTimeout(() => refreshHistory(), 200);
+  });
+  historyStatusFilter.addEventListener('change', () => refreshHistory());
+  historyScope.addEventListener('change', () => refreshHistory());
+  compareTarget.addEventListener('change', runCompare);
+  document.getElementById('closeCompareBtn').addEventListener('click', () => {
+    compareBase = null;
+    compareModal.classList.add('hidden');
+  });
   copyLeanBtn.addEventListener('click', copyLean);
   formatLeanBtn.addEventListener('click', () => showNotification('Format feature coming soon'));
   validationHeader.addEventListener('click', toggleValidation);
@@ -75,7 +163,84 @@ function setupEventListeners() {
   englishInput.addEventListener('scroll', syncLineNumbersScroll);
   templateBtn.addEventListener('click', insertTemplate);
   structureBtn.addEventListener('click', showStructure);
+  document.getElementById('structureFitBtn').addEventListener('click', fitStructure);
+  document.getElementById('structureCloseBtn').addEventListener('click', hideStructure);
+  structureCanvas.addEventListener('mousedown', startStructurePan);
+  structureCanvas.addEventListener('wheel', zoomStructure, { passive: false });
+  structureEditor.addEventListener('click', handleDependencyEditorClick);
+  structureErrors.addEventListener('click', e => {
+    const discard = e.target.closest('[data-discard]');
+    if (discard) {
+      delete dependencyOverrides[discard.dataset.discard];
+      applyDependencyOverrides();
+      return;
+    }
+    const item = e.target.closest('[data-node]');
+    if (item) selectStructureNode(item.dataset.node);
+  });
+  window.addEventListener('mousemove', moveStructurePan);
+  window.addEventListener('mouseup', endStructurePan);
   saveBtn.addEventListener('click', saveProof);
+  autoCloseBtn.addEventListener('click', handleAutoClose);
+  window.api.onMenuAction(handleMenuAction);
+  window.api.onSettingsChanged(applySettings);
+  window.api.onRequestContentForSave(handleSaveRequest);
+  window.api.onFileOpened(handleFileOpened);
+  window.api.onActivateDocument(activateTab);
+  window.api.onExportDocument(showExportDialog);
+  document.getElementById('cancelExportBtn').addEventListener('click', () => {
+    pendingExport = null;
+    exportModal.classList.add('hidden');
+  });
+  document.getElementById('confirmExportBtn').addEventListener('click', exportDocument);
+  document.getElementById('closeRecoveryBtn').addEventListener('click', () => recoveryModal.classList.add('hidden'));
+  document.getElementById('discardRecoveryBtn').addEventListener('click', async () => {
+    if (!confirm('Discard all recovered documents?')) return;
+    await window.api.discardRecovery();
+    recoveryModal.classList.add('hidden');
+  });
+  validateToggle.addEventListener('change', () => {
+    window.api.updateSettings({ validation: { validateOnGenerate: validateToggle.checked } });
+  });
+  document.getElementById('closeLeanPathBtn').addEventListener('click', () => leanPathModal.classList.add('hidden'));
+  document.getElementById('refreshToolchainsBtn').addEventListener('click', () => loadToolchains(true));
+  document.getElementById('addLeanBinaryBtn').addEventListener('click', async () => {
+    const res = await window.api.addLeanBinary();
+    if (res.ok) loadToolchains(true);
+  });
+  document.getElementById('chooseProjectBtn').addEventListener('click', async () => {
+    const res = await window.api.setLeanProject(true);
+    if (res.ok) loadToolchains();
+  });
+  document.getElementById('clearProjectBtn').addEventListener('click', async () => {
+    await window.api.setLeanProject(false);
+    loadToolchains();
+  });
+  toolchainList.addEventListener('change', handleToolchainChoice);
+  toolchainDocumentScope.addEventListener('change', () => {
+    if (!toolchainDocumentScope.checked && documentToolchain !== null) {
+      documentToolchain = null;
+      loadToolchains();
+    }
+  });
+  window.api.onAutoCloseProgress(({ hole, tactic }) => {
+    autoCloseBtn.textContent = `Line ${hole.line}: ${tactic}...`;
+  });
+  leanOutput.addEventListener('click', handleLeanClick);
+  leanOutput.addEventListener('mouseover', handleLeanHover);
+  leanOutput.addEventListener('mouseleave', () => highlightEnglishSpan(pinnedSpan));
+  englishInput.addEventListener('click', handleEnglishClick);
+  englishInput.addEventListener('keyup', (e) => {
+    if (e.key.startsWith('Arrow')) handleEnglishClick();
+  });
+  englishInput.addEventListener('scroll', () => {
+    englishHighlights.scrollTop = englishInput.scrollTop;
+  });
+  
+  window.api.onLeanDiagnostics((validation, docId) => {
+    if (docId && docId !== activeTabId) return;
+    if (validateToggle.checked) displayValidationResults(validation);
+  });
 
   // Command palette
   document.addEventListener('keydown', (e) => {
@@ -136,37 +301,90 @@ function updateStats() {
 
 function handleInput() {
   updateStats();
+  documentChanged();
+}
+
+// Dirty state & recovery journal
+function documentChanged() {
+  setDirty(true);
   
   clearTimeout(autosaveTimeout);
-  autosaveTimeout = setTimeout(() => {
-    saveToLocalStorage();
-    showAutosaveIndicator();
-  }, 2000);
+  if (!settings.autosave.enabled) return;
+  autosaveTimeout = setTimeout(recordRecoverySnapshot, settings.autosave.delayMs);
 }
 
-function saveToLocalStorage() {
-  const data = {
-    content: englishInput.value,
-    timestamp: Date.now()
-  };
-  localStorage.setItem('proof-autosave', JSON.stringify(data));
+function setDirty(dirty) {
+  if (isDirty === dirty) return;
+  isDirty = dirty;
+  window.api.setDirty(activeTabId, dirty);
+  renderTabs();
 }
 
-function loadAutosave() {
-  const saved = localStorage.getItem('proof-autosave');
-  if (saved) {
+async function recordRecoverySnapshot() {
+  if (!isDirty) return;
+  const res = await window.api.recordRecovery(activeTabId, collectDocumentState());
+  if (res.ok) showAutosaveIndicator();
+}
+
+async function checkRecovery() {
+  // Sessions from before the journal existed were kept in localStorage
+  const legacy = localStorage.getItem('proof-autosave');
+  if (legacy) {
     try {
-      const data = JSON.parse(saved);
-      if (Date.now() - data.timestamp < 24 * 60 * 60 * 1000) {
-        if (data.content && confirm('Restore previous session?')) {
-          englishInput.value = data.content;
-          updateStats();
-        }
-      }
+      const data = JSON.parse(legacy);
+      if (data.content) await window.api.recordRecovery(activeTabId, { english: data.content });
     } catch (e) {
-      console.error('Failed to load autosave:', e);
+      console.error('Failed to migrate autosave:', e);
     }
+    localStorage.removeItem('proof-autosave');
+  }
+  
+  const res = await window.api.listRecovery();
+  if (!res.ok || res.documents.length === 0) return;
+  
+  renderRecoveryList(res.documents);
+  recoveryModal.classList.remove('hidden');
+}
+
+function renderRecoveryList(documents) {
+  recoveryList.innerHTML = '';
+  
+  documents.forEach(doc => {
+    const group = document.createElement('div');
+    group.className = 'recovery-document';
+    group.innerHTML = `
+      <div class="recovery-document-name">${escapeHtml(doc.name)}</div>
+      ${doc.filepath ? `<div class="toolchain-meta">${escapeHtml(doc.filepath)}</div>` : ''}
+    `;
+    
+    doc.snapshots.forEach(snapshot => {
+      const row = document.createElement('div');
+      row.className = 'recovery-snapshot';
+      row.innerHTML = `
+        <div class="recovery-snapshot-info">
+          <div class="recovery-snapshot-time">${new Date(snapshot.timestamp).toLocaleString()}</div>
+          <div class="recovery-snapshot-preview">${escapeHtml(snapshot.preview || '(empty)')}</div>
+        </div>
+        <button class="modal-btn">Restore</button>
+      `;
+      row.querySelector('button').addEventListener('click', () => restoreSnapshot(snapshot.id));
+      group.appendChild(row);
+    });
+    
+    recoveryList.appendChild(group);
+  });
+}
+
+async function restoreSnapshot(id) {
+  const res = await window.api.restoreRecovery(id);
+  if (!res.ok) {
+    if (!res.canceled) showNotification('Restore failed: ' + res.error);
+    return;
   }
+  
+  openTab({ ...res, dirty: true });
+  recoveryModal.classList.add('hidden');
+  showNotification(`Recovered version from ${new Date(res.timestamp).toLocaleString()}`);
 }
 
 function showAutosaveIndicator() {
@@ -177,40 +395,119 @@ function showAutosaveIndicator() {
 }
 
 // Validation Display
+const VALIDATION_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'error', label: 'Errors' },
+  { id: 'warning', label: 'Warnings' },
+  { id: 'sorry', label: 'Sorry' },
+  { id: 'info', label: 'Info' }
+];
+
+const SEVERITY_ICONS = { error: '✗', warning: '⚠', sorry: '⚠', info: 'ℹ' };
+
 function displayValidationResults(validation) {
+  currentValidation = validation;
   validationOutput.innerHTML = '';
   
-  if (validation.ok === false || validation.error) {
-    const item = createValidationItem(
+  const diagnostics = validation.diagnostics || [];
+  renderValidationCounts(validation.counts);
+  
+  if (validation.ok === false && diagnostics.length === 0) {
+    validationOutput.appendChild(createValidationItem(
       'error',
       '✗',
       'Validation Failed',
-      validation.error || 'Unknown error',
+      [validation.error || 'Unknown error', validation.hint].filter(Boolean).join('\n'),
       null
-    );
-    validationOutput.appendChild(item);
+    ));
+    return;
+  }
+  
+  validationOutput.appendChild(validation.ok
+    ? createValidationItem('success', '✓', 'Validation Passed', validation.message || 'Proof is mathematically sound!', null)
+    : createValidationItem('error', '✗', 'Validation Failed', validation.error, null));
+  
+  if (diagnostics.length === 0) return;
+  
+  const filters = document.createElement('div');
+  filters.className = 'validation-filters';
+  VALIDATION_FILTERS.forEach(f => {
+    const count = f.id === 'all' ? diagnostics.length : (validation.counts?.[f.id] || 0);
+    const btn = document.createElement('button');
+    btn.className = `validation-filter${validationFilter === f.id ? ' active' : ''}`;
+    btn.textContent = `${f.label} (${count})`;
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      validationFilter = f.id;
+      displayValidationResults(currentValidation);
+    });
+    filters.appendChild(btn);
+  });
+  validationOutput.appendChild(filters);
+  
+  diagnostics
+    .filter(d => matchesValidationFilter(d, validationFilter))
+    .forEach(d => validationOutput.appendChild(createDiagnosticItem(d)));
+}
+
+function matchesValidationFilter(diagnostic, filter) {
+  if (filter === 'all') return true;
+  if (filter === 'sorry') return diagnostic.sorry;
+  if (filter === 'warning') return diagnostic.severity === 'warning' && !diagnostic.sorry;
+  return diagnostic.severity === filter;
+}
+
+function renderValidationCounts(counts) {
+  if (!counts) {
+    validationCounts.innerHTML = '';
+    return;
+  }
+  
+  validationCounts.innerHTML = `
+    <span class="count-error">✗ ${counts.error}</span>
+    <span class="count-warning">⚠ ${counts.warning}</span>
+    <span class="count-sorry">sorry ${counts.sorry}</span>
+  `;
+}
+
+function createDiagnosticItem(diagnostic) {
+  const kind = diagnostic.sorry ? 'sorry' : diagnostic.severity;
+  const [headline, ...rest] = diagnostic.message.split('\n');
+  
+  const item = document.createElement('div');
+  item.className = `validation-item diagnostic ${diagnostic.severity === 'info' ? 'info' : diagnostic.severity}`;
+  item.innerHTML = `
+    <span class="validation-icon">${SEVERITY_ICONS[kind] || 'ℹ'}</span>
+    <div class="validation-content">
+      <div class="validation-message">${escapeHtml(headline)}<span class="validation-location">line ${diagnostic.startLine}:${diagnostic.startCol}</span></div>
+      ${rest.length ? `<div class="validation-details">${escapeHtml(rest.join('\n'))}</div>` : ''}
+      ${diagnostic.source ? `<button class="validation-jump">Jump to line ${diagnostic.source.line}</button>` : ''}
+    </div>
+  `;
+  item.addEventListener('click', () => jumpToLeanLocation(diagnostic));
+  
+  if (diagnostic.source) {
+    item.querySelector('.validation-jump').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (englishInput.value === currentSourceText) {
+        jumpToLine(diagnostic.source.line, diagnostic.source.start, diagnostic.source.end);
+      } else {
+        jumpToLine(diagnostic.source.line);
+      }
+    });
+  }
+  
+  return item;
+}
+
+function jumpToLeanLocation(diagnostic) {
+  highlightLeanLine(diagnostic.startLine);
+  
+  if (diagnostic.goals?.length) {
+    goalOutput.innerHTML = `<div class="goal-location">Line ${diagnostic.startLine}</div>` +
+      diagnostic.goals.map(g => `<pre>${escapeHtml(g)}</pre>`).join('');
   } else {
-    const item = createValidationItem(
-      'success',
-      '✓',
-      'Validation Passed',
-      'Proof is mathematically sound!',
-      null
-    );
-    validationOutput.appendChild(item);
-    
-    if (validation.stdout) {
-      const details = document.createElement('div');
-      details.className = 'validation-item info';
-      details.innerHTML = `
-        <span class="validation-icon">ℹ</span>
-        <div class="validation-content">
-          <div class="validation-message">Details</div>
-          <div class="validation-details">${escapeHtml(validation.stdout)}</div>
-        </div>
-      `;
-      validationOutput.appendChild(details);
-    }
+    showGoalAtLine(diagnostic.startLine);
   }
 }
 
@@ -234,30 +531,71 @@ function createValidationItem(type, icon, message, details, lineNumber) {
 }
 
 // History
-function addHistoryItem(text, status = 'pending') {
+// Entries live in userData and are fetched a page at a time; the sidebar only
+// holds the page(s) shown. An entry is { id, docName, text, status, timestamp,
+// pinned }; its snapshot (proofTree, lean, validation) is fetched for Compare.
+const HISTORY_PAGE_SIZE = 50;
+
+async function refreshHistory(append = false) {
+  const request = ++historyRequest;
+  const res = await window.api.queryHistory(historyScope.value === 'all' ? null : activeTabId, {
+    search: historySearch.value,
+    status: historyStatusFilter.value || null,
+    offset: append ? historyEntries.length : 0,
+    limit: HISTORY_PAGE_SIZE
+  });
+  // A newer query (another keystroke, another tab) has taken over
+  if (request !== historyRequest || !res.ok) return;
+
+  historyEntries = append ? historyEntries.concat(res.entries) : res.entries;
+  historyTotal = res.total;
+  renderHistory();
+}
+
+function renderHistory() {
+  historyContent.innerHTML = '';
+  if (historyEntries.length === 0) {
+    const filtered = historySearch.value.trim() || historyStatusFilter.value;
+    historyContent.innerHTML = `<div class="history-empty">${filtered ? 'No matching proofs' : 'No proofs yet'}</div>`;
+    return;
+  }
+
+  historyEntries.forEach(entry => historyContent.appendChild(createHistoryItem(entry)));
+
+  if (historyEntries.length < historyTotal) {
+    const more = document.createElement('button');
+    more.className = 'history-more-btn';
+    more.textContent = `Show more (${historyTotal - historyEntries.length})`;
+    more.addEventListener('click', () => refreshHistory(true));
+    historyContent.appendChild(more);
+  }
+}
+
+function createHistoryItem(entry) {
+  const { id, text, status, timestamp, pinned } = entry;
   const item = document.createElement('div');
-  item.className = 'history-item';
+  item.className = `history-item${pinned ? ' pinned' : ''}`;
+  item.dataset.id = id;
   item.dataset.status = status;
-  item.dataset.text = text;
   
-  const time = new Date().toLocaleString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+  const time = formatHistoryTime(timestamp);
   
   const statusBadge = getStatusBadge(status);
+  const documentLabel = historyScope.value === 'all'
+    ? `<div class="history-item-document">${escapeHtml(entry.docName)}</div>`
+    : '';
   
   item.innerHTML = `
     <div class="history-item-header">
-      <div class="history-item-time">${time}</div>
+      <div class="history-item-time">${pinned ? '📌 ' : ''}${time}</div>
       ${statusBadge}
     </div>
+    ${documentLabel}
     <div class="history-item-text">${escapeHtml(text)}</div>
     <div class="history-item-actions">
       <button class="history-action-btn restore-btn">Restore</button>
       <button class="history-action-btn compare-btn">Compare</button>
+      <button class="history-action-btn pin-btn">${pinned ? 'Unpin' : 'Pin'}</button>
       <button class="history-action-btn delete-btn">Delete</button>
     </div>
   `;
@@ -266,33 +604,51 @@ function addHistoryItem(text, status = 'pending') {
     e.stopPropagation();
     englishInput.value = text;
     updateStats();
+    documentChanged();
     showNotification('Restored from history');
   });
   
   item.querySelector('.compare-btn').addEventListener('click', (e) => {
     e.stopPropagation();
-    showNotification('Compare view coming soon');
+    showCompare(entry);
   });
   
-  item.querySelector('.delete-btn').addEventListener('click', (e) => {
+  item.querySelector('.pin-btn').addEventListener('click', async (e) => {
     e.stopPropagation();
-    item.remove();
-    const index = messages.indexOf(text);
-    if (index > -1) messages.splice(index, 1);
+    const res = await window.api.updateHistory(id, { pinned: !pinned });
+    if (!res.ok) {
+      showNotification('Could not update history: ' + res.error);
+      return;
+    }
+    showNotification(pinned ? 'Unpinned' : 'Pinned to the top of history');
+    refreshHistory();
+  });
+  
+  item.querySelector('.delete-btn').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    await window.api.deleteHistory(id);
+    historyEntries = historyEntries.filter(other => other.id !== id);
+    historyTotal--;
+    renderHistory();
     showNotification('Deleted from history');
   });
   
   item.addEventListener('click', () => {
     englishInput.value = text;
     updateStats();
+    documentChanged();
   });
   
-  if (historyContent.children.length === 1 && 
-      historyContent.children[0].textContent.includes('No proofs yet')) {
-    historyContent.innerHTML = '';
-  }
-  
-  historyContent.insertBefore(item, historyContent.firstChild);
+  return item;
+}
+
+function formatHistoryTime(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
 }
 
 function getStatusBadge(status) {
@@ -304,17 +660,139 @@ function getStatusBadge(status) {
   return badges[status] || badges.pending;
 }
 
-function updateHistoryItemStatus(text, status) {
-  const items = historyContent.querySelectorAll('.history-item');
-  items.forEach(item => {
-    if (item.dataset.text === text) {
-      const header = item.querySelector('.history-item-header');
-      const oldBadge = header.querySelector('.history-item-status');
-      if (oldBadge) oldBadge.remove();
-      header.insertAdjacentHTML('beforeend', getStatusBadge(status));
-      item.dataset.status = status;
+// Records what a generation produced; the card's badge follows the status.
+async function updateHistoryEntry(id, changes) {
+  if (!id) return;
+  const res = await window.api.updateHistory(id, changes);
+  if (!res.ok) return;
+
+  const entry = historyEntries.find(e => e.id === id);
+  if (entry) entry.status = res.entry.status;
+  const item = historyContent.querySelector(`.history-item[data-id="${CSS.escape(id)}"]`);
+  if (!item) return;
+
+  const header = item.querySelector('.history-item-header');
+  const oldBadge = header.querySelector('.history-item-status');
+  if (oldBadge) oldBadge.remove();
+  header.insertAdjacentHTML('beforeend', getStatusBadge(res.entry.status));
+  item.dataset.status = res.entry.status;
+}
+
+// Compare
+// Targets are the current document and the history entries loaded in the sidebar.
+async function showCompare(entry) {
+  const res = await window.api.getHistoryEntry(entry.id);
+  if (!res.ok) {
+    showNotification('Could not load history entry: ' + res.error);
+    return;
+  }
+
+  compareBase = res.entry;
+  compareBaseLabel.innerHTML = `<strong>${escapeHtml(formatHistoryTime(entry.timestamp))}</strong> · ${compareStatus(compareBase)}`;
+  compareTarget.innerHTML = ['<option value="current">Current document</option>']
+    .concat(historyEntries
+      .filter(other => other.id !== entry.id)
+      .map(other => `<option value="${escapeHtml(other.id)}">${escapeHtml(formatHistoryTime(other.timestamp))} · ${escapeHtml(other.text.slice(0, 40))}</option>`))
+    .join('');
+  compareModal.classList.remove('hidden');
+  runCompare();
+}
+
+async function runCompare() {
+  if (!compareBase) return;
+  let target = { text: englishInput.value.trim(), proofTree: currentTree, lean: currentLean, validation: currentValidation };
+  if (compareTarget.value !== 'current') {
+    const res = await window.api.getHistoryEntry(compareTarget.value);
+    if (!res.ok) {
+      compareBody.innerHTML = `<div class="muted">${escapeHtml(res.error)}</div>`;
+      return;
+    }
+    target = res.entry;
+  }
+
+  compareTargetStatus.textContent = compareStatus(target);
+  compareBody.innerHTML = '<div class="muted">Comparing...</div>';
+  const snapshot = entry => ({ english: entry.text, proofTree: entry.proofTree, lean: entry.lean, validation: entry.validation });
+  const res = await window.api.compareSnapshots(snapshot(compareBase), snapshot(target));
+  if (!res.ok) {
+    compareBody.innerHTML = `<div class="muted">${escapeHtml(res.error)}</div>`;
+    return;
+  }
+
+  compareBody.innerHTML = `
+    <h4>English</h4>
+    <div class="compare-columns">
+      <div class="compare-text">${renderWordDiff(res.english, 'delete')}</div>
+      <div class="compare-text">${renderWordDiff(res.english, 'insert')}</div>
+    </div>
+    <h4>Lean 4</h4>
+    ${compareBase.lean || target.lean ? renderLineDiff(res.lean) : '<div class="muted">Neither version has Lean code.</div>'}
+    <h4>Proof tree</h4>
+    ${renderTreeDiff(res.tree)}
+  `;
+}
+
+function compareStatus(entry) {
+  if (!entry.validation) return 'not validated';
+  return entry.validation.ok ? 'passed validation' : 'failed validation';
+}
+
+// One side of the word diff: the left shows deletions, the right insertions.
+function renderWordDiff(runs, side) {
+  return runs
+    .filter(run => run.type === 'equal' || run.type === side)
+    .map(run => {
+      if (run.type === 'equal') return escapeHtml(run.text);
+      return side === 'delete' ? `<del>${escapeHtml(run.text)}</del>` : `<ins>${escapeHtml(run.text)}</ins>`;
+    })
+    .join('');
+}
+
+// Side-by-side rows; a run of deleted lines is paired with the inserted lines
+// that replace it.
+function renderLineDiff(ops) {
+  const rows = [];
+  let deleted = [];
+  let inserted = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+      rows.push([deleted[i], inserted[i]]);
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  ops.forEach(op => {
+    if (op.type === 'delete') deleted.push(op);
+    else if (op.type === 'insert') inserted.push(op);
+    else {
+      flush();
+      rows.push([op, op]);
     }
   });
+  flush();
+
+  const cell = op => (op
+    ? `<td class="diff-${op.type}">${escapeHtml(op.text) || ' '}</td>`
+    : '<td class="diff-empty"></td>');
+  return `<table class="compare-lines">${rows.map(([left, right]) => `<tr>${cell(left)}${cell(right)}</tr>`).join('')}</table>`;
+}
+
+function renderTreeDiff(tree) {
+  const node = n => `<span class="compare-node">${escapeHtml(n.label)}</span> ${escapeHtml(n.text)}`;
+  const edge = e => `${escapeHtml(e.from.label)} → ${escapeHtml(e.to.label)} <span class="muted">(${escapeHtml(e.to.text)})</span>`;
+  const section = (title, items, render, type) => (items.length
+    ? `<div class="compare-tree-group diff-${type}"><div>${title}</div><ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul></div>`
+    : '');
+
+  const html = [
+    section('Added steps', tree.nodes.added, node, 'insert'),
+    section('Removed steps', tree.nodes.removed, node, 'delete'),
+    section('Changed kind', tree.nodes.changed, c => `${node(c.after)} <span class="muted">(${c.before.kind} → ${c.after.kind})</span>`, 'change'),
+    section('Added dependencies', tree.edges.added, edge, 'insert'),
+    section('Removed dependencies', tree.edges.removed, edge, 'delete')
+  ].join('');
+  return html || '<div class="muted">No changes to the proof tree.</div>';
 }
 
 // Lean Syntax Highlighting
@@ -352,8 +830,218 @@ function applyLeanSyntaxHighlighting(code) {
   return highlighted;
 }
 
+function renderLeanOutput(code) {
+  leanOutput.innerHTML = code
+    .split('\n')
+    .map((line, i) => `<span class="lean-line" data-line="${i + 1}">${applyLeanSyntaxHighlighting(line) || ' '}</span>`)
+    .join('');
+}
+
+// Goal State
+function handleLeanClick(e) {
+  const lineEl = e.target.closest('.lean-line');
+  if (!lineEl || !currentLean) return;
+  
+  const lineNum = parseInt(lineEl.dataset.line);
+  pinnedSpan = sourceEntryForLine(lineNum)?.span || null;
+  highlightEnglishSpan(pinnedSpan, true);
+  showGoalAtLine(lineNum);
+}
+
+function handleLeanHover(e) {
+  const lineEl = e.target.closest('.lean-line');
+  if (!lineEl || !currentLean) return;
+  
+  const entry = sourceEntryForLine(parseInt(lineEl.dataset.line));
+  highlightEnglishSpan(entry ? entry.span : pinnedSpan);
+}
+
+function handleEnglishClick() {
+  if (!currentLean || !sourceMapIsCurrent()) return;
+  
+  const entry = sourceEntryForOffset(englishInput.selectionStart);
+  linkLeanLines(entry);
+  pinnedSpan = entry ? entry.span : null;
+  highlightEnglishSpan(pinnedSpan);
+  
+  if (entry && currentNodeLines[entry.nodeId]) {
+    showGoalAtLine(currentNodeLines[entry.nodeId]);
+  }
+}
+
+// Source map lookups: prefer the narrowest entry, e.g. a hypothesis binder over
+// the whole theorem header.
+function sourceEntryForLine(lineNum) {
+  if (!sourceMapIsCurrent()) return null;
+  return narrowestEntry(currentSourceMap.filter(e => e.span && lineNum >= e.startLine && lineNum <= e.endLine));
+}
+
+function sourceEntryForOffset(offset) {
+  return narrowestEntry(currentSourceMap.filter(e => e.span && offset >= e.span.start && offset <= e.span.end));
+}
+
+function narrowestEntry(entries) {
+  if (entries.length === 0) return null;
+  return entries.reduce((best, e) =>
+    (e.span.end - e.span.start) < (best.span.end - best.span.start) ? e : best);
+}
+
+function sourceMapIsCurrent() {
+  return currentSourceMap.length > 0 && englishInput.value === currentSourceText;
+}
+
+function highlightEnglishSpan(span, scroll = false) {
+  if (!span || !sourceMapIsCurrent()) {
+    englishHighlights.innerHTML = '';
+    return;
+  }
+  
+  const text = englishInput.value;
+  englishHighlights.innerHTML =
+    escapeHtml(text.slice(0, span.start)) +
+    `<mark>${escapeHtml(text.slice(span.start, span.end))}</mark>` +
+    escapeHtml(text.slice(span.end)) + '\n';
+  englishHighlights.scrollTop = englishInput.scrollTop;
+  
+  if (scroll) {
+    const line = text.slice(0, span.start).split('\n').length;
+    englishInput.scrollTop = Math.max(0, (line - 3) * 27);
+    englishHighlights.scrollTop = englishInput.scrollTop;
+  }
+}
+
+function linkLeanLines(entry) {
+  leanOutput.querySelectorAll('.lean-line.linked').forEach(el => el.classList.remove('linked'));
+  if (!entry) return;
+  
+  const ranges = currentSourceMap.filter(e => e.nodeId === entry.nodeId);
+  ranges.forEach(r => {
+    for (let line = r.startLine; line <= r.endLine; line++) {
+      leanOutput.querySelector(`.lean-line[data-line="${line}"]`)?.classList.add('linked');
+    }
+  });
+  leanOutput.querySelector(`.lean-line[data-line="${ranges[0].startLine}"]`)?.scrollIntoView({ block: 'nearest' });
+}
+
+function highlightLeanLine(lineNum) {
+  leanOutput.querySelectorAll('.lean-line.highlight').forEach(el => el.classList.remove('highlight'));
+  const lineEl = leanOutput.querySelector(`.lean-line[data-line="${lineNum}"]`);
+  if (lineEl) {
+    lineEl.classList.add('highlight');
+    lineEl.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+async function showGoalAtLine(lineNum) {
+  highlightLeanLine(lineNum);
+  
+  const lineText = currentLean.split('\n')[lineNum - 1] || '';
+  const character = lineText.length - lineText.trimStart().length;
+  
+  goalOutput.textContent = 'Loading goal...';
+  const res = await window.api.getLeanGoal(currentLean, { line: lineNum, character }, { toolchain: documentToolchain, docId: activeTabId });
+  
+  if (!res.ok) {
+    goalOutput.textContent = 'Goal unavailable: ' + res.error;
+    return;
+  }
+  
+  const location = `<div class="goal-location">Line ${lineNum}</div>`;
+  if (res.goals === null) {
+    goalOutput.innerHTML = location + 'No goal at this position.';
+  } else if (res.goals.length === 0) {
+    goalOutput.innerHTML = location + 'No goals remaining.';
+  } else {
+    goalOutput.innerHTML = location + res.goals.map(g => `<pre>${escapeHtml(g)}</pre>`).join('');
+  }
+}
+
+// Menu actions
+function handleMenuAction(action) {
+  switch (action) {
+    case 'close-tab':
+      closeTab(activeTabId);
+      break;
+    case 'toggle-theme':
+      toggleTheme();
+      break;
+    case 'lean-path':
+      openLeanPathDialog();
+      break;
+    case 'clear-history':
+      clearHistory();
+      break;
+  }
+}
+
+// Lean Toolchain Dialog
+function openLeanPathDialog() {
+  toolchainDocumentScope.checked = documentToolchain !== null;
+  leanPathModal.classList.remove('hidden');
+  loadToolchains();
+}
+
+async function loadToolchains(refresh = false) {
+  toolchainList.textContent = 'Detecting toolchains...';
+  const res = await window.api.listToolchains({ refresh, toolchain: documentToolchain, docId: activeTabId });
+  
+  if (!res.ok) {
+    toolchainList.textContent = 'Failed to detect toolchains: ' + res.error;
+    return;
+  }
+  
+  toolchainProject.textContent = res.projectPath || 'none';
+  
+  if (res.toolchains.length === 0) {
+    toolchainList.textContent = 'No Lean installation found. Install elan or add a Lean binary.';
+  } else {
+    toolchainList.innerHTML = res.toolchains.map(t => `
+      <label class="toolchain-option${t.id === res.resolved.id ? ' resolved' : ''}">
+        <input type="radio" name="toolchain" value="${escapeHtml(t.id)}" ${t.id === res.resolved.id ? 'checked' : ''}>
+        <div>
+          <div>${escapeHtml(t.name)} <span class="toolchain-meta">${t.version ? 'v' + escapeHtml(t.version) : escapeHtml(t.error || 'unknown version')}</span></div>
+          <div class="toolchain-meta">${escapeHtml(t.source)} · ${escapeHtml(t.leanPath)}</div>
+        </div>
+      </label>
+    `).join('');
+  }
+  
+  const reasons = {
+    document: 'chosen for this document',
+    'lean-toolchain': `pinned by ${res.resolved.toolchainFile}`,
+    global: 'global choice',
+    default: 'default'
+  };
+  const lines = [`Active: ${res.resolved.name} (${reasons[res.resolved.reason] || res.resolved.reason})`];
+  if (res.resolved.missingToolchain) {
+    lines.push(`lean-toolchain asks for ${res.resolved.missingToolchain}, which is not installed (run: elan toolchain install ${res.resolved.missingToolchain})`);
+  }
+  lines.push(res.info.ok ? [res.info.lean, res.info.lake].filter(Boolean).join('\n') : res.info.error);
+  toolchainInfo.textContent = lines.join('\n');
+}
+
+async function handleToolchainChoice(e) {
+  if (e.target.name !== 'toolchain') return;
+  
+  if (toolchainDocumentScope.checked) {
+    documentToolchain = e.target.value;
+  } else {
+    documentToolchain = null;
+    await window.api.setToolchain(e.target.value);
+  }
+  loadToolchains();
+}
+
 // Jump to Line
-window.jumpToLine = function(lineNum) {
+window.jumpToLine = function(lineNum, start = null, end = null) {
+  if (start !== null && end !== null) {
+    englishInput.focus();
+    englishInput.setSelectionRange(start, end);
+    englishInput.scrollTop = Math.max(0, (lineNum - 3) * 27);
+    showNotification(`Jumped to line ${lineNum}`);
+    return;
+  }
+  
   const lines = englishInput.value.split('\n');
   let charCount = 0;
   
@@ -416,7 +1104,8 @@ function executeCommand(action) {
     togglePalette: cyclePaletteState,
     theme: toggleTheme,
     save: saveProof,
-    structure: showStructure
+    structure: showStructure,
+    preferences: () => window.api.openPreferences()
   };
   
   if (actions[action]) {
@@ -438,47 +1127,74 @@ async function handleGenerate() {
     return;
   }
 
-  messages.push(text);
-  addHistoryItem(text, 'pending');
-  
   isGenerating = true;
   generateBtn.textContent = 'Generating...';
   generateBtn.disabled = true;
+
+  const added = await window.api.addHistory(activeTabId, { text, status: 'pending' });
+  const entryId = added.ok ? added.entry.id : null;
+  refreshHistory();
   
   leanOutput.textContent = '-- Generating Lean code...\n-- Please wait...';
   validationOutput.textContent = 'Waiting for generation...';
+  renderValidationCounts(null);
 
   try {
-    const res = await window.api.generateLean(text, { validate: validateToggle.checked });
+    const res = await window.api.generateLean(text, {
+      validate: validateToggle.checked,
+      toolchain: documentToolchain,
+      docId: activeTabId,
+      dependencyOverrides
+    });
     
     if (!res.ok) {
       leanOutput.textContent = '-- Error: ' + (res.error || 'Unknown error');
       validationOutput.textContent = 'Generation failed';
-      updateHistoryItemStatus(text, 'failed');
+      updateHistoryEntry(entryId, { status: 'failed' });
       showNotification('Generation failed: ' + res.error);
       return;
     }
 
-    leanOutput.innerHTML = applyLeanSyntaxHighlighting(res.lean || '-- No Lean code generated');
+    currentLean = res.lean || '';
+    currentTree = res.proofTree || null;
+    refreshStructure();
+    currentNodeLines = res.nodeLines || {};
+    currentSourceMap = res.sourceMap || [];
+    currentSourceText = englishInput.value;
+    pinnedSpan = null;
+    englishHighlights.innerHTML = '';
+    renderLeanOutput(currentLean || '-- No Lean code generated');
+    updateHistoryEntry(entryId, {
+      status: res.validation ? (res.validation.ok ? 'validated' : 'failed') : 'pending',
+      proofTree: currentTree,
+      lean: currentLean,
+      validation: res.validation || null
+    });
+    documentChanged();
     
     if (res.validation) {
       displayValidationResults(res.validation);
-      updateHistoryItemStatus(text, res.validation.ok ? 'validated' : 'failed');
     } else {
       validationOutput.textContent = 'Validation skipped';
-      updateHistoryItemStatus(text, 'pending');
       showNotification('Generated successfully');
     }
+    
+    if (res.autoClose) displayAutoCloseReport(res.autoClose);
 
     if (validateToggle.checked && validationPane.classList.contains('collapsed')) {
       toggleValidation();
     }
 
+    const dependencyErrors = currentTree?.dependencyErrors || [];
+    if (dependencyErrors.length > 0) {
+      showNotification(`${dependencyErrors[0].message}${dependencyErrors.length > 1 ? ` (+${dependencyErrors.length - 1} more)` : ''}`, 4000);
+    }
+
   } catch (err) {
     console.error('Error:', err);
     leanOutput.textContent = '-- Error: ' + String(err);
     validationOutput.textContent = 'Pipeline error';
-    updateHistoryItemStatus(text, 'failed');
+    updateHistoryEntry(entryId, { status: 'failed' });
     showNotification('Error: ' + err.message);
   } finally {
     isGenerating = false;
@@ -492,20 +1208,106 @@ function clearEditor() {
   englishInput.value = '';
   updateStats();
   leanOutput.textContent = '-- Lean code will appear here\n-- \n-- Write your proof above and click Generate';
+  currentLean = '';
+  currentTree = null;
+  dependencyOverrides = {};
+  refreshStructure();
+  currentNodeLines = {};
+  currentSourceMap = [];
+  currentSourceText = '';
+  pinnedSpan = null;
+  englishHighlights.innerHTML = '';
+  goalOutput.textContent = 'Click a Lean line or an English sentence to see its goal.';
   validationOutput.textContent = 'No validation run yet.';
+  validationCounts.innerHTML = '';
+  currentValidation = null;
+  documentChanged();
   englishInput.focus();
 }
 
-function clearHistory() {
-  if (!confirm('Clear all history?')) return;
-  messages = [];
-  historyContent.innerHTML = '<div style="padding: 32px 16px; text-align: center; color: var(--text-muted); font-size: 12px;">No proofs yet</div>';
-  showNotification('History cleared');
+// Clears the scope shown in the sidebar; pinned entries are kept.
+async function clearHistory() {
+  const all = historyScope.value === 'all';
+  if (!confirm(all ? 'Clear history for all documents? Pinned entries are kept.' : 'Clear this document\'s history? Pinned entries are kept.')) return;
+  const res = await window.api.clearHistory(all ? null : activeTabId);
+  if (!res.ok) {
+    showNotification('Could not clear history: ' + res.error);
+    return;
+  }
+  refreshHistory();
+  showNotification(`Cleared ${res.cleared} ${res.cleared === 1 ? 'entry' : 'entries'}`);
+}
+
+async function handleAutoClose() {
+  if (!currentLean) {
+    showNotification('Generate Lean code first');
+    return;
+  }
+  
+  if (isGenerating) {
+    showNotification('Already generating...');
+    return;
+  }
+  
+  isGenerating = true;
+  autoCloseBtn.disabled = true;
+  autoCloseBtn.textContent = 'Auto-closing...';
+  
+  try {
+    const res = await window.api.autoClose(currentLean, { toolchain: documentToolchain, docId: activeTabId });
+    
+    if (!res.ok) {
+      showNotification('Auto-close failed: ' + res.error);
+      return;
+    }
+    
+    currentLean = res.code;
+    if (res.lineOffset) {
+      // Imports the closing tactics need were added above the proof
+      currentSourceMap = currentSourceMap.map(e => ({ ...e, startLine: e.startLine + res.lineOffset, endLine: e.endLine + res.lineOffset }));
+      currentNodeLines = Object.fromEntries(Object.entries(currentNodeLines).map(([id, line]) => [id, line + res.lineOffset]));
+    }
+    renderLeanOutput(currentLean);
+    documentChanged();
+    if (res.validation) displayValidationResults(res.validation);
+    displayAutoCloseReport(res);
+  } catch (err) {
+    showNotification('Auto-close failed: ' + err.message);
+  } finally {
+    isGenerating = false;
+    autoCloseBtn.disabled = false;
+    autoCloseBtn.textContent = 'Auto-close';
+  }
+}
+
+function displayAutoCloseReport(report) {
+  if (report.error) {
+    showNotification('Auto-close unavailable: ' + report.error);
+    return;
+  }
+  
+  const closed = report.closed || [];
+  const open = report.open || [];
+  
+  const item = createValidationItem(
+    open.length ? 'warning' : 'success',
+    open.length ? '⚠' : '✓',
+    `Auto-close: ${closed.length} closed, ${open.length} open`,
+    [
+      ...closed.map(h => `line ${h.line}: closed by ${h.tactic}`),
+      ...open.map(h => `line ${h.line}: still sorry`)
+    ].join('\n'),
+    null
+  );
+  validationOutput.prepend(item);
+  
+  if (validationPane.classList.contains('collapsed')) toggleValidation();
+  showNotification(`Closed ${closed.length} of ${closed.length + open.length} sorry holes`);
 }
 
 async function copyLean() {
-  const content = leanOutput.textContent;
-  if (!content || content.includes('will appear here')) {
+  const content = currentLean;
+  if (!content) {
     showNotification('No Lean code to copy');
     return;
   }
@@ -532,16 +1334,603 @@ Therefore [conclusion]. ∎`;
   englishInput.value = text.substring(0, start) + template + text.substring(start);
   englishInput.focus();
   updateStats();
+  documentChanged();
   showNotification('Template inserted');
 }
 
+// Proof Structure
 function showStructure() {
-  showNotification('Structure view coming soon');
+  if (!structurePane.classList.contains('hidden')) {
+    hideStructure();
+    return;
+  }
+  structurePane.classList.remove('hidden');
+  leanOutputPane.classList.add('hidden');
+  structureBtn.classList.add('active');
+  renderStructure();
+}
+
+function hideStructure() {
+  structurePane.classList.add('hidden');
+  leanOutputPane.classList.remove('hidden');
+  structureBtn.classList.remove('active');
+}
+
+// Called whenever currentTree changes; a hidden panel is drawn when opened.
+function refreshStructure() {
+  if (!structurePane.classList.contains('hidden')) renderStructure();
+}
+
+async function renderStructure() {
+  structureGraph = null;
+  structureSelection = null;
+  structureSummary.textContent = '';
+  structureLegend.innerHTML = '';
+  renderDependencyErrors();
+  renderDependencyEditor();
+
+  const res = currentTree ? await window.api.getProofGraph(currentTree) : null;
+  if (!res || !res.ok || res.graph.nodes.length === 0) {
+    structureCanvas.innerHTML = `<div class="structure-empty">${escapeHtml(res && !res.ok ? res.error : 'Generate a proof to see its structure.')}</div>`;
+    return;
+  }
+
+  // Trees saved before dependency keys existed get them here
+  currentTree = res.proofTree;
+  structureGraph = res.graph;
+  drawStructure();
+  fitStructure();
+}
+
+function drawStructure() {
+  const { nodes, edges } = structureGraph;
+  const byId = new Map(nodes.map(n => [n.id, n]));
+
+  const edgePaths = edges.map(edge => {
+    const from = byId.get(edge.from);
+    const to = byId.get(edge.to);
+    const x1 = from.x + from.width / 2;
+    const y1 = from.y + from.height;
+    const x2 = to.x + to.width / 2;
+    const y2 = to.y;
+    const mid = (y1 + y2) / 2;
+    const d = y2 > y1 ? `M${x1},${y1} C${x1},${mid} ${x2},${mid} ${x2},${y2}` : `M${x1},${y1} L${x2},${y2}`;
+    return `<path class="structure-edge" data-from="${edge.from}" data-to="${edge.to}" d="${d}" marker-end="url(#structureArrow)"/>`;
+  });
+
+  const nodeGroups = nodes.map(node => {
+    const text = node.text && node.text.length > 22 ? node.text.slice(0, 21) + '…' : node.text || '';
+    const title = `${STRUCTURE_TYPES[node.type] || node.type}: ${node.text || ''}${node.unreachable ? '\n(not used on any path to the goal)' : ''}`;
+    return `<g class="structure-node type-${node.type}${node.unreachable ? ' unreachable' : ''}" data-id="${node.id}">
+      <title>${escapeHtml(title)}</title>
+      <rect x="${node.x}" y="${node.y}" width="${node.width}" height="${node.height}" rx="6"/>
+      <text class="node-label" x="${node.x + 8}" y="${node.y + 15}">${escapeHtml(node.label)}${node.unreachable ? ' ⚠' : ''}</text>
+      <text class="node-text" x="${node.x + 8}" y="${node.y + 31}">${escapeHtml(text)}</text>
+    </g>`;
+  });
+
+  structureCanvas.classList.remove('focused');
+  structureCanvas.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg">
+    <defs><marker id="structureArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path class="structure-arrow" d="M0,0 L10,5 L0,10 z"/></marker></defs>
+    <g class="structure-viewport">${edgePaths.join('')}${nodeGroups.join('')}</g>
+  </svg>`;
+
+  const types = Object.keys(STRUCTURE_TYPES).filter(type => nodes.some(n => n.type === type));
+  structureLegend.innerHTML = types
+    .map(type => `<span class="type-${type}">${STRUCTURE_TYPES[type]}</span>`)
+    .join('');
+
+  const unreachable = nodes.filter(n => n.unreachable).length;
+  structureSummary.innerHTML = `${nodes.length} nodes, ${edges.length} edges` +
+    (unreachable ? ` · <span class="unreachable-count">${unreachable} not connected to the goal</span>` : '');
+  renderDependencyErrors();
+}
+
+function fitStructure() {
+  if (!structureGraph) return;
+  const { width, height } = structureCanvas.getBoundingClientRect();
+  const scale = Math.min(1, width / structureGraph.width, height / structureGraph.height) || 1;
+  structureView = {
+    x: (width - structureGraph.width * scale) / 2,
+    y: Math.max(0, (height - structureGraph.height * scale) / 2),
+    scale
+  };
+  applyStructureView();
+}
+
+function applyStructureView() {
+  const viewport = structureCanvas.querySelector('.structure-viewport');
+  if (!viewport) return;
+  const { x, y, scale } = structureView;
+  viewport.setAttribute('transform', `translate(${x} ${y}) scale(${scale})`);
+}
+
+// Zooms around the cursor so the point under it stays put.
+function zoomStructure(e) {
+  if (!structureGraph) return;
+  e.preventDefault();
+
+  const rect = structureCanvas.getBoundingClientRect();
+  const px = e.clientX - rect.left;
+  const py = e.clientY - rect.top;
+  const { x, y, scale } = structureView;
+  const next = Math.min(4, Math.max(0.2, scale * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+
+  structureView = {
+    x: px - (px - x) * (next / scale),
+    y: py - (py - y) * (next / scale),
+    scale: next
+  };
+  applyStructureView();
+}
+
+function startStructurePan(e) {
+  if (!structureGraph || e.button !== 0) return;
+  structurePan = { startX: e.clientX, startY: e.clientY, x: structureView.x, y: structureView.y, moved: false };
+}
+
+function moveStructurePan(e) {
+  if (!structurePan) return;
+  const dx = e.clientX - structurePan.startX;
+  const dy = e.clientY - structurePan.startY;
+  if (!structurePan.moved && Math.hypot(dx, dy) < 3) return;
+
+  structurePan.moved = true;
+  structureCanvas.classList.add('panning');
+  structureView.x = structurePan.x + dx;
+  structureView.y = structurePan.y + dy;
+  applyStructureView();
+}
+
+// A press that did not move is a click: select the node under it, or clear
+// the selection when the background was clicked.
+function endStructurePan(e) {
+  if (!structurePan) return;
+  const { moved } = structurePan;
+  structurePan = null;
+  structureCanvas.classList.remove('panning');
+  if (moved) return;
+
+  if (!structureCanvas.contains(e.target)) return;
+  const nodeEl = e.target.closest('.structure-node');
+  selectStructureNode(nodeEl ? nodeEl.dataset.id : null);
+}
+
+function selectStructureNode(id, selectSentence = true) {
+  structureSelection = id;
+  const premises = id ? structurePremises(id) : new Set();
+
+  structureCanvas.classList.toggle('focused', Boolean(id));
+  structureCanvas.querySelectorAll('.structure-node').forEach(el => {
+    el.classList.toggle('selected', el.dataset.id === id);
+    el.classList.toggle('premise', premises.has(el.dataset.id));
+  });
+  structureCanvas.querySelectorAll('.structure-edge').forEach(el => {
+    el.classList.toggle('premise', premises.has(el.dataset.from) && (el.dataset.to === id || premises.has(el.dataset.to)));
+  });
+
+  renderDependencyEditor();
+  const node = id ? structureGraph.nodes.find(n => n.id === id) : null;
+  if (!node || !selectSentence) return;
+  if (node.span && englishInput.value === currentSourceText) {
+    englishInput.focus();
+    englishInput.setSelectionRange(node.span.start, node.span.end);
+    highlightEnglishSpan(node.span, true);
+  } else if (node.span) {
+    showNotification('The English has changed since this graph was generated');
+  }
+}
+
+function renderDependencyErrors() {
+  const errors = currentTree?.dependencyErrors || [];
+  structureErrors.classList.toggle('hidden', errors.length === 0);
+  structureErrors.innerHTML = errors
+    .map(error => (error.overrideKey
+      ? `<div class="structure-error">✗ ${escapeHtml(error.message)} <button class="lean-action-btn" data-discard="${escapeHtml(error.overrideKey)}">Discard edit</button></div>`
+      : `<div class="structure-error" data-node="${escapeHtml(error.nodeId)}">✗ ${escapeHtml(error.message)}</div>`))
+    .join('');
+}
+
+// Edge editor for the selected node. Edits are kept per document as
+// { add, remove } lists and applied over the inferred premises; both sides are
+// named by the keys in currentTree.dependencyKeys, which survive renumbering.
+function dependencyKey(id) {
+  return currentTree?.dependencyKeys?.[id] || null;
+}
+
+function renderDependencyEditor() {
+  const node = structureGraph && structureSelection
+    ? structureGraph.nodes.find(n => n.id === structureSelection)
+    : null;
+
+  if (!node) {
+    structureEditor.innerHTML = `<div class="goal-panel-header">Premises</div>
+      <div class="structure-editor-body muted">Select a step to edit what it uses, or write <code>[uses 2, H1]</code> in the sentence.</div>`;
+    return;
+  }
+  if (node.kind === 'hypothesis') {
+    structureEditor.innerHTML = `<div class="goal-panel-header">Premises of ${escapeHtml(node.label)}</div>
+      <div class="structure-editor-body muted">Hypotheses come from the theorem statement and use nothing.</div>`;
+    return;
+  }
+
+  const byId = new Map(structureGraph.nodes.map(n => [n.id, n]));
+  const premiseLabel = id => escapeHtml(byId.get(id)?.label || id);
+  const premiseText = id => escapeHtml(byId.get(id)?.text || '');
+  const treeNode = [...currentTree.steps, ...currentTree.assumptions, ...(currentTree.goals || [])].find(n => n.id === node.id);
+  const edited = Boolean(dependencyOverrides[dependencyKey(node.id)]);
+  // The graph only holds hypotheses something uses, so list the theorem's own.
+  const hypotheses = (currentTree.theorems || [])
+    .filter(t => t.id === node.theoremId)
+    .flatMap(t => (t.hypotheses || []).map((text, i) => ({ id: `${t.id}_hyp${i + 1}`, label: `H${i + 1}`, text })));
+  const candidates = [...hypotheses, ...structureGraph.nodes.filter(n => n.kind !== 'hypothesis')]
+    .filter(n => n.id !== node.id && !node.dependsOn.includes(n.id));
+
+  structureEditor.innerHTML = `<div class="goal-panel-header">Premises of step ${escapeHtml(node.label)}</div>
+    <div class="structure-editor-body">
+      ${treeNode?.uses ? `<div class="muted">Set by <code>[uses ${escapeHtml(treeNode.uses.join(', '))}]</code> in the text.</div>` : ''}
+      <ul class="premise-list">
+        ${node.dependsOn.map(id => `<li><span class="premise-label">${premiseLabel(id)}</span><span class="premise-text">${premiseText(id)}</span><button class="lean-action-btn" data-remove="${escapeHtml(id)}" title="Remove this premise">×</button></li>`).join('') || '<li class="muted">Uses nothing</li>'}
+      </ul>
+      <div class="premise-add">
+        <select id="premiseSelect">
+          ${candidates.map(n => `<option value="${escapeHtml(n.id)}">${escapeHtml(n.label)}: ${escapeHtml((n.text || '').slice(0, 40))}</option>`).join('')}
+        </select>
+        <button class="lean-action-btn" data-add ${candidates.length ? '' : 'disabled'}>Add</button>
+      </div>
+      ${edited ? '<button class="lean-action-btn" data-reset>Reset to inferred</button>' : ''}
+    </div>`;
+}
+
+function handleDependencyEditorClick(e) {
+  const nodeId = structureSelection;
+  if (!nodeId) return;
+
+  const button = e.target.closest('button');
+  if (!button) return;
+  if (button.dataset.remove) editDependency(nodeId, button.dataset.remove, 'remove');
+  if (button.hasAttribute('data-add')) editDependency(nodeId, document.getElementById('premiseSelect').value, 'add');
+  if (button.hasAttribute('data-reset')) {
+    delete dependencyOverrides[dependencyKey(nodeId)];
+    applyDependencyOverrides();
+  }
+}
+
+// Adding a premise first undoes a removal of it, and the other way round, so
+// the stored lists only hold real differences from the inferred edges.
+function editDependency(nodeId, premiseId, action) {
+  const nodeKey = dependencyKey(nodeId);
+  const premiseKey = dependencyKey(premiseId);
+  if (!nodeKey || !premiseKey) return;
+  const override = dependencyOverrides[nodeKey] || { add: [], remove: [] };
+  const opposite = action === 'add' ? 'remove' : 'add';
+
+  if (override[opposite].includes(premiseKey)) {
+    override[opposite] = override[opposite].filter(key => key !== premiseKey);
+  } else if (!override[action].includes(premiseKey)) {
+    override[action].push(premiseKey);
+  }
+
+  if (override.add.length === 0 && override.remove.length === 0) {
+    delete dependencyOverrides[nodeKey];
+  } else {
+    dependencyOverrides[nodeKey] = override;
+  }
+  applyDependencyOverrides();
+}
+
+async function applyDependencyOverrides() {
+  if (!currentTree) return;
+  const res = await window.api.getProofGraph(currentTree, dependencyOverrides);
+  if (!res.ok) {
+    showNotification('Could not update dependencies: ' + res.error);
+    return;
+  }
+
+  currentTree = res.proofTree;
+  structureGraph = res.graph;
+  const selected = structureSelection;
+  drawStructure();
+  applyStructureView();
+  selectStructureNode(selected, false);
+  documentChanged();
+  showNotification('Dependencies updated; regenerate to update the Lean code');
+}
+
+// Everything the node depends on, directly or through other steps.
+function structurePremises(id) {
+  const premises = new Set();
+  const stack = [id];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    structureGraph.edges
+      .filter(e => e.to === current && !premises.has(e.from) && e.from !== id)
+      .forEach(e => {
+        premises.add(e.from);
+        stack.push(e.from);
+      });
+  }
+  return premises;
 }
 
 function saveProof() {
-  saveToLocalStorage();
-  showNotification('Proof saved locally');
+  window.api.saveDocument(activeTabId);
+}
+
+// Documents
+function collectDocumentState() {
+  return {
+    english: englishInput.value,
+    proofTree: currentTree,
+    lean: currentLean,
+    nodeLines: currentNodeLines,
+    sourceMap: currentSourceMap,
+    sourceText: currentSourceText,
+    validation: currentValidation,
+    settings: { toolchain: documentToolchain },
+    dependencyOverrides
+  };
+}
+
+async function handleSaveRequest(docId) {
+  const tab = tabs.find(t => t.docId === docId);
+  if (!tab) {
+    // Main waits for an answer before it closes or quits, so always send one
+    await window.api.saveContent(docId, null);
+    return;
+  }
+  
+  const state = docId === activeTabId ? collectDocumentState() : tab.state;
+  const res = await window.api.saveContent(docId, state);
+  if (res.ok) {
+    tab.filepath = res.filepath;
+    tab.dirty = false;
+    if (docId === activeTabId) {
+      clearTimeout(autosaveTimeout);
+      isDirty = false;
+    }
+    renderTabs();
+    // Saving an untitled document renames its history entries
+    refreshHistory();
+    showNotification(`Saved ${fileName(res.filepath)}`);
+  } else {
+    showNotification('Save failed: ' + res.error);
+  }
+}
+
+const EXPORT_LABELS = { pdf: 'PDF', latex: 'LaTeX', markdown: 'Markdown', html: 'HTML' };
+
+function showExportDialog(format, filepath, docId) {
+  pendingExport = { format, filepath, docId };
+  document.getElementById('exportTitle').textContent = `Export to ${EXPORT_LABELS[format]}`;
+  document.getElementById('exportPageSizeRow').classList.toggle('hidden', format !== 'pdf');
+  document.getElementById('exportCodeThemeRow').classList.toggle('hidden', format !== 'pdf' && format !== 'html');
+  
+  exportPageSize.value = settings.export.pageSize;
+  exportCodeTheme.value = settings.export.codeTheme;
+  exportIncludeLean.checked = settings.export.includeLean;
+  exportShowStepIds.checked = settings.export.showStepIds;
+  exportShowDependencies.checked = settings.export.showDependencies;
+  exportModal.classList.remove('hidden');
+}
+
+async function exportDocument() {
+  if (!pendingExport) return;
+  const { format, filepath, docId } = pendingExport;
+  pendingExport = null;
+  exportModal.classList.add('hidden');
+  
+  const tab = tabs.find(t => t.docId === docId);
+  if (!tab) return;
+  
+  const options = {
+    pageSize: exportPageSize.value,
+    codeTheme: exportCodeTheme.value,
+    includeLean: exportIncludeLean.checked,
+    showStepIds: exportShowStepIds.checked,
+    showDependencies: exportShowDependencies.checked
+  };
+  window.api.updateSettings({ export: options });
+  
+  showNotification(`Exporting ${EXPORT_LABELS[format]}...`);
+  const state = docId === activeTabId ? collectDocumentState() : tab.state;
+  const res = await window.api.exportDocument(docId, format, filepath, state, options);
+  showNotification(res.ok ? `Exported ${fileName(res.filepath)}` : 'Export failed: ' + res.error);
+}
+
+function handleFileOpened(payload) {
+  const { sourcePath, title, imported, migratedFrom, isNew } = payload;
+  const previous = tabs.find(t => t.docId === activeTabId);
+  const replaceable = !isNew && previous && isPristine(previous);
+  
+  openTab(payload);
+  if (replaceable) {
+    tabs = tabs.filter(t => t !== previous);
+    window.api.closeDocument(previous.docId);
+    renderTabs();
+  }
+  
+  if (isNew) {
+    englishInput.focus();
+    return;
+  }
+  
+  const name = fileName(sourcePath);
+  if (imported && title) {
+    showNotification(`Imported ${title}`);
+  } else if (imported) {
+    showNotification(`Imported ${name} as plain text`);
+  } else if (migratedFrom !== null) {
+    showNotification(`Opened ${name} (upgraded from format v${migratedFrom})`);
+  } else {
+    showNotification(`Opened ${name}`);
+  }
+}
+
+function fileName(filepath) {
+  return filepath ? filepath.split(/[\\/]/).pop() : 'Untitled';
+}
+
+function tabName(tab) {
+  return tab.filepath ? fileName(tab.filepath) : tab.title || 'Untitled';
+}
+
+// Tabs: the active tab lives in the editor globals; the others keep a
+// document state object until they are shown again.
+async function restoreTabs() {
+  const session = await window.api.restoreSession();
+  (session.documents || []).forEach(payload => {
+    tabs.push({ docId: payload.docId, filepath: payload.filepath, state: payload.document, dirty: false });
+  });
+  
+  const active = tabs.find(t => t.docId === session.activeDocId) || tabs[0];
+  if (active) {
+    showTab(active);
+  } else {
+    openTab(await window.api.newDocument());
+  }
+}
+
+function openTab({ docId, filepath, title = null, document: doc, dirty = false }) {
+  stashActiveTab();
+  
+  let tab = tabs.find(t => t.docId === docId);
+  if (!tab) {
+    tab = { docId };
+    tabs.push(tab);
+  }
+  Object.assign(tab, { filepath, title, state: doc, dirty });
+  showTab(tab);
+}
+
+function activateTab(docId) {
+  const tab = tabs.find(t => t.docId === docId);
+  if (!tab || docId === activeTabId) return;
+  
+  if (isGenerating) {
+    showNotification('Wait for generation to finish');
+    return;
+  }
+  
+  stashActiveTab();
+  showTab(tab);
+}
+
+function showTab(tab) {
+  activeTabId = tab.docId;
+  loadDocumentState(tab.state);
+  isDirty = tab.dirty;
+  renderTabs();
+  window.api.activateDocument(tab.docId);
+}
+
+function stashActiveTab() {
+  const tab = tabs.find(t => t.docId === activeTabId);
+  if (!tab) return;
+  
+  tab.state = collectDocumentState();
+  tab.dirty = isDirty;
+  
+  // Don't lose a snapshot that was still waiting for its timer
+  clearTimeout(autosaveTimeout);
+  if (isDirty && settings.autosave.enabled) window.api.recordRecovery(tab.docId, tab.state);
+}
+
+async function closeTab(docId) {
+  if (isGenerating) {
+    showNotification('Wait for generation to finish');
+    return;
+  }
+  
+  if (docId === activeTabId) stashActiveTab();
+  const res = await window.api.closeDocument(docId);
+  if (!res.ok) return;
+  
+  const index = tabs.findIndex(t => t.docId === docId);
+  if (index === -1) return;
+  tabs.splice(index, 1);
+  
+  if (docId !== activeTabId) {
+    renderTabs();
+    return;
+  }
+  
+  activeTabId = null;
+  const next = tabs[Math.min(index, tabs.length - 1)];
+  if (next) {
+    showTab(next);
+  } else {
+    openTab(await window.api.newDocument());
+  }
+}
+
+function isPristine(tab) {
+  const state = tab.docId === activeTabId ? { english: englishInput.value } : tab.state;
+  const dirty = tab.docId === activeTabId ? isDirty : tab.dirty;
+  return !tab.filepath && !dirty && !state.english;
+}
+
+function renderTabs() {
+  documentTabs.innerHTML = '';
+  
+  tabs.forEach(tab => {
+    const dirty = tab.docId === activeTabId ? isDirty : tab.dirty;
+    const el = document.createElement('div');
+    el.className = `document-tab${tab.docId === activeTabId ? ' active' : ''}`;
+    el.title = tab.filepath || tabName(tab);
+    el.innerHTML = `
+      <span class="document-tab-name">${dirty ? '• ' : ''}${escapeHtml(tabName(tab))}</span>
+      <button class="document-tab-close" title="Close tab">×</button>
+    `;
+    el.addEventListener('click', () => activateTab(tab.docId));
+    el.querySelector('.document-tab-close').addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeTab(tab.docId);
+    });
+    documentTabs.appendChild(el);
+  });
+  
+  const newTab = document.createElement('button');
+  newTab.className = 'document-tab-new';
+  newTab.title = 'New document';
+  newTab.textContent = '+';
+  newTab.addEventListener('click', async () => openTab(await window.api.newDocument()));
+  documentTabs.appendChild(newTab);
+}
+
+function loadDocumentState(doc) {
+  clearTimeout(autosaveTimeout);
+  isDirty = false;
+  englishInput.value = doc.english;
+  updateStats();
+  
+  currentLean = doc.lean;
+  currentTree = doc.proofTree;
+  dependencyOverrides = doc.dependencyOverrides || {};
+  refreshStructure();
+  currentNodeLines = doc.nodeLines;
+  currentSourceMap = doc.sourceMap;
+  currentSourceText = doc.sourceText;
+  documentToolchain = doc.settings.toolchain;
+  pinnedSpan = null;
+  englishHighlights.innerHTML = '';
+  goalOutput.textContent = 'Click a Lean line or an English sentence to see its goal.';
+  
+  if (currentLean) {
+    renderLeanOutput(currentLean);
+  } else {
+    leanOutput.textContent = '-- Lean code will appear here\n-- \n-- Write your proof above and click Generate';
+  }
+  
+  if (doc.validation) {
+    displayValidationResults(doc.validation);
+  } else {
+    currentValidation = null;
+    validationOutput.textContent = 'No validation run yet.';
+    renderValidationCounts(null);
+  }
+  
+  refreshHistory();
 }
 
 // Math symbols
@@ -591,6 +1980,7 @@ function insertSymbol(symbol) {
   englishInput.selectionStart = englishInput.selectionEnd = start + symbol.length;
   englishInput.focus();
   updateStats();
+  documentChanged();
 }
 
 // Palette cycling
@@ -615,11 +2005,27 @@ function cyclePaletteState() {
 function toggleTheme() {
   currentTheme = currentTheme === 'light' ? 'dark' : 'light';
   applyTheme(currentTheme);
+  window.api.updateSettings({ editor: { theme: currentTheme } });
 }
 
 function applyTheme(theme) {
   document.body.setAttribute('data-theme', theme);
-  localStorage.setItem('theme', theme);
+}
+
+// Settings changed here or in the Preferences window
+function applySettings(updated) {
+  settings = updated;
+  currentTheme = settings.editor.theme;
+  applyTheme(currentTheme);
+  
+  // The highlight layer has to match the textarea's font exactly
+  [englishInput, englishHighlights].forEach(el => {
+    el.classList.toggle('monospace', settings.editor.monospace);
+    el.style.fontSize = `${settings.editor.fontSize}px`;
+  });
+  
+  validateToggle.checked = settings.validation.validateOnGenerate;
+  if (!settings.autosave.enabled) clearTimeout(autosaveTimeout);
 }
 
 // Validation toggle
@@ -636,11 +2042,6 @@ function handleKeydown(e) {
     handleGenerate();
   }
   
-  if (e.key === 's' && (e.ctrlKey || e.metaKey)) {
-    e.preventDefault();
-    saveProof();
-  }
-  
   if (e.key === 'k' && (e.ctrlKey || e.metaKey)) {
     e.preventDefault();
     clearEditor();